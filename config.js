@@ -1,7 +1,17 @@
 // config.js - Game configuration constants
 
+// Projectile shared by boss bullet rings
+const BOSS_SPIT = {
+    damage: 6,
+    bulletSpeed: 4,
+    bulletSize: 10,
+    bulletColor: '#e056fd',
+    behavior: 'standard',
+    sound: 'spit'
+};
+
 export const CONFIG = {
-    // World settings
+    // World settings (width and height are replaced by the loaded map's size)
     WORLD_WIDTH: 3000,
     WORLD_HEIGHT: 2400,
     ENEMY_SPAWN_DISTANCE: 800,
@@ -12,9 +22,26 @@ export const CONFIG = {
     GRID_CELL_SIZE: 100,
     MAX_PARTICLES: 200,        // Limit total particles
     PARTICLE_BATCH_SIZE: 10,   // Max particles created at once
-    CULL_DISTANCE: 1200,       // Don't update entities beyond this distance
+    
+    // Pathfinding settings
+    NAV_PADDING: 12,           // Obstacle inflation so enemies fit through gaps
+    
+    // Co-op settings (a player at 0 health is down until revived or the next wave)
+    REVIVE_RADIUS: 60,         // Max distance a teammate can revive from
+    REVIVE_TIME: 3000,         // ms a teammate must stay in range to revive
+    REVIVE_HEALTH: 0.5,        // Share of max health a revived player gets back
+    SPAWN_PROTECTION: 2000,    // ms a revived or respawned player can't be hurt
+    
+    // Multiplayer interest management (clients are only sent what is near their view)
+    INTEREST_ENTER_RADIUS: 700, // Half the view's diagonal plus a margin, so entities arrive before they scroll in
+    INTEREST_LEAVE_RADIUS: 850, // Entities already sent are kept up to here, so ones on the edge don't flicker
+    INTEREST_CELL_SIZE: 200,   // Cell size of the server's interest grid
+    ENEMY_SUMMARY_INTERVAL: 1000, // ms between minimap summaries of far-away enemies
+    ENEMY_SUMMARY_CELL_SIZE: 250, // Far enemies are counted per square of this size
     
     // Weapon definitions
+    // `behavior` selects the projectile logic in entities/weaponBehaviors.js;
+    // any extra keys below it are read by that behavior.
     WEAPONS: {
         Pistol: {
             damage: 25,
@@ -22,9 +49,28 @@ export const CONFIG = {
             bulletSpeed: 8,
             bulletSize: 5,
             bulletColor: 'orange',
-            ammo: Infinity,
+            magazineSize: 12,
+            reserveAmmo: Infinity, // Spare rounds when first picked up
+            maxReserve: Infinity,
+            reloadTime: 900,       // ms
+            behavior: 'standard',
             sound: 'pistol'
         },
+        SMG: {
+            damage: 9,
+            fireRate: 90,
+            bulletSpeed: 11,
+            bulletSize: 3,
+            bulletColor: '#7fdbff',
+            spread: 0.08,
+            magazineSize: 30,
+            reserveAmmo: 120,
+            maxReserve: 240,
+            reloadTime: 1200,
+            behavior: 'bounce',
+            bounces: 2,
+            sound: 'smg'
+        },
         Shotgun: {
             damage: 15,
             fireRate: 800,
@@ -33,8 +79,12 @@ export const CONFIG = {
             bulletColor: 'red',
             spread: 0.3,
             bullets: 5,
-            ammo: 30,
+            magazineSize: 6,
+            reserveAmmo: 24,
+            maxReserve: 48,
+            reloadTime: 1600,
             knockback: 2,
+            behavior: 'standard',
             sound: 'shotgun'
         },
         MachineGun: {
@@ -43,25 +93,121 @@ export const CONFIG = {
             bulletSpeed: 10,
             bulletSize: 3,
             bulletColor: 'yellow',
-            ammo: 100,
+            magazineSize: 50,
+            reserveAmmo: 100,
+            maxReserve: 200,
+            reloadTime: 2000,
+            behavior: 'standard',
             sound: 'machinegun'
         },
+        Sniper: {
+            damage: 120,
+            fireRate: 1200,
+            bulletSpeed: 20,
+            bulletSize: 4,
+            bulletColor: 'white',
+            magazineSize: 5,
+            reserveAmmo: 15,
+            maxReserve: 30,
+            reloadTime: 2200,
+            knockback: 4,
+            behavior: 'pierce',
+            pierce: 4,             // Enemies a round can pass through
+            sound: 'sniper'
+        },
         GrenadeLauncher: {
             damage: 50,
             fireRate: 1500,
             bulletSpeed: 5,
             bulletSize: 8,
             bulletColor: 'green',
-            ammo: 10,
+            magazineSize: 3,
+            reserveAmmo: 9,
+            maxReserve: 18,
+            reloadTime: 2000,
+            behavior: 'grenade',
+            fuse: 500,             // ms before detonation
+            drag: 0.95,
             explosion: {
                 radius: 80,
                 damage: 40
             },
             sound: 'grenade'
+        },
+        Flamethrower: {
+            damage: 4,
+            fireRate: 50,
+            bulletSpeed: 6,
+            bulletSize: 8,
+            bulletColor: '#ff7f27',
+            spread: 0.25,
+            bullets: 2,
+            magazineSize: 100,
+            reserveAmmo: 200,
+            maxReserve: 400,
+            reloadTime: 2200,
+            behavior: 'flame',
+            range: 400,            // ms a flame lives
+            growth: 0.6,           // Size gained per step
+            sound: 'flamethrower'
+        },
+        RocketLauncher: {
+            damage: 60,
+            fireRate: 1400,
+            bulletSpeed: 6,
+            bulletSize: 8,
+            bulletColor: '#ddd',
+            magazineSize: 1,
+            reserveAmmo: 7,
+            maxReserve: 14,
+            reloadTime: 1800,
+            behavior: 'homing',
+            turnRate: 0.08,        // Max radians turned per step
+            homingRange: 400,
+            range: 3000,           // ms before self-detonation
+            explosion: {
+                radius: 100,
+                damage: 60
+            },
+            sound: 'rocket'
+        }
+    },
+    
+    // Player-built structures (cost is paid from score)
+    BUILD_RANGE: 200,          // Max distance from player to place a structure
+    STRUCTURE_DAMAGE_SCALE: 20, // Enemy damage multiplier against structures
+    STRUCTURES: {
+        barricade: {
+            key: 'b',
+            width: 40,
+            height: 40,
+            health: 150,
+            cost: 100,
+            color: '#8b5a2b'
+        },
+        turret: {
+            key: 't',
+            width: 30,
+            height: 30,
+            health: 100,
+            cost: 300,
+            color: '#34495e',
+            range: 350,
+            weapon: {
+                damage: 12,
+                fireRate: 400,
+                bulletSpeed: 9,
+                bulletSize: 4,
+                bulletColor: '#9fe2bf',
+                behavior: 'standard',
+                sound: 'pistol'
+            }
         }
     },
     
     // Enemy types
+    // `ai.initial` is the starting state from entities/enemyAI.js;
+    // the other `ai` keys tune the states that type can reach.
     ENEMY_TYPES: {
         normal: {
             width: 25,
@@ -70,7 +216,11 @@ export const CONFIG = {
             speed: 1.5,
             damage: 0.5,
             color: 'green',
-            points: 10
+            points: 10,
+            ai: {
+                initial: 'chase',
+                windupTime: 250         // Pause before a melee hit lands (ms)
+            }
         },
         fast: {
             width: 20,
@@ -79,7 +229,14 @@ export const CONFIG = {
             speed: 2.5,
             damage: 0.3,
             color: 'yellow',
-            points: 15
+            points: 15,
+            ai: {
+                initial: 'chase',
+                windupTime: 100,
+                fleeHealth: 0.4,        // Runs away once below this fraction of health
+                fleeDuration: 1500,
+                fleeSpeed: 1.2
+            }
         },
         tank: {
             width: 35,
@@ -88,16 +245,191 @@ export const CONFIG = {
             speed: 0.8,
             damage: 1,
             color: 'purple',
-            points: 25
+            points: 25,
+            ai: {
+                initial: 'wander',
+                aggroRange: 450,        // Wanders until the player is this close
+                windupTime: 600
+            }
+        },
+        exploder: {
+            width: 22,
+            height: 22,
+            health: 25,
+            speed: 2.0,
+            damage: 0,
+            color: 'orange',
+            points: 20,
+            ai: {
+                initial: 'chase',
+                fuseRange: 50,          // Starts its fuse within this distance of the player
+                fuseTime: 700,
+                blastRadius: 90,
+                blastDamage: 25
+            }
+        },
+        summoner: {
+            width: 28,
+            height: 28,
+            health: 60,
+            speed: 1.0,
+            damage: 0.3,
+            color: '#1abc9c',
+            points: 35,
+            ai: {
+                initial: 'kite',
+                preferredRange: 300,    // Distance it tries to keep from the player
+                windupTime: 250,
+                summonInterval: 6000,
+                castTime: 1000,
+                summonType: 'fast',
+                summonCount: 2
+            }
+        },
+        spitter: {
+            width: 24,
+            height: 24,
+            health: 40,
+            speed: 1.2,
+            damage: 0.3,
+            color: '#7fff00',
+            points: 30,
+            ai: {
+                initial: 'kite',
+                preferredRange: 280,
+                windupTime: 250,
+                fireRange: 450,         // Only shoots within this distance with a clear line
+                fireRate: 2000,
+                aimTime: 400,           // Stands still this long before each shot
+                projectile: {
+                    damage: 5,
+                    bulletSpeed: 5,
+                    bulletSize: 8,
+                    bulletColor: '#9acd32',
+                    spread: 0.05,
+                    behavior: 'standard',
+                    sound: 'spit'
+                }
+            }
         },
         boss: {
+            // Stats and attacks come from CONFIG.BOSSES
+            ai: {
+                initial: 'bossChase'
+            }
+        }
+    },
+    
+    // Boss definitions, cycled through on every 5th wave
+    // Each phase starts once health drops to its `health` fraction; `attacks`
+    // run in order, and `pattern` selects the logic in entities/bossAttacks.js.
+    BOSSES: {
+        butcher: {
+            name: 'The Butcher',
             width: 60,
             height: 60,
             health: 500,
             speed: 1.0,
             damage: 2,
             color: 'red',
-            points: 100
+            points: 100,
+            phases: [
+                {
+                    health: 1,
+                    speed: 1,
+                    attackInterval: 4000,
+                    attacks: [
+                        { pattern: 'charge', duration: 1000, speed: 2 }
+                    ]
+                },
+                {
+                    health: 0.5,
+                    message: 'Enraged!',
+                    color: '#8b0000',
+                    speed: 1.3,
+                    attackInterval: 2500,
+                    attacks: [
+                        { pattern: 'charge', duration: 1200, speed: 2.5 },
+                        { pattern: 'groundSlam', count: 3, radius: 80, scatter: 160, delay: 1000, damage: 15 }
+                    ]
+                }
+            ]
+        },
+        broodmother: {
+            name: 'The Broodmother',
+            width: 55,
+            height: 55,
+            health: 450,
+            speed: 0.8,
+            damage: 1.5,
+            color: '#8e44ad',
+            points: 120,
+            phases: [
+                {
+                    health: 1,
+                    speed: 1,
+                    attackInterval: 4500,
+                    attacks: [
+                        { pattern: 'summon', castTime: 800, summonType: 'fast', summonCount: 3 },
+                        { pattern: 'bulletRing', count: 12, rings: 1, delay: 0, projectile: BOSS_SPIT }
+                    ]
+                },
+                {
+                    health: 0.6,
+                    message: 'The brood awakens!',
+                    speed: 1,
+                    attackInterval: 3500,
+                    attacks: [
+                        { pattern: 'summon', castTime: 800, summonType: 'exploder', summonCount: 2 },
+                        { pattern: 'bulletRing', count: 14, rings: 2, delay: 400, projectile: BOSS_SPIT },
+                        { pattern: 'summon', castTime: 800, summonType: 'spitter', summonCount: 2 }
+                    ]
+                },
+                {
+                    health: 0.25,
+                    message: 'Frenzy!',
+                    color: '#c0392b',
+                    speed: 1.4,
+                    attackInterval: 2000,
+                    attacks: [
+                        { pattern: 'bulletRing', count: 16, rings: 3, delay: 300, projectile: BOSS_SPIT },
+                        { pattern: 'summon', castTime: 500, summonType: 'fast', summonCount: 4 }
+                    ]
+                }
+            ]
+        },
+        colossus: {
+            name: 'The Colossus',
+            width: 70,
+            height: 70,
+            health: 700,
+            speed: 0.7,
+            damage: 3,
+            color: '#7f8c8d',
+            points: 150,
+            phases: [
+                {
+                    health: 1,
+                    speed: 1,
+                    attackInterval: 4000,
+                    attacks: [
+                        { pattern: 'groundSlam', count: 1, radius: 110, scatter: 0, delay: 1200, damage: 25 },
+                        { pattern: 'bulletRing', count: 8, rings: 2, delay: 500, projectile: BOSS_SPIT }
+                    ]
+                },
+                {
+                    health: 0.4,
+                    message: 'The ground shakes!',
+                    color: '#34495e',
+                    speed: 1.2,
+                    attackInterval: 3000,
+                    attacks: [
+                        { pattern: 'groundSlam', count: 5, radius: 90, scatter: 220, delay: 1000, damage: 20 },
+                        { pattern: 'charge', duration: 800, speed: 2.5 },
+                        { pattern: 'bulletRing', count: 16, rings: 2, delay: 400, projectile: BOSS_SPIT }
+                    ]
+                }
+            ]
         }
     },
     
@@ -115,9 +447,17 @@ export const CONFIG = {
             type: 'weapon',
             color: '#9b59b6',
             effect: function(player, game) {
-                const weapons = ['Shotgun', 'MachineGun', 'GrenadeLauncher'];
-                player.weapon = weapons[Math.floor(Math.random() * weapons.length)];
-                player.ammo = CONFIG.WEAPONS[player.weapon].ammo;
+                const weapons = Object.keys(CONFIG.WEAPONS).filter(name => name !== 'Pistol');
+                const weaponName = weapons[Math.floor(game.rng.next() * weapons.length)];
+                const isNew = !player.hasWeapon(weaponName);
+                
+                // New weapons are equipped right away, duplicates just add reserve ammo
+                player.addWeapon(weaponName);
+                if (isNew) {
+                    player.switchWeapon(weaponName);
+                }
+                
+                game.hud.showNotification(isNew ? `Picked up ${weaponName}` : `${weaponName} ammo`, 1500);
                 game.audio.play('powerup');
             }
         },
@@ -125,8 +465,7 @@ export const CONFIG = {
             type: 'speed',
             color: '#3498db',
             effect: function(player, game) {
-                player.speedBoost = 2;
-                player.speedBoostDuration = 600; // 10 seconds at 60fps
+                player.applySpeedBoost(2, 10000); // 10 seconds
                 game.audio.play('powerup');
             }
         },
@@ -134,11 +473,9 @@ export const CONFIG = {
             type: 'ammo',
             color: '#f1c40f',
             effect: function(player, game) {
-                if (player.weapon !== 'Pistol') {
-                    player.ammo = Math.min(
-                        CONFIG.WEAPONS[player.weapon].ammo * 2,
-                        player.ammo + Math.floor(CONFIG.WEAPONS[player.weapon].ammo * 0.5)
-                    );
+                // Refill half of every owned weapon's reserve
+                for (const weaponName of player.getOwnedWeapons()) {
+                    player.addReserveAmmo(weaponName, Math.ceil(CONFIG.WEAPONS[weaponName].maxReserve * 0.5));
                 }
                 game.audio.play('powerup');
             }
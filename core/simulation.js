@@ -0,0 +1,311 @@
+// simulation.js - DOM-free game simulation shared by the browser client and the multiplayer server
+
+import { CONFIG } from '../config.js';
+import { Grid } from '../systems/grid.js';
+import { CollisionSystem } from '../systems/collisions.js';
+import { WaveDirector } from '../systems/waveDirector.js';
+import { MapLoader } from '../systems/mapLoader.js';
+import { SimulationClock } from '../systems/clock.js';
+import { EnemyManager } from '../entities/enemy.js';
+import { BulletManager } from '../entities/bullet.js';
+import { PowerupManager } from '../entities/powerup.js';
+import { StructureManager } from '../entities/structure.js';
+import { SeededRandom } from '../utils/random.js';
+
+// Players, enemies, bullets, powerups, structures and waves, all driven by CONFIG and stepped
+// at a fixed rate. BoxheadGame layers rendering, sound, the HUD, saves and replays on top of it;
+// GameSession runs it headless for a multiplayer room. Entities call the presentation systems
+// (audio, hud, menus, particleManager) directly, so those start out as silent stand-ins.
+export class Simulation {
+    constructor() {
+        // Game state
+        this.score = 0; // Team score, also spent on structures
+        this.currentWave = 1;
+        this.enemiesRemaining = 0;
+        
+        // Gameplay randomness and timers; a seed plus the same inputs replays the same run.
+        // Purely cosmetic effects (particles) still use Math.random.
+        this.seed = null;
+        this.rng = new SeededRandom();
+        this.clock = new SimulationClock();
+        
+        // Systems
+        this.grid = new Grid(CONFIG.GRID_CELL_SIZE);
+        this.collisions = new CollisionSystem(this.grid);
+        this.map = null; // Current map, set by setMap
+        this.waveDirector = new WaveDirector();
+        this.waveHandlers = {
+            spawn: event => this.spawnWaveEvent(event),
+            nextWave: () => this.createWave()
+        };
+        
+        // Presentation stand-ins, replaced by the real systems in the browser
+        this.audio = { play() {} };
+        this.hud = { update() {}, showNotification() {} };
+        this.menus = { showBossWarning() {} };
+        this.particleManager = {
+            particles: [],
+            createParticle() {},
+            createBloodSplatter() {},
+            update() {},
+            clear() {}
+        };
+        
+        // Game entities
+        this.lastEntityId = 0; // Players, enemies, bullets, powerups and structures are numbered for snapshots
+        this.players = []; // Added by the owner before start()
+        this.enemyManager = new EnemyManager(this);
+        this.bulletManager = new BulletManager(this);
+        this.powerupManager = new PowerupManager(this);
+        this.structureManager = new StructureManager(this);
+    }
+    
+    // Start a new run from a seed on a map, with each player on one of the map's spawns
+    start(seed, map) {
+        this.score = 0;
+        this.currentWave = 1;
+        this.enemiesRemaining = 0;
+        
+        this.seed = SeededRandom.parseSeed(seed);
+        this.rng = new SeededRandom(this.seed);
+        this.clock.reset();
+        this.setMap(map);
+        
+        this.players.forEach((player, index) => {
+            player.reset();
+            
+            const spawn = MapLoader.getPlayerSpawn(this.map, index);
+            player.x = spawn.x;
+            player.y = spawn.y;
+        });
+        
+        this.clearWorld();
+        this.createObstacles();
+        
+        // Create first wave
+        this.createWave();
+    }
+    
+    // Remove every enemy, bullet, powerup, particle and structure, leaving only the players
+    clearWorld() {
+        this.enemyManager.clear();
+        this.bulletManager.clear();
+        this.powerupManager.clear();
+        this.particleManager.clear();
+        this.structureManager.clear();
+        this.resetEntityIds();
+        
+        // Reset grid, keeping the players in it
+        this.grid.reset();
+        for (const player of this.players) {
+            player.cellKey = null;
+            this.grid.add(player);
+        }
+    }
+    
+    // Number entities from 1 again; the players take the first ids
+    resetEntityIds() {
+        this.lastEntityId = 0;
+        
+        for (const player of this.players) {
+            player.id = this.generateEntityId();
+        }
+    }
+    
+    // Generate a unique entity id
+    generateEntityId() {
+        return ++this.lastEntityId;
+    }
+    
+    // Switch to a parsed map
+    setMap(map) {
+        this.map = map;
+        this.waveDirector.setZones(this.map.spawnZones);
+    }
+    
+    // Create obstacles from the current map's walls, or from a saved layout
+    createObstacles(obstacles = MapLoader.buildObstacles(this.map)) {
+        this.enemyManager.obstacles.length = 0;
+        
+        for (const obstacle of obstacles) {
+            this.enemyManager.obstacles.push(obstacle);
+            this.grid.add(obstacle);
+        }
+        
+        // Rebuild enemy navigation around the new obstacles
+        this.enemyManager.buildNavGrid();
+    }
+    
+    // Queue the current wave's scripted spawns; they are released by waveDirector.update
+    createWave() {
+        this.respawnDownedPlayers();
+        
+        this.enemiesRemaining = 0;
+        this.waveDirector.startWave(this.currentWave);
+    }
+    
+    // Spawn one enemy (or boss) from the wave script
+    spawnWaveEvent(event) {
+        if (event.boss) {
+            this.enemyManager.createBossEnemy(this.currentWave, event.boss);
+            return;
+        }
+        
+        const position = this.waveDirector.getSpawnPosition(
+            event.zone,
+            this.map.width,
+            this.map.height,
+            this.getSpawnTarget(),
+            this.rng
+        );
+        
+        this.enemyManager.createEnemy(event.type, position.x, position.y);
+    }
+    
+    // Get the point spawns center on: a random living player, or the map center if there is none
+    getSpawnTarget() {
+        const living = this.getLivingPlayers();
+        
+        // A lone player is picked without a roll, so single player runs keep their random sequence
+        if (living.length === 1) return living[0];
+        
+        if (living.length > 1) {
+            return living[Math.floor(this.rng.next() * living.length)];
+        }
+        
+        return { x: this.map.width / 2, y: this.map.height / 2 };
+    }
+    
+    // Get the players still alive
+    getLivingPlayers() {
+        return this.players.filter(player => player.health > 0);
+    }
+    
+    // Get a player by entity id
+    getPlayer(id) {
+        return this.players.find(player => player.id === id) || null;
+    }
+    
+    // Get the living player closest to a point, or null if everyone is dead
+    getNearestPlayer(x, y) {
+        let nearest = null;
+        let nearestDistSq = Infinity;
+        
+        for (const player of this.players) {
+            if (player.health <= 0) continue;
+            
+            const dx = player.x - x;
+            const dy = player.y - y;
+            const distSq = dx * dx + dy * dy;
+            
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearest = player;
+            }
+        }
+        
+        return nearest;
+    }
+    
+    // Award a kill's points to the team, and to the player who landed it (null for turrets)
+    awardKill(enemy, killerId) {
+        this.score += enemy.points;
+        
+        const killer = this.getPlayer(killerId);
+        if (killer) {
+            killer.score += enemy.points;
+            killer.kills++;
+        }
+    }
+    
+    // Wave complete
+    completeWave() {
+        this.currentWave++;
+        
+        // Start next wave after the intermission (counted on the game clock, so pausing holds it)
+        this.waveDirector.queueNextWave();
+    }
+    
+    // A player's health has run out: they are down until a teammate revives them or the next wave
+    playerDied(player) {
+        player.deaths++;
+        player.reviveProgress = 0;
+        this.grid.remove(player);
+    }
+    
+    // Check if every player is down, which ends the run
+    isTeamDown() {
+        return this.players.length > 0 && this.getLivingPlayers().length === 0;
+    }
+    
+    // Revive downed players once a living teammate has stood next to them for long enough
+    updateRevives(deltaTime) {
+        for (const player of this.players) {
+            if (player.health > 0) continue;
+            
+            const reviver = this.getNearestPlayer(player.x, player.y);
+            const inRange = reviver !== null &&
+                Math.hypot(reviver.x - player.x, reviver.y - player.y) <= CONFIG.REVIVE_RADIUS;
+            
+            // Stepping away loses the progress
+            player.reviveProgress = inRange ? player.reviveProgress + deltaTime * 1000 : 0;
+            
+            if (player.reviveProgress >= CONFIG.REVIVE_TIME) {
+                this.returnPlayer(player, player.maxHealth * CONFIG.REVIVE_HEALTH);
+            }
+        }
+    }
+    
+    // Bring every downed player back on their spawn point with full health
+    respawnDownedPlayers() {
+        this.players.forEach((player, index) => {
+            if (player.health > 0) return;
+            
+            const spawn = MapLoader.getPlayerSpawn(this.map, index);
+            player.x = spawn.x;
+            player.y = spawn.y;
+            
+            this.returnPlayer(player, player.maxHealth);
+        });
+    }
+    
+    // Put a downed player back into play
+    returnPlayer(player, health) {
+        player.revive(health);
+        player.cellKey = null;
+        this.grid.add(player);
+        this.hud.update(this);
+    }
+    
+    // Advance the world by one fixed step; inputs maps each player to the InputManager steering them
+    step(deltaTime, inputs) {
+        // Advance simulation time by one fixed step
+        this.clock.advance(deltaTime);
+        
+        // Update players
+        for (const player of this.getLivingPlayers()) {
+            player.update(deltaTime, inputs.get(player), this.grid, this.enemyManager.obstacles);
+        }
+        
+        // Downed players can be picked up by teammates
+        this.updateRevives(deltaTime);
+        
+        // Update structures (build input and turrets)
+        this.structureManager.update(deltaTime, inputs);
+        
+        // Update bullets
+        this.bulletManager.update(deltaTime);
+        
+        // Release scripted spawns and start the next wave after an intermission
+        this.waveDirector.update(deltaTime, this.waveHandlers);
+        
+        // Update enemies
+        this.enemyManager.update(deltaTime);
+        
+        // Update powerups
+        this.powerupManager.update(deltaTime);
+        
+        // Update particles
+        this.particleManager.update(deltaTime);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+// index.js - Bundled maps, keyed by id
+
+import { WAREHOUSE } from './warehouse.js';
+import { STREETS } from './streets.js';
+import { OUTSKIRTS } from './outskirts.js';
+
+// Maps are plain JSON data (no functions), so they can be moved to .json files or sent over the network.
+//
+// A map is { id, name, size, width, height, background, walls, playerSpawns, spawnZones, decorations }:
+//   size          'small' | 'medium' | 'large', matched against a room's mapSize setting
+//   width/height  world size; border walls are added around it by the loader
+//   background    optional canvas clear color
+//   walls         obstacles { x, y, width, height, color }, positioned by their top-left corner
+//   playerSpawns  { x, y } points, one per player in multiplayer (the first is used in single player)
+//   spawnZones    wave zones to override for this map (see data/waves.js); rect zones here are
+//                 in world units rather than fractions
+//   decorations   non-colliding shapes { layer, shape, x, y, width, height | radius, color }
+//                 layer 'floor' draws under entities, 'overlay' over them; circles are
+//                 positioned by their center
+export const MAPS = {
+    warehouse: WAREHOUSE,
+    streets: STREETS,
+    outskirts: OUTSKIRTS
+};
+
+// Map used when none is chosen; it matches the world size in CONFIG
+export const DEFAULT_MAP = 'outskirts';
\ No newline at end of file
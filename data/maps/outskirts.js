@@ -0,0 +1,76 @@
+// outskirts.js - Large open map of ruins and woodland, the classic Boxhead arena
+
+export const OUTSKIRTS = {
+    id: 'outskirts',
+    name: 'Outskirts',
+    size: 'large',
+    width: 3000,
+    height: 2400,
+    
+    walls: [
+        // Ruined farmhouse
+        { x: 400, y: 350, width: 300, height: 30 },
+        { x: 400, y: 380, width: 30, height: 200 },
+        { x: 670, y: 380, width: 30, height: 120 },
+        
+        // Collapsed barn
+        { x: 2200, y: 300, width: 400, height: 40 },
+        { x: 2560, y: 340, width: 40, height: 260 },
+        { x: 2200, y: 560, width: 200, height: 40 },
+        
+        // Stone walls
+        { x: 1100, y: 700, width: 250, height: 30 },
+        { x: 1650, y: 700, width: 250, height: 30 },
+        { x: 1100, y: 1670, width: 250, height: 30 },
+        { x: 1650, y: 1670, width: 250, height: 30 },
+        { x: 300, y: 1500, width: 30, height: 350 },
+        { x: 2670, y: 1400, width: 30, height: 350 },
+        
+        // Tree trunks (canopies are overlay decorations)
+        { x: 900, y: 1100, width: 40, height: 40, color: '#4a3520' },
+        { x: 2050, y: 1150, width: 40, height: 40, color: '#4a3520' },
+        { x: 700, y: 1900, width: 40, height: 40, color: '#4a3520' },
+        { x: 1500, y: 2000, width: 40, height: 40, color: '#4a3520' },
+        { x: 2400, y: 1950, width: 40, height: 40, color: '#4a3520' },
+        { x: 1500, y: 400, width: 40, height: 40, color: '#4a3520' },
+        
+        // Boulders
+        { x: 600, y: 900, width: 90, height: 70, color: '#666' },
+        { x: 2300, y: 850, width: 70, height: 90, color: '#666' },
+        { x: 1000, y: 2150, width: 80, height: 60, color: '#666' },
+        { x: 2000, y: 1800, width: 60, height: 80, color: '#666' },
+        { x: 180, y: 200, width: 70, height: 70, color: '#666' },
+        { x: 2750, y: 2150, width: 70, height: 70, color: '#666' }
+    ],
+    
+    playerSpawns: [
+        { x: 1500, y: 1200 },
+        { x: 1400, y: 1200 },
+        { x: 1600, y: 1200 },
+        { x: 1500, y: 1100 },
+        { x: 1500, y: 1300 },
+        { x: 1400, y: 1100 },
+        { x: 1600, y: 1100 },
+        { x: 1400, y: 1300 }
+    ],
+    
+    spawnZones: {},
+    
+    decorations: [
+        // Dirt road through the middle
+        { layer: 'floor', shape: 'rect', x: 0, y: 1150, width: 3000, height: 100, color: 'rgba(120, 90, 50, 0.15)' },
+        
+        // Grass patches
+        { layer: 'floor', shape: 'circle', x: 600, y: 600, radius: 220, color: 'rgba(60, 120, 40, 0.08)' },
+        { layer: 'floor', shape: 'circle', x: 2400, y: 1700, radius: 260, color: 'rgba(60, 120, 40, 0.08)' },
+        { layer: 'floor', shape: 'circle', x: 1200, y: 1900, radius: 200, color: 'rgba(60, 120, 40, 0.08)' },
+        
+        // Tree canopies drawn over everything below them
+        { layer: 'overlay', shape: 'circle', x: 920, y: 1120, radius: 90, color: 'rgba(30, 80, 30, 0.6)' },
+        { layer: 'overlay', shape: 'circle', x: 2070, y: 1170, radius: 90, color: 'rgba(30, 80, 30, 0.6)' },
+        { layer: 'overlay', shape: 'circle', x: 720, y: 1920, radius: 90, color: 'rgba(30, 80, 30, 0.6)' },
+        { layer: 'overlay', shape: 'circle', x: 1520, y: 2020, radius: 90, color: 'rgba(30, 80, 30, 0.6)' },
+        { layer: 'overlay', shape: 'circle', x: 2420, y: 1970, radius: 90, color: 'rgba(30, 80, 30, 0.6)' },
+        { layer: 'overlay', shape: 'circle', x: 1520, y: 420, radius: 90, color: 'rgba(30, 80, 30, 0.6)' }
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+// streets.js - Medium city map of building blocks split by roads
+
+export const STREETS = {
+    id: 'streets',
+    name: 'Streets',
+    size: 'medium',
+    width: 2400,
+    height: 1800,
+    background: '#1f1f22',
+    
+    walls: [
+        // Northern buildings
+        { x: 200, y: 200, width: 500, height: 450, color: '#4a4a52' },
+        { x: 950, y: 200, width: 500, height: 450, color: '#4a4a52' },
+        { x: 1700, y: 200, width: 500, height: 450, color: '#4a4a52' },
+        
+        // Southern buildings
+        { x: 200, y: 1150, width: 500, height: 450, color: '#4a4a52' },
+        { x: 950, y: 1150, width: 500, height: 450, color: '#4a4a52' },
+        { x: 1700, y: 1150, width: 500, height: 450, color: '#4a4a52' },
+        
+        // Abandoned cars
+        { x: 420, y: 820, width: 120, height: 60, color: '#7a2e2e' },
+        { x: 1780, y: 930, width: 120, height: 60, color: '#2e4a7a' },
+        { x: 790, y: 380, width: 60, height: 120, color: '#5a5a2e' },
+        { x: 1550, y: 1300, width: 60, height: 120, color: '#2e5a3a' },
+        
+        // Barricade across the main road
+        { x: 1150, y: 700, width: 100, height: 30 },
+        { x: 1150, y: 1070, width: 100, height: 30 }
+    ],
+    
+    playerSpawns: [
+        { x: 1200, y: 900 },
+        { x: 1100, y: 900 },
+        { x: 1300, y: 900 },
+        { x: 1200, y: 820 },
+        { x: 1200, y: 980 },
+        { x: 1000, y: 900 },
+        { x: 1400, y: 900 },
+        { x: 1200, y: 760 }
+    ],
+    
+    // Enemies pour in from the ends of the roads
+    spawnZones: {
+        north: { shape: 'rect', x: 700, y: 0, width: 250, height: 120 },
+        south: { shape: 'rect', x: 1450, y: 1680, width: 250, height: 120 }
+    },
+    
+    decorations: [
+        // Sidewalks around the blocks
+        { layer: 'floor', shape: 'rect', x: 170, y: 170, width: 560, height: 510, color: 'rgba(255, 255, 255, 0.04)' },
+        { layer: 'floor', shape: 'rect', x: 920, y: 170, width: 560, height: 510, color: 'rgba(255, 255, 255, 0.04)' },
+        { layer: 'floor', shape: 'rect', x: 1670, y: 170, width: 560, height: 510, color: 'rgba(255, 255, 255, 0.04)' },
+        { layer: 'floor', shape: 'rect', x: 170, y: 1120, width: 560, height: 510, color: 'rgba(255, 255, 255, 0.04)' },
+        { layer: 'floor', shape: 'rect', x: 920, y: 1120, width: 560, height: 510, color: 'rgba(255, 255, 255, 0.04)' },
+        { layer: 'floor', shape: 'rect', x: 1670, y: 1120, width: 560, height: 510, color: 'rgba(255, 255, 255, 0.04)' },
+        
+        // Lane markings
+        { layer: 'floor', shape: 'rect', x: 0, y: 897, width: 2400, height: 6, color: 'rgba(255, 220, 0, 0.25)' },
+        { layer: 'floor', shape: 'rect', x: 822, y: 0, width: 6, height: 1800, color: 'rgba(255, 255, 255, 0.15)' },
+        { layer: 'floor', shape: 'rect', x: 1572, y: 0, width: 6, height: 1800, color: 'rgba(255, 255, 255, 0.15)' },
+        
+        // Street lamps
+        { layer: 'overlay', shape: 'circle', x: 825, y: 900, radius: 140, color: 'rgba(255, 220, 150, 0.05)' },
+        { layer: 'overlay', shape: 'circle', x: 1575, y: 900, radius: 140, color: 'rgba(255, 220, 150, 0.05)' }
+    ]
+};
\ No newline at end of file
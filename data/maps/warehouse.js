@@ -0,0 +1,64 @@
+// warehouse.js - Small indoor map with shelving aisles and two loading doors
+
+export const WAREHOUSE = {
+    id: 'warehouse',
+    name: 'Warehouse',
+    size: 'small',
+    width: 1600,
+    height: 1200,
+    background: '#1d1b18',
+    
+    walls: [
+        // Shelving rows
+        { x: 250, y: 200, width: 450, height: 40 },
+        { x: 900, y: 200, width: 450, height: 40 },
+        { x: 250, y: 960, width: 450, height: 40 },
+        { x: 900, y: 960, width: 450, height: 40 },
+        
+        // Support pillars
+        { x: 480, y: 440, width: 60, height: 60, color: '#666' },
+        { x: 1060, y: 440, width: 60, height: 60, color: '#666' },
+        { x: 480, y: 700, width: 60, height: 60, color: '#666' },
+        { x: 1060, y: 700, width: 60, height: 60, color: '#666' },
+        
+        // Crate stacks
+        { x: 140, y: 560, width: 80, height: 80, color: '#6b4f2e' },
+        { x: 1380, y: 560, width: 80, height: 80, color: '#6b4f2e' },
+        { x: 1380, y: 380, width: 60, height: 60, color: '#6b4f2e' }
+    ],
+    
+    playerSpawns: [
+        { x: 800, y: 600 },
+        { x: 720, y: 600 },
+        { x: 880, y: 600 },
+        { x: 800, y: 520 },
+        { x: 800, y: 680 },
+        { x: 720, y: 520 },
+        { x: 880, y: 520 },
+        { x: 720, y: 680 }
+    ],
+    
+    // Rings are tighter than the defaults so enemies appear inside the building,
+    // and the north and south edges are narrowed to the loading doors
+    spawnZones: {
+        around: { shape: 'ring', distance: 500 },
+        far: { shape: 'ring', distance: 700 },
+        north: { shape: 'rect', x: 650, y: 0, width: 300, height: 80 },
+        south: { shape: 'rect', x: 650, y: 1120, width: 300, height: 80 }
+    },
+    
+    decorations: [
+        // Painted aisle lines
+        { layer: 'floor', shape: 'rect', x: 0, y: 320, width: 1600, height: 6, color: 'rgba(255, 200, 0, 0.2)' },
+        { layer: 'floor', shape: 'rect', x: 0, y: 874, width: 1600, height: 6, color: 'rgba(255, 200, 0, 0.2)' },
+        
+        // Loading bays
+        { layer: 'floor', shape: 'rect', x: 650, y: 0, width: 300, height: 120, color: 'rgba(255, 255, 255, 0.05)' },
+        { layer: 'floor', shape: 'rect', x: 650, y: 1080, width: 300, height: 120, color: 'rgba(255, 255, 255, 0.05)' },
+        
+        // Pools of light under the ceiling lamps
+        { layer: 'overlay', shape: 'circle', x: 400, y: 600, radius: 160, color: 'rgba(255, 240, 200, 0.04)' },
+        { layer: 'overlay', shape: 'circle', x: 800, y: 600, radius: 160, color: 'rgba(255, 240, 200, 0.04)' },
+        { layer: 'overlay', shape: 'circle', x: 1200, y: 600, radius: 160, color: 'rgba(255, 240, 200, 0.04)' }
+    ]
+};
\ No newline at end of file
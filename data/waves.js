@@ -0,0 +1,109 @@
+// waves.js - Wave scripts shared by the single-player game and the multiplayer server
+
+// Plain JSON data (no functions), so it can be moved to a .json file or sent over the network.
+//
+// A wave is { boss, groups }:
+//   boss    - optional: a CONFIG.BOSSES id, or true to cycle through the bosses in order
+//   groups  - spawn groups: { type, count, zone, delay, interval }
+//             type      CONFIG.ENEMY_TYPES key
+//             zone      key of `zones` below
+//             delay     ms after the wave starts before the group's first spawn
+//             interval  ms between spawns within the group
+// Waves past the end of `waves` are built from `endless`, adding `perWave`
+// enemies to each group for every wave beyond the scripted ones.
+//
+// Zones are either a ring around a target player (`distance` in world units) or a
+// rectangle given as fractions of the world size, so they fit any map.
+export const WAVES = {
+    intermission: 3000, // ms between a wave being cleared and the next one starting
+    
+    zones: {
+        around: { shape: 'ring', distance: 800 },
+        far: { shape: 'ring', distance: 1100 },
+        north: { shape: 'rect', x: 0, y: 0, width: 1, height: 0.08 },
+        south: { shape: 'rect', x: 0, y: 0.92, width: 1, height: 0.08 },
+        west: { shape: 'rect', x: 0, y: 0, width: 0.08, height: 1 },
+        east: { shape: 'rect', x: 0.92, y: 0, width: 0.08, height: 1 }
+    },
+    
+    waves: [
+        {
+            groups: [
+                { type: 'normal', count: 4, zone: 'around', delay: 0, interval: 400 }
+            ]
+        },
+        {
+            groups: [
+                { type: 'normal', count: 4, zone: 'around', delay: 0, interval: 350 },
+                { type: 'fast', count: 2, zone: 'around', delay: 1500, interval: 300 }
+            ]
+        },
+        {
+            groups: [
+                { type: 'normal', count: 4, zone: 'around', delay: 0, interval: 350 },
+                { type: 'fast', count: 2, zone: 'north', delay: 1000, interval: 300 },
+                { type: 'tank', count: 1, zone: 'far', delay: 2500, interval: 0 }
+            ]
+        },
+        {
+            groups: [
+                { type: 'normal', count: 4, zone: 'around', delay: 0, interval: 300 },
+                { type: 'exploder', count: 2, zone: 'east', delay: 1000, interval: 500 },
+                { type: 'spitter', count: 2, zone: 'west', delay: 2000, interval: 500 },
+                { type: 'tank', count: 1, zone: 'far', delay: 3000, interval: 0 }
+            ]
+        },
+        {
+            boss: true,
+            groups: []
+        },
+        {
+            groups: [
+                { type: 'normal', count: 5, zone: 'around', delay: 0, interval: 300 },
+                { type: 'fast', count: 3, zone: 'south', delay: 1000, interval: 250 },
+                { type: 'summoner', count: 1, zone: 'far', delay: 2000, interval: 0 },
+                { type: 'spitter', count: 2, zone: 'north', delay: 3000, interval: 500 }
+            ]
+        },
+        {
+            groups: [
+                { type: 'fast', count: 6, zone: 'around', delay: 0, interval: 200 },
+                { type: 'exploder', count: 3, zone: 'around', delay: 2000, interval: 400 },
+                { type: 'tank', count: 2, zone: 'far', delay: 3000, interval: 1000 }
+            ]
+        },
+        {
+            groups: [
+                { type: 'normal', count: 6, zone: 'north', delay: 0, interval: 250 },
+                { type: 'normal', count: 6, zone: 'south', delay: 0, interval: 250 },
+                { type: 'spitter', count: 3, zone: 'east', delay: 2000, interval: 400 }
+            ]
+        },
+        {
+            groups: [
+                { type: 'tank', count: 3, zone: 'around', delay: 0, interval: 800 },
+                { type: 'summoner', count: 2, zone: 'far', delay: 1000, interval: 1500 },
+                { type: 'exploder', count: 4, zone: 'around', delay: 3000, interval: 300 },
+                { type: 'fast', count: 4, zone: 'west', delay: 4000, interval: 200 }
+            ]
+        },
+        {
+            boss: true,
+            groups: [
+                { type: 'normal', count: 4, zone: 'around', delay: 5000, interval: 1000 }
+            ]
+        }
+    ],
+    
+    endless: {
+        bossEvery: 5,
+        groups: [
+            { type: 'normal', count: 6, perWave: 0.8, zone: 'around', delay: 0, interval: 250 },
+            { type: 'fast', count: 4, perWave: 0.5, zone: 'north', delay: 1000, interval: 200 },
+            { type: 'tank', count: 2, perWave: 0.3, zone: 'far', delay: 2000, interval: 800 },
+            { type: 'exploder', count: 2, perWave: 0.3, zone: 'east', delay: 2500, interval: 400 },
+            { type: 'spitter', count: 2, perWave: 0.3, zone: 'west', delay: 3000, interval: 400 },
+            { type: 'summoner', count: 1, perWave: 0.1, zone: 'far', delay: 4000, interval: 2000 }
+        ]
+    }
+};
\ No newline at end of file
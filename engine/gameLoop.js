@@ -24,6 +24,7 @@ export class GameLoop {
         
         // Calculate timestep from FPS cap
         this.timeStep = 1000 / CONFIG.FPS_CAP;
+        this.timeScale = 1; // Simulated time per real time (replay speed)
         
         // Bind loop method to keep the correct this context
         this.loop = this.loop.bind(this);
@@ -74,7 +75,7 @@ export class GameLoop {
         const clampedDelta = Math.min(deltaTime, maxFrameTime);
         
         // Accumulate time for fixed step updates
-        this.accumulatedTime += clampedDelta;
+        this.accumulatedTime += clampedDelta * this.timeScale;
         
         // Perform fixed step updates
         while (this.accumulatedTime >= this.timeStep) {
@@ -82,8 +83,9 @@ export class GameLoop {
             this.accumulatedTime -= this.timeStep;
         }
         
-        // Render the current state
-        this.render();
+        // Render between the last two steps using the leftover time, so motion stays smooth
+        // on displays faster than the simulation rate
+        this.render(this.accumulatedTime / this.timeStep);
         
         // Schedule the next frame
         if (this.isRunning) {
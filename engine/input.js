@@ -4,6 +4,7 @@ export class InputManager {
     constructor() {
         // Keyboard state
         this.keys = {};
+        this.keyPresses = {}; // Keys pressed since last consumed
         
         // Mouse state
         this.mouseX = 0;
@@ -11,6 +12,7 @@ export class InputManager {
         this.worldMouseX = 0;
         this.worldMouseY = 0;
         this.isShooting = false;
+        this.wheelDelta = 0;
         
         // Binding event handlers to maintain context
         this.onKeyDown = this.onKeyDown.bind(this);
@@ -18,6 +20,7 @@ export class InputManager {
         this.onMouseMove = this.onMouseMove.bind(this);
         this.onMouseDown = this.onMouseDown.bind(this);
         this.onMouseUp = this.onMouseUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
     }
     
     // Initialize input event listeners
@@ -32,6 +35,7 @@ export class InputManager {
             gameCanvas.addEventListener('mousemove', this.onMouseMove);
             gameCanvas.addEventListener('mousedown', this.onMouseDown);
             gameCanvas.addEventListener('mouseup', this.onMouseUp);
+            gameCanvas.addEventListener('wheel', this.onWheel, { passive: false });
             
             // Prevent right-click menu on canvas
             gameCanvas.addEventListener('contextmenu', (e) => {
@@ -53,6 +57,7 @@ export class InputManager {
             gameCanvas.removeEventListener('mousemove', this.onMouseMove);
             gameCanvas.removeEventListener('mousedown', this.onMouseDown);
             gameCanvas.removeEventListener('mouseup', this.onMouseUp);
+            gameCanvas.removeEventListener('wheel', this.onWheel);
             gameCanvas.removeEventListener('contextmenu', (e) => {
                 e.preventDefault();
                 return false;
@@ -62,10 +67,15 @@ export class InputManager {
     
     // Key down event handler
     onKeyDown(e) {
+        // Record a single press, ignoring auto-repeat
+        if (!e.repeat) {
+            this.keyPresses[e.key] = true;
+        }
+        
         this.keys[e.key] = true;
         
-        // Prevent default actions for arrow keys and space
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' '].includes(e.key)) {
+        // Prevent default actions for arrow keys, space and the debug key
+        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'F3'].includes(e.key)) {
             e.preventDefault();
         }
     }
@@ -75,11 +85,11 @@ export class InputManager {
         this.keys[e.key] = false;
     }
     
-    // Mouse move event handler
+    // Mouse move event handler (whole pixels, so recorded input replays exactly)
     onMouseMove(e) {
         const rect = e.target.getBoundingClientRect();
-        this.mouseX = e.clientX - rect.left;
-        this.mouseY = e.clientY - rect.top;
+        this.mouseX = Math.round(e.clientX - rect.left);
+        this.mouseY = Math.round(e.clientY - rect.top);
     }
     
     // Mouse down event handler
@@ -96,32 +106,74 @@ export class InputManager {
         }
     }
     
+    // Mouse wheel event handler
+    onWheel(e) {
+        e.preventDefault();
+        this.wheelDelta += Math.sign(e.deltaY);
+    }
+    
     // Check if a key is currently pressed
     isKeyPressed(key) {
         return this.keys[key] === true;
     }
     
+    // Check if a key was pressed since the last check, and clear it
+    consumeKeyPress(key) {
+        const pressed = this.keyPresses[key] === true;
+        delete this.keyPresses[key];
+        return pressed;
+    }
+    
+    // Get accumulated wheel steps since the last check, and clear them
+    consumeWheel() {
+        const delta = this.wheelDelta;
+        this.wheelDelta = 0;
+        return delta;
+    }
+    
     // Update world mouse position based on camera
     updateWorldMousePosition(camera) {
         this.worldMouseX = this.mouseX + camera.x;
         this.worldMouseY = this.mouseY + camera.y;
     }
     
-    // Get current input state (useful for debugging)
+    // Get current input state (recorded once per tick for replays, also useful for debugging)
     getInputState() {
         return {
-            keys: {...this.keys},
+            keys: Object.keys(this.keys).filter(key => this.keys[key]), // Held keys
+            keyPresses: Object.keys(this.keyPresses), // Presses not consumed yet
             mouseX: this.mouseX,
             mouseY: this.mouseY,
             worldMouseX: this.worldMouseX,
             worldMouseY: this.worldMouseY,
-            isShooting: this.isShooting
+            isShooting: this.isShooting,
+            wheelDelta: this.wheelDelta
         };
     }
     
+    // Replace the input state with one from getInputState (replay playback)
+    setInputState(state) {
+        this.keys = {};
+        for (const key of state.keys) {
+            this.keys[key] = true;
+        }
+        
+        this.keyPresses = {};
+        for (const key of state.keyPresses) {
+            this.keyPresses[key] = true;
+        }
+        
+        this.mouseX = state.mouseX;
+        this.mouseY = state.mouseY;
+        this.isShooting = state.isShooting;
+        this.wheelDelta = state.wheelDelta;
+    }
+    
     // Reset all input state (for scene transitions etc)
     reset() {
         this.keys = {};
+        this.keyPresses = {};
+        this.wheelDelta = 0;
         this.isShooting = false;
     }
 }
\ No newline at end of file
@@ -13,6 +13,7 @@ export class Renderer {
         this.debugMode = false;
         this.batchRenderer = null;
         this.offscreenRenderer = null;
+        this.alpha = 1; // How far this frame is between the last two simulation steps
     }
     
     // Initialize canvas and context
@@ -64,11 +65,11 @@ export class Renderer {
         this.gameCanvas.height = this.height;
     }
     
-    // Clear canvas
-    clear() {
+    // Clear canvas, optionally to a map's background color
+    clear(background = null) {
         if (!this.ctx) return;
         
-        this.ctx.fillStyle = '#1a1a1a';
+        this.ctx.fillStyle = background || '#1a1a1a';
         this.ctx.fillRect(0, 0, this.width, this.height);
     }
     
@@ -101,6 +102,9 @@ export class Renderer {
         if (!this.ctx) return;
         
         for (const obstacle of obstacles) {
+            // Player structures are drawn by renderStructures
+            if (obstacle.isStructure) continue;
+            
             // Skip rendering obstacles outside of view
             if (this.isOffscreen(obstacle, camera)) continue;
             
@@ -117,12 +121,122 @@ export class Renderer {
         }
     }
     
+    // Render non-colliding map decorations (rects by top-left corner, circles by center)
+    renderDecorations(decorations, camera) {
+        if (!this.ctx) return;
+        
+        for (const decoration of decorations) {
+            const screenX = decoration.x - camera.x;
+            const screenY = decoration.y - camera.y;
+            
+            this.ctx.fillStyle = decoration.color;
+            
+            if (decoration.shape === 'circle') {
+                if (screenX + decoration.radius < 0 || screenX - decoration.radius > camera.width ||
+                    screenY + decoration.radius < 0 || screenY - decoration.radius > camera.height) {
+                    continue;
+                }
+                
+                this.ctx.beginPath();
+                this.ctx.arc(screenX, screenY, decoration.radius, 0, Math.PI * 2);
+                this.ctx.fill();
+            } else {
+                if (screenX + decoration.width < 0 || screenX > camera.width ||
+                    screenY + decoration.height < 0 || screenY > camera.height) {
+                    continue;
+                }
+                
+                this.ctx.fillRect(screenX, screenY, decoration.width, decoration.height);
+            }
+        }
+    }
+    
+    // Render telegraphed danger areas, filling up as they get closer to erupting (currentTime is simulation time)
+    renderTelegraphs(telegraphs, camera, currentTime) {
+        if (!this.ctx) return;
+        
+        for (const telegraph of telegraphs) {
+            const screenX = telegraph.x - camera.x;
+            const screenY = telegraph.y - camera.y;
+            
+            if (screenX + telegraph.radius < 0 || screenX - telegraph.radius > camera.width ||
+                screenY + telegraph.radius < 0 || screenY - telegraph.radius > camera.height) {
+                continue;
+            }
+            
+            const progress = Math.min(1, (currentTime - telegraph.startTime) /
+                (telegraph.triggerTime - telegraph.startTime));
+            
+            // Outline of the full blast area
+            this.ctx.strokeStyle = 'rgba(231, 76, 60, 0.8)';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(screenX, screenY, telegraph.radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+            
+            // Inner fill grows until the eruption
+            this.ctx.fillStyle = 'rgba(231, 76, 60, 0.3)';
+            this.ctx.beginPath();
+            this.ctx.arc(screenX, screenY, telegraph.radius * progress, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+    
+    // Render player-built structures
+    renderStructures(structures, camera) {
+        if (!this.ctx) return;
+        
+        for (const structure of structures) {
+            if (this.isOffscreen(structure, camera)) continue;
+            
+            const screenX = structure.x - camera.x;
+            const screenY = structure.y - camera.y;
+            
+            this.ctx.fillStyle = structure.color;
+            this.ctx.fillRect(screenX, screenY, structure.width, structure.height);
+            
+            this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(screenX, screenY, structure.width, structure.height);
+            
+            if (structure.type === 'turret') {
+                // Draw barrel pointing at the last target
+                this.ctx.save();
+                this.ctx.translate(screenX + structure.width / 2, screenY + structure.height / 2);
+                this.ctx.rotate(structure.angle);
+                this.ctx.fillStyle = '#95a5a6';
+                this.ctx.fillRect(0, -3, structure.width * 0.7, 6);
+                this.ctx.restore();
+            } else {
+                // Draw planks across barricades
+                this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+                this.ctx.beginPath();
+                this.ctx.moveTo(screenX, screenY);
+                this.ctx.lineTo(screenX + structure.width, screenY + structure.height);
+                this.ctx.moveTo(screenX + structure.width, screenY);
+                this.ctx.lineTo(screenX, screenY + structure.height);
+                this.ctx.stroke();
+            }
+            
+            // Health bar once damaged
+            if (structure.health < structure.maxHealth) {
+                const healthPercent = Math.max(0, structure.health / structure.maxHealth);
+                
+                this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+                this.ctx.fillRect(screenX, screenY - 8, structure.width, 4);
+                
+                this.ctx.fillStyle = healthPercent > 0.5 ? '#2ecc71' : (healthPercent > 0.25 ? '#f39c12' : '#e74c3c');
+                this.ctx.fillRect(screenX, screenY - 8, structure.width * healthPercent, 4);
+            }
+        }
+    }
+    
     // Render player
     renderPlayer(player, camera, aimX, aimY) {
         if (!this.ctx) return;
         
-        const screenX = player.x - camera.x;
-        const screenY = player.y - camera.y;
+        const screenX = this.getRenderX(player) - camera.x;
+        const screenY = this.getRenderY(player) - camera.y;
         
         // Calculate aiming angle
         const dx = aimX - player.x;
@@ -155,7 +269,7 @@ export class Renderer {
         this.ctx.restore();
         
         // Draw speed boost effect if active
-        if (player.speedBoostDuration > 0) {
+        if (player.hasSpeedBoost()) {
             this.ctx.strokeStyle = 'rgba(52, 152, 219, 0.7)';
             this.ctx.lineWidth = 2;
             this.ctx.beginPath();
@@ -173,8 +287,8 @@ export class Renderer {
         }
     }
     
-    // Render enemies
-    renderEnemies(enemies, camera) {
+    // Render enemies (currentTime is simulation time, for state timers)
+    renderEnemies(enemies, camera, currentTime) {
         if (!this.ctx) return;
         
         // First pass: batch enemy bodies by color
@@ -182,8 +296,8 @@ export class Renderer {
             // Skip rendering enemies outside of view
             if (this.isOffscreen(enemy, camera)) continue;
             
-            const screenX = enemy.x - camera.x;
-            const screenY = enemy.y - camera.y;
+            const screenX = this.getRenderX(enemy) - camera.x;
+            const screenY = this.getRenderY(enemy) - camera.y;
             
             // Add enemy to batch
             this.batchRenderer.addRect(
@@ -198,17 +312,65 @@ export class Renderer {
         // Render all enemy bodies
         this.batchRenderer.flush();
         
+        // Telegraph attacks that are about to happen
+        for (const enemy of enemies) {
+            if (this.isOffscreen(enemy, camera)) continue;
+            
+            const screenX = this.getRenderX(enemy) - camera.x;
+            const screenY = this.getRenderY(enemy) - camera.y;
+            
+            if (enemy.aiState === 'windup') {
+                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(
+                    screenX - enemy.width / 2 - 2,
+                    screenY - enemy.height / 2 - 2,
+                    enemy.width + 4,
+                    enemy.height + 4
+                );
+            } else if (enemy.aiState === 'fuse') {
+                // Flash faster as the fuse burns down
+                const elapsed = currentTime - enemy.stateStartTime;
+                if (Math.floor(elapsed / (150 - elapsed / 10)) % 2 === 0) {
+                    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                    this.ctx.fillRect(
+                        screenX - enemy.width / 2,
+                        screenY - enemy.height / 2,
+                        enemy.width,
+                        enemy.height
+                    );
+                }
+            } else if (enemy.aiState === 'ranged') {
+                // Aim line towards where the shot will go
+                this.ctx.strokeStyle = 'rgba(154, 205, 50, 0.6)';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(screenX, screenY);
+                this.ctx.lineTo(
+                    screenX + Math.cos(enemy.aimAngle) * 60,
+                    screenY + Math.sin(enemy.aimAngle) * 60
+                );
+                this.ctx.stroke();
+            } else if (enemy.aiState === 'summon') {
+                this.ctx.strokeStyle = enemy.color;
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.arc(screenX, screenY, enemy.width * (1 + (currentTime % 500) / 500), 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        }
+        
         // Second pass: render health bars
         for (const enemy of enemies) {
             if (this.isOffscreen(enemy, camera)) continue;
             
-            const screenX = enemy.x - camera.x;
-            const screenY = enemy.y - camera.y;
+            const screenX = this.getRenderX(enemy) - camera.x;
+            const screenY = this.getRenderY(enemy) - camera.y;
             
             // Health bar
             const healthBarWidth = enemy.width;
             const healthBarHeight = 4;
-            const healthPercent = enemy.health / CONFIG.ENEMY_TYPES[enemy.type].health;
+            const healthPercent = enemy.health / enemy.maxHealth;
             
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
             this.ctx.fillRect(
@@ -228,22 +390,22 @@ export class Renderer {
         }
     }
     
-    // Render bullets
-    renderBullets(bullets, camera) {
+    // Render bullets (currentTime is simulation time, for flame fade-out)
+    renderBullets(bullets, camera, currentTime) {
         if (!this.ctx) return;
         
         for (const bullet of bullets) {
             // Skip rendering bullets outside of view
             if (this.isOffscreen(bullet, camera)) continue;
             
-            const screenX = bullet.x - camera.x;
-            const screenY = bullet.y - camera.y;
+            const screenX = this.getRenderX(bullet) - camera.x;
+            const screenY = this.getRenderY(bullet) - camera.y;
             
             // Draw bullet
             this.ctx.fillStyle = bullet.color;
             this.ctx.beginPath();
             
-            if (bullet.isGrenade) {
+            if (bullet.behavior === 'grenade') {
                 // Draw grenade as a circle
                 this.ctx.arc(screenX, screenY, bullet.width / 2, 0, Math.PI * 2);
                 this.ctx.fill();
@@ -254,6 +416,30 @@ export class Renderer {
                 this.ctx.beginPath();
                 this.ctx.arc(screenX, screenY, bullet.width / 2, 0, Math.PI * 2);
                 this.ctx.stroke();
+            } else if (bullet.behavior === 'homing') {
+                // Draw rocket body pointing along its heading
+                this.ctx.save();
+                this.ctx.translate(screenX, screenY);
+                this.ctx.rotate(bullet.angle);
+                this.ctx.fillRect(-bullet.width / 2, -bullet.height / 4, bullet.width, bullet.height / 2);
+                
+                // Exhaust flame
+                this.ctx.fillStyle = '#ff7f27';
+                this.ctx.fillRect(-bullet.width / 2 - 4, -bullet.height / 6, 4, bullet.height / 3);
+                this.ctx.restore();
+            } else if (bullet.behavior === 'flame') {
+                // Fade flames out as they burn down
+                this.ctx.globalAlpha = Math.max(0, 1 - (currentTime - bullet.spawnTime) / bullet.lifetime) * 0.8;
+                this.ctx.arc(screenX, screenY, bullet.width / 2, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.globalAlpha = 1;
+            } else if (bullet.owner === 'enemy') {
+                // Draw enemy projectile with a dark rim so it stands out from player fire
+                this.ctx.arc(screenX, screenY, bullet.width / 2, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.strokeStyle = 'rgba(0, 60, 0, 0.8)';
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
             } else {
                 // Draw regular bullet
                 this.ctx.arc(screenX, screenY, bullet.width / 2, 0, Math.PI * 2);
@@ -339,6 +525,49 @@ export class Renderer {
         }
     }
     
+    // Render a pulsing marker around the enemy that killed the player (currentTime is simulation time)
+    renderKiller(enemy, camera, currentTime) {
+        if (!this.ctx || !enemy) return;
+        
+        const screenX = this.getRenderX(enemy) - camera.x;
+        const screenY = this.getRenderY(enemy) - camera.y;
+        const pulse = 4 + Math.sin(currentTime / 80) * 3;
+        
+        this.ctx.strokeStyle = '#ff3030';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeRect(
+            screenX - enemy.width / 2 - pulse,
+            screenY - enemy.height / 2 - pulse,
+            enemy.width + pulse * 2,
+            enemy.height + pulse * 2
+        );
+        
+        this.ctx.fillStyle = '#ff3030';
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText('KILLER', screenX, screenY - enemy.height / 2 - pulse - 12);
+    }
+    
+    // Render the killcam caption
+    renderKillcamBanner(slowMotion) {
+        if (!this.ctx) return;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, 0, this.width, 36);
+        
+        this.ctx.fillStyle = '#e74c3c';
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(slowMotion ? 'KILLCAM - SLOW MOTION' : 'KILLCAM', 15, 18);
+        
+        this.ctx.fillStyle = '#bbb';
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('ESC to skip', this.width - 15, 18);
+    }
+    
     // Render debug info
     renderDebugInfo(game) {
         if (!this.ctx || !this.debugMode) return;
@@ -366,6 +595,21 @@ export class Renderer {
         this.debugMode = !this.debugMode;
     }
     
+    // Set how far this frame is between the last two simulation steps (0 = previous, 1 = latest)
+    setAlpha(alpha) {
+        this.alpha = alpha;
+    }
+    
+    // Helper: Get an entity's x blended between its previous and current simulation positions
+    getRenderX(entity) {
+        return entity.prevX + (entity.x - entity.prevX) * this.alpha;
+    }
+    
+    // Helper: Get an entity's y blended between its previous and current simulation positions
+    getRenderY(entity) {
+        return entity.prevY + (entity.y - entity.prevY) * this.alpha;
+    }
+    
     // Helper: Check if object is offscreen
     isOffscreen(obj, camera) {
         const objLeft = obj.x - (obj.width ? obj.width / 2 : obj.radius || 0);
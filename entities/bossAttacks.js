@@ -0,0 +1,98 @@
+// bossAttacks.js - Attack pattern registry for bosses
+
+// Each pattern is a set of hooks that the 'bossAttack' enemy state dispatches on:
+//   start(manager, boss, player, attack)   - optional, called when the attack begins
+//   update(manager, boss, player, attack)  - per-frame logic, return false once the attack is finished
+// `attack` is the entry from a boss phase's `attacks` list; boss.stateStartTime is when it began.
+export const BossAttacks = {
+    // Short burst of extra speed towards the player, leaving a trail
+    charge: {
+        update(manager, boss, player, attack) {
+            const currentTime = manager.game.clock.now();
+            if (currentTime - boss.stateStartTime >= attack.duration) return false;
+            
+            manager.moveTowardsPlayer(boss, player, attack.speed);
+            
+            // Create trail particles during charge
+            if (Math.random() < 0.3) {
+                manager.game.particleManager.createParticle(
+                    boss.x, boss.y,
+                    'rgba(255, 0, 0, 0.5)',
+                    boss.width / 4,
+                    10,
+                    (Math.random() - 0.5) * 0.5,
+                    (Math.random() - 0.5) * 0.5
+                );
+            }
+            
+            // Still hurts on contact while charging
+            if (manager.isTouchingPlayer(boss, player) &&
+                currentTime - boss.lastAttack >= boss.attackCooldown) {
+                manager.strikePlayer(boss, player);
+                boss.lastAttack = currentTime;
+            }
+            
+            return true;
+        }
+    },
+    
+    // Several rings of projectiles fired outwards, each rotated half a gap from the last
+    bulletRing: {
+        start(manager, boss) {
+            boss.attackStep = 0;
+        },
+        
+        update(manager, boss, player, attack) {
+            const elapsed = manager.game.clock.now() - boss.stateStartTime;
+            
+            if (elapsed >= boss.attackStep * attack.delay) {
+                const gap = (Math.PI * 2) / attack.count;
+                const offset = boss.attackStep % 2 === 0 ? 0 : gap / 2;
+                
+                for (let i = 0; i < attack.count; i++) {
+                    manager.game.bulletManager.createEnemyBullet(boss, offset + gap * i, attack.projectile);
+                }
+                
+                manager.game.audio.play(attack.projectile.sound);
+                boss.attackStep++;
+            }
+            
+            return boss.attackStep < attack.rings;
+        }
+    },
+    
+    // Channel in place, then call in minions around the boss
+    summon: {
+        update(manager, boss, player, attack) {
+            if (manager.game.clock.now() - boss.stateStartTime < attack.castTime) return true;
+            
+            manager.summonMinions(boss, attack);
+            return false;
+        }
+    },
+    
+    // Mark areas on the ground around the player that erupt after a delay
+    groundSlam: {
+        start(manager, boss, player, attack) {
+            for (let i = 0; i < attack.count; i++) {
+                // First slam lands right on the player, the rest scatter around them
+                const angle = manager.game.rng.next() * Math.PI * 2;
+                const distance = i === 0 ? 0 : attack.scatter * (0.5 + manager.game.rng.next() * 0.5);
+                
+                manager.createTelegraph(
+                    player.x + Math.cos(angle) * distance,
+                    player.y + Math.sin(angle) * distance,
+                    attack.radius,
+                    attack.delay,
+                    attack.damage,
+                    boss.id
+                );
+            }
+        },
+        
+        // The boss holds still until its slams have landed
+        update(manager, boss, player, attack) {
+            return manager.game.clock.now() - boss.stateStartTime < attack.delay;
+        }
+    }
+};
\ No newline at end of file
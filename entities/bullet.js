@@ -1,8 +1,9 @@
 // bullet.js - Bullet entity and bullet manager
 
-import { CONFIG } from '../config.js';
 import { checkCollision } from '../systems/collisions.js';
+import { CollisionLayers, CollisionLayerUtils } from '../systems/collisionLayers.js';
 import { rectPool } from '../utils/objectPool.js';
+import { getWeaponBehavior } from './weaponBehaviors.js';
 
 export class BulletManager {
     constructor(game) {
@@ -28,8 +29,11 @@ export class BulletManager {
         }
         
         return {
+            id: 0,
             x: 0,
             y: 0,
+            prevX: 0, // Position before the last step, for render interpolation
+            prevY: 0,
             width: 0,
             height: 0,
             angle: 0,
@@ -38,9 +42,23 @@ export class BulletManager {
             color: '',
             knockback: 0,
             owner: '',
-            isGrenade: false,
+            sourceId: null, // Entity that fired it: the enemy, or the player credited with its kills
+            entityType: 'bullet',
+            collisionLayer: CollisionLayers.PLAYER_BULLET,
+            behavior: 'standard',
             explosion: null,
-            timer: 0,
+            damageMultiplier: 1,
+            spawnTime: 0, // Simulation time the bullet was fired
+            fuse: 0,
+            drag: 1,
+            lifetime: 0,
+            growth: 0,
+            hitsRemaining: 0,
+            bouncesRemaining: 0,
+            hitEnemies: [], // Ids of enemies already hit, as enemy objects are pooled
+            turnRate: 0,
+            homingRange: 0,
+            target: null,
             active: true
         };
     }
@@ -49,6 +67,8 @@ export class BulletManager {
     returnBulletToPool(bullet) {
         // Reset bullet properties
         bullet.active = false;
+        bullet.target = null;
+        bullet.hitEnemies.length = 0;
         
         // Add to pool for reuse
         if (this.bulletPool.length < 100) { // Limit pool size
@@ -56,50 +76,47 @@ export class BulletManager {
         }
     }
     
-    // Create a bullet
+    // Get how long a bullet has been alive, in simulation ms
+    getAge(bullet) {
+        return this.game.clock.now() - bullet.spawnTime;
+    }
+    
+    // Remove bullet at index from the world
+    removeBullet(index) {
+        const bullet = this.bullets[index];
+        this.game.grid.remove(bullet);
+        this.returnBulletToPool(bullet);
+        this.bullets.splice(index, 1);
+    }
+    
+    // Create bullets for one trigger pull
     createBullet(player, angle, weaponData) {
-        if (weaponData.bullets) {
-            // Multi-bullet weapon (shotgun)
-            for (let i = 0; i < weaponData.bullets; i++) {
-                const spreadAngle = angle + (Math.random() * weaponData.spread * 2 - weaponData.spread);
-                this.createSingleBullet(player, spreadAngle, weaponData);
-            }
-        } else if (weaponData.explosion) {
-            // Grenade launcher
-            const bullet = this.getBullet();
-            
-            bullet.x = player.x;
-            bullet.y = player.y;
-            bullet.width = weaponData.bulletSize;
-            bullet.height = weaponData.bulletSize;
-            bullet.angle = angle;
-            bullet.speed = weaponData.bulletSpeed;
-            bullet.damage = weaponData.damage * player.damageMultiplier;
-            bullet.color = weaponData.bulletColor;
-            bullet.knockback = 0;
-            bullet.owner = 'player';
-            bullet.isGrenade = true;
-            bullet.explosion = weaponData.explosion;
-            bullet.timer = 30; // Explodes after 30 frames
-            bullet.active = true;
-            
-            this.bullets.push(bullet);
-            this.game.grid.add(bullet);
+        const behavior = getWeaponBehavior(weaponData.behavior);
+        const count = weaponData.bullets || 1;
+        
+        for (let i = 0; i < count; i++) {
+            // Apply random spread (shotgun pellets, SMG jitter, flame cone)
+            const spreadAngle = weaponData.spread ?
+                angle + (this.game.rng.next() * weaponData.spread * 2 - weaponData.spread) :
+                angle;
             
-            // Create muzzle flash
-            this.createMuzzleFlash(player.x, player.y, angle);
-        } else {
-            // Single bullet weapon
-            this.createSingleBullet(player, angle, weaponData);
+            this.createSingleBullet(player, spreadAngle, weaponData, behavior);
         }
+        
+        // Create muzzle flash
+        this.createMuzzleFlash(player.x, player.y, angle);
     }
     
     // Create a single bullet
-    createSingleBullet(player, angle, weaponData) {
+    createSingleBullet(player, angle, weaponData, behavior = getWeaponBehavior(weaponData.behavior)) {
         const bullet = this.getBullet();
         
+        bullet.id = this.game.generateEntityId();
         bullet.x = player.x;
         bullet.y = player.y;
+        bullet.prevX = player.x;
+        bullet.prevY = player.y;
+        bullet.spawnTime = this.game.clock.now();
         bullet.width = weaponData.bulletSize;
         bullet.height = weaponData.bulletSize;
         bullet.angle = angle;
@@ -108,15 +125,40 @@ export class BulletManager {
         bullet.color = weaponData.bulletColor;
         bullet.knockback = weaponData.knockback || 0;
         bullet.owner = 'player';
-        bullet.isGrenade = false;
-        bullet.explosion = null;
+        bullet.sourceId = player.id || null; // Turrets credit nobody
+        bullet.collisionLayer = CollisionLayers.PLAYER_BULLET;
+        bullet.behavior = weaponData.behavior || 'standard';
+        bullet.explosion = weaponData.explosion || null;
+        bullet.damageMultiplier = player.damageMultiplier;
+        bullet.hitEnemies.length = 0;
+        bullet.target = null;
         bullet.active = true;
         
+        // Let the behavior set up its own state
+        if (behavior.init) {
+            behavior.init(bullet, weaponData);
+        }
+        
         this.bullets.push(bullet);
         this.game.grid.add(bullet);
         
-        // Create muzzle flash
-        this.createMuzzleFlash(player.x, player.y, angle);
+        return bullet;
+    }
+    
+    // Create a projectile fired by an enemy; it hits the player instead of enemies
+    createEnemyBullet(enemy, angle, projectileData) {
+        const shooter = {
+            x: enemy.x,
+            y: enemy.y,
+            damageMultiplier: 1
+        };
+        
+        const bullet = this.createSingleBullet(shooter, angle, projectileData);
+        bullet.owner = 'enemy';
+        bullet.sourceId = enemy.id;
+        bullet.collisionLayer = CollisionLayers.ENEMY_BULLET;
+        
+        return bullet;
     }
     
     // Create muzzle flash particles
@@ -139,8 +181,8 @@ export class BulletManager {
         }
     }
     
-    // Create explosion
-    createExplosion(x, y, radius, damage) {
+    // Create explosion (sourceId is the player credited with its kills)
+    createExplosion(x, y, radius, damage, sourceId = null) {
         // Cap particle count to prevent lag
         const particleCount = Math.min(50, Math.floor(radius / 2));
         
@@ -190,35 +232,101 @@ export class BulletManager {
                 
                 // Check if enemy is dead
                 if (enemy.health <= 0) {
-                    this.game.enemyManager.killEnemy(enemy);
+                    this.game.enemyManager.killEnemy(enemy, true, sourceId);
                 }
             }
         }
         
-        // Damage player if in radius
-        const playerDist = Math.sqrt(
-            Math.pow(this.game.player.x - x, 2) + 
-            Math.pow(this.game.player.y - y, 2)
-        );
-        
-        if (playerDist <= radius) {
+        // Damage players in radius
+        for (const player of this.game.getLivingPlayers()) {
+            const playerDist = Math.sqrt(
+                Math.pow(player.x - x, 2) + 
+                Math.pow(player.y - y, 2)
+            );
+            
+            if (playerDist > radius) continue;
+            
             const damageMultiplier = 1 - (playerDist / radius);
-            const explosionDamage = damage * damageMultiplier * 0.5; // Reduced self-damage
+            const explosionDamage = damage * damageMultiplier * 0.5; // Reduced damage to players
             
-            this.game.player.takeDamage(explosionDamage);
+            player.takeDamage(explosionDamage);
             
             // Knockback player
-            const knockbackAngle = Math.atan2(this.game.player.y - y, this.game.player.x - x);
+            const knockbackAngle = Math.atan2(player.y - y, player.x - x);
             const knockbackForce = 15 * damageMultiplier;
             
-            this.game.player.x += Math.cos(knockbackAngle) * knockbackForce;
-            this.game.player.y += Math.sin(knockbackAngle) * knockbackForce;
+            player.x += Math.cos(knockbackAngle) * knockbackForce;
+            player.y += Math.sin(knockbackAngle) * knockbackForce;
         }
         
         // Play sound
         this.game.audio.play('explosion');
     }
     
+    // Detonate an explosive bullet at its current position
+    explode(bullet) {
+        if (!bullet.explosion) return;
+        
+        this.createExplosion(
+            bullet.x,
+            bullet.y,
+            bullet.explosion.radius,
+            bullet.explosion.damage * bullet.damageMultiplier,
+            bullet.sourceId
+        );
+    }
+    
+    // Apply a bullet's damage and knockback to an enemy (the bullet's sourceId is credited with a kill)
+    damageEnemy(bullet, enemy, knockback = bullet.knockback) {
+        enemy.health -= bullet.damage;
+        
+        // Knockback
+        if (knockback > 0) {
+            enemy.x += Math.cos(bullet.angle) * knockback;
+            enemy.y += Math.sin(bullet.angle) * knockback;
+        }
+        
+        // Create blood particles where the bullet hit
+        this.game.particleManager.createBloodSplatter(bullet.x, bullet.y);
+        
+        // Check if enemy is dead
+        if (enemy.health <= 0) {
+            this.game.enemyManager.killEnemy(enemy, true, bullet.sourceId);
+        }
+    }
+    
+    // Apply projectile damage and knockback to the player
+    damagePlayer(player, damage, angle, knockback, sourceId = null) {
+        player.takeDamage(damage, sourceId);
+        
+        if (knockback > 0) {
+            player.x += Math.cos(angle) * knockback;
+            player.y += Math.sin(angle) * knockback;
+        }
+    }
+    
+    // Find the closest living enemy within range of a point
+    findNearestEnemy(x, y, range) {
+        const nearby = this.game.grid.getNearby({ x, y, width: 0, height: 0 }, range);
+        let nearest = null;
+        let nearestDistSq = range * range;
+        
+        for (const obj of nearby) {
+            if (obj.entityType !== 'enemy' || !obj.active) continue;
+            
+            const dx = obj.x - x;
+            const dy = obj.y - y;
+            const distSq = dx * dx + dy * dy;
+            
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearest = obj;
+            }
+        }
+        
+        return nearest;
+    }
+    
     // Update all bullets
     update(deltaTime) {
         // Pre-allocate rectangles for collision detection
@@ -226,24 +334,12 @@ export class BulletManager {
         // Using a reverse loop for efficient removal
         for (let i = this.bullets.length - 1; i >= 0; i--) {
             const bullet = this.bullets[i];
+            const behavior = getWeaponBehavior(bullet.behavior);
             
-            if (bullet.isGrenade) {
-                // Update grenade timer
-                bullet.timer--;
-                
-                if (bullet.timer <= 0) {
-                    // Explode
-                    this.createExplosion(bullet.x, bullet.y, bullet.explosion.radius, bullet.explosion.damage * this.game.player.damageMultiplier);
-                    
-                    // Remove bullet
-                    this.game.grid.remove(bullet);
-                    this.returnBulletToPool(bullet);
-                    this.bullets.splice(i, 1);
-                    continue;
-                }
-                
-                // Slow down grenade
-                bullet.speed *= 0.95;
+            // Behavior-specific logic (fuses, homing, flame lifetime)
+            if (behavior.update && !behavior.update(this, bullet)) {
+                this.removeBullet(i);
+                continue;
             }
             
             // Move bullet
@@ -253,13 +349,11 @@ export class BulletManager {
             // Remove bullets out of world
             if (
                 bullet.x < 0 ||
-                bullet.x > CONFIG.WORLD_WIDTH ||
+                bullet.x > this.game.map.width ||
                 bullet.y < 0 ||
-                bullet.y > CONFIG.WORLD_HEIGHT
+                bullet.y > this.game.map.height
             ) {
-                this.game.grid.remove(bullet);
-                this.returnBulletToPool(bullet);
-                this.bullets.splice(i, 1);
+                this.removeBullet(i);
                 continue;
             }
             
@@ -268,7 +362,6 @@ export class BulletManager {
             
             // Check bullet collisions with nearby objects
             const nearbyObjects = this.game.grid.getNearby(bullet, 50);
-            let bulletRemoved = false;
             
             // Get bullet rect from pool
             const bulletRect = rectPool.getForEntity(bullet);
@@ -276,27 +369,49 @@ export class BulletManager {
             for (const obj of nearbyObjects) {
                 if (obj === bullet) continue;
                 
-                // Check bullet-obstacle collisions
+                // Check bullet-obstacle collisions (player structures don't block the player's own bullets)
+                if (obj.isStructure && bullet.owner === 'player') continue;
+                
                 if (this.game.enemyManager.obstacles.includes(obj)) {
                     if (checkCollision(bulletRect, obj)) {
-                        if (bullet.isGrenade) {
-                            // Grenades explode on impact
-                            this.createExplosion(bullet.x, bullet.y, bullet.explosion.radius, bullet.explosion.damage * this.game.player.damageMultiplier);
+                        const keep = behavior.onHitObstacle ?
+                            behavior.onHitObstacle(this, bullet, obj) : false;
+                        
+                        if (!keep) {
+                            this.removeBullet(i);
+                            break;
                         }
                         
-                        // Remove bullet
-                        this.game.grid.remove(bullet);
-                        this.returnBulletToPool(bullet);
-                        this.bullets.splice(i, 1);
-                        bulletRemoved = true;
-                        break;
+                        // Bullet may have been moved by the behavior
+                        bulletRect.x = bullet.x - bullet.width / 2;
+                        bulletRect.y = bullet.y - bullet.height / 2;
                     }
+                    continue;
+                }
+                
+                // Check bullet-player collisions
+                if (obj.entityType === 'player' &&
+                    CollisionLayerUtils.shouldCollide(bullet.collisionLayer, obj.collisionLayer)) {
+                    if (checkCollision(bulletRect, rectPool.getForEntity(obj))) {
+                        const keep = behavior.onHitPlayer ?
+                            behavior.onHitPlayer(this, bullet, obj) : false;
+                        
+                        if (!keep) {
+                            this.removeBullet(i);
+                            break;
+                        }
+                    }
+                    continue;
                 }
                 
                 // Check bullet-enemy collisions
-                if (!bulletRemoved && obj.entityType === 'enemy' && bullet.owner === 'player') {
+                if (obj.entityType === 'enemy' &&
+                    CollisionLayerUtils.shouldCollide(bullet.collisionLayer, obj.collisionLayer)) {
                     const enemy = obj;
                     
+                    // Piercing and flame rounds only hit each enemy once
+                    if (bullet.hitEnemies.includes(enemy.id)) continue;
+                    
                     // Get or create enemy rect
                     let enemyRect = enemyRects.get(enemy);
                     if (!enemyRect) {
@@ -305,41 +420,13 @@ export class BulletManager {
                     }
                     
                     if (checkCollision(bulletRect, enemyRect)) {
-                        if (bullet.isGrenade) {
-                            // Grenades explode on impact
-                            this.createExplosion(bullet.x, bullet.y, bullet.explosion.radius, bullet.explosion.damage * this.game.player.damageMultiplier);
-                            this.game.grid.remove(bullet);
-                            this.returnBulletToPool(bullet);
-                            this.bullets.splice(i, 1);
-                            bulletRemoved = true;
-                            break;
-                        }
-                        
-                        // Damage enemy
-                        enemy.health -= bullet.damage;
-                        
-                        // Knockback
-                        if (bullet.knockback > 0) {
-                            const knockbackAngle = bullet.angle;
-                            enemy.x += Math.cos(knockbackAngle) * bullet.knockback;
-                            enemy.y += Math.sin(knockbackAngle) * bullet.knockback;
-                        }
+                        const keep = behavior.onHitEnemy ?
+                            behavior.onHitEnemy(this, bullet, enemy) : false;
                         
-                        // Create blood particles
-                        this.game.particleManager.createBloodSplatter(bullet.x, bullet.y);
-                        
-                        // Remove bullet
-                        this.game.grid.remove(bullet);
-                        this.returnBulletToPool(bullet);
-                        this.bullets.splice(i, 1);
-                        bulletRemoved = true;
-                        
-                        // Check if enemy is dead
-                        if (enemy.health <= 0) {
-                            this.game.enemyManager.killEnemy(enemy);
+                        if (!keep) {
+                            this.removeBullet(i);
+                            break;
                         }
-                        
-                        break;
                     }
                 }
             }
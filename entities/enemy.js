@@ -3,6 +3,16 @@
 import { CONFIG } from '../config.js';
 import { checkCollision } from '../systems/collisions.js';
 import { CollisionLayers, CollisionLayerUtils } from '../systems/collisionLayers.js';
+import { NavGrid } from '../systems/pathfinding.js';
+import { FlowField } from '../systems/flowField.js';
+import { EnemyStates } from './enemyAI.js';
+
+// Enemy fields kept in saves; everything else is rebuilt on restore
+const SAVED_FIELDS = [
+    'id', 'type', 'bossId', 'x', 'y', 'width', 'height', 'health', 'maxHealth', 'speed', 'damage',
+    'color', 'points', 'lastAttack', 'attackCooldown', 'aiState', 'stateStartTime', 'nextSpecialTime',
+    'hasFled', 'aimAngle', 'bossPhase', 'attackIndex', 'attackStep', 'wanderAngle', 'nextWanderTime'
+];
 
 export class EnemyManager {
     constructor(game) {
@@ -12,6 +22,40 @@ export class EnemyManager {
         this.enemyPool = []; // Object pool for enemy reuse
         this.spawnCooldown = 0;
         this.pathfindingGrid = null;
+        this.flowField = null;
+        this.boss = null; // Current boss, shown in the HUD boss bar
+        this.telegraphs = []; // Marked areas waiting to erupt (boss ground slams)
+    }
+    
+    // Build the navigation grid from the current obstacles
+    buildNavGrid() {
+        // Half the spatial grid's cell size, so nav cells subdivide Grid cells exactly;
+        // recreated when a map with a different world size is loaded
+        const map = this.game.map;
+        
+        if (!this.pathfindingGrid ||
+            this.pathfindingGrid.worldWidth !== map.width ||
+            this.pathfindingGrid.worldHeight !== map.height) {
+            this.pathfindingGrid = new NavGrid(
+                CONFIG.GRID_CELL_SIZE / 2,
+                map.width,
+                map.height
+            );
+            this.flowField = new FlowField(this.pathfindingGrid);
+        }
+        
+        this.pathfindingGrid.build(this.obstacles, CONFIG.NAV_PADDING);
+        this.flowField.markDirty();
+    }
+    
+    // Get the nearest position to a point that isn't inside a wall
+    findOpenPosition(x, y) {
+        const nav = this.pathfindingGrid;
+        const cell = nav.worldToCell(x, y);
+        if (nav.isWalkable(cell.col, cell.row)) return { x, y };
+        
+        const walkable = nav.findNearestWalkable(cell.col, cell.row, 10);
+        return walkable ? nav.cellToWorld(walkable.col, walkable.row) : { x, y };
     }
     
     // Clear all enemies
@@ -22,6 +66,60 @@ export class EnemyManager {
             this.returnEnemyToPool(enemy);
         }
         this.enemies = [];
+        this.boss = null;
+        this.telegraphs.length = 0;
+    }
+    
+    // Get the live enemies' state for a save
+    serialize() {
+        return this.enemies.map(enemy => {
+            const saved = {};
+            
+            for (const field of SAVED_FIELDS) {
+                if (enemy[field] !== undefined) saved[field] = enemy[field];
+            }
+            
+            // JSON has no -Infinity for enemies that never attacked
+            if (!Number.isFinite(saved.lastAttack)) saved.lastAttack = null;
+            
+            return saved;
+        });
+    }
+    
+    // Put saved enemies back exactly as they were, AI timers included (the clock is restored first)
+    restore(savedEnemies) {
+        for (const saved of savedEnemies) {
+            const known = saved.type === 'boss' ? CONFIG.BOSSES[saved.bossId] : CONFIG.ENEMY_TYPES[saved.type];
+            if (!known || !EnemyStates[saved.aiState]) continue;
+            
+            const enemy = this.getEnemy();
+            
+            for (const field of SAVED_FIELDS) {
+                if (saved[field] !== undefined) enemy[field] = saved[field];
+            }
+            
+            enemy.prevX = enemy.x;
+            enemy.prevY = enemy.y;
+            enemy.lastAttack = saved.lastAttack === null ? -Infinity : saved.lastAttack;
+            enemy.entityType = 'enemy';
+            enemy.collisionLayer = CollisionLayers.ENEMY;
+            enemy.blockedBy = null;
+            enemy.active = true;
+            
+            // A boss mid-attack picks the pattern it started back up from its phase
+            enemy.currentAttack = null;
+            if (enemy.aiState === 'bossAttack') {
+                const attacks = this.getBossPhase(enemy).attacks;
+                enemy.currentAttack = attacks[(enemy.attackIndex - 1) % attacks.length];
+            }
+            
+            if (enemy.type === 'boss') {
+                this.boss = enemy;
+            }
+            
+            this.enemies.push(enemy);
+            this.game.grid.add(enemy);
+        }
     }
     
     // Get enemy from pool or create new one
@@ -31,8 +129,11 @@ export class EnemyManager {
         }
         
         return {
+            id: 0,
             x: 0,
             y: 0,
+            prevX: 0, // Position before the last step, for render interpolation
+            prevY: 0,
             width: 0,
             height: 0,
             health: 0,
@@ -44,8 +145,19 @@ export class EnemyManager {
             entityType: 'enemy',
             collisionLayer: CollisionLayers.ENEMY,
             points: 0,
-            lastAttack: 0,
+            lastAttack: -Infinity,
             attackCooldown: 1000,
+            blockedBy: null,
+            aiState: '',
+            stateStartTime: 0,
+            nextSpecialTime: 0,
+            hasFled: false,
+            aimAngle: 0,
+            bossId: '',
+            bossPhase: 0,
+            attackIndex: 0,
+            attackStep: 0,
+            currentAttack: null,
             active: true,
             cellKey: null
         };
@@ -55,6 +167,7 @@ export class EnemyManager {
     returnEnemyToPool(enemy) {
         // Reset enemy properties
         enemy.active = false;
+        enemy.blockedBy = null;
         
         // Add to pool for reuse
         if (this.enemyPool.length < 100) { // Limit pool size
@@ -62,8 +175,8 @@ export class EnemyManager {
         }
     }
     
-    // Create an enemy
-    createEnemy(type) {
+    // Create an enemy, optionally at a fixed position instead of around a player
+    createEnemy(type, x, y) {
         const enemyConfig = CONFIG.ENEMY_TYPES[type];
         
         if (!enemyConfig) {
@@ -73,25 +186,33 @@ export class EnemyManager {
         
         // Choose spawn position away from player
         let spawnX, spawnY;
-        const playerX = this.game.player.x;
-        const playerY = this.game.player.y;
+        const target = x !== undefined ? null : this.game.getSpawnTarget();
         const spawnDist = CONFIG.ENEMY_SPAWN_DISTANCE;
         
         // Generate random position around the player
-        const angle = Math.random() * Math.PI * 2;
-        spawnX = playerX + Math.cos(angle) * spawnDist;
-        spawnY = playerY + Math.sin(angle) * spawnDist;
+        const angle = this.game.rng.next() * Math.PI * 2;
+        spawnX = x !== undefined ? x : target.x + Math.cos(angle) * spawnDist;
+        spawnY = y !== undefined ? y : target.y + Math.sin(angle) * spawnDist;
         
         // Clamp to world bounds
-        spawnX = Math.max(enemyConfig.width, Math.min(CONFIG.WORLD_WIDTH - enemyConfig.width, spawnX));
-        spawnY = Math.max(enemyConfig.height, Math.min(CONFIG.WORLD_HEIGHT - enemyConfig.height, spawnY));
+        const map = this.game.map;
+        spawnX = Math.max(enemyConfig.width, Math.min(map.width - enemyConfig.width, spawnX));
+        spawnY = Math.max(enemyConfig.height, Math.min(map.height - enemyConfig.height, spawnY));
+        
+        // Move out of walls onto the nearest open nav cell
+        const openSpawn = this.findOpenPosition(spawnX, spawnY);
+        spawnX = openSpawn.x;
+        spawnY = openSpawn.y;
         
         // Get enemy from pool
         const enemy = this.getEnemy();
         
         // Set enemy properties
+        enemy.id = this.game.generateEntityId();
         enemy.x = spawnX;
         enemy.y = spawnY;
+        enemy.prevX = spawnX;
+        enemy.prevY = spawnY;
         enemy.width = enemyConfig.width;
         enemy.height = enemyConfig.height;
         enemy.health = enemyConfig.health * (1 + (this.game.currentWave - 1) * 0.1);
@@ -100,12 +221,15 @@ export class EnemyManager {
         enemy.damage = enemyConfig.damage;
         enemy.color = enemyConfig.color;
         enemy.type = type;
+        enemy.bossId = ''; // Pooled enemies may have been a boss
         enemy.entityType = 'enemy'; // Fast type checking flag
         enemy.collisionLayer = CollisionLayers.ENEMY;
         enemy.points = enemyConfig.points;
-        enemy.lastAttack = 0;
+        enemy.lastAttack = -Infinity; // Never attacked
         enemy.attackCooldown = 1000;
+        enemy.blockedBy = null;
         enemy.active = true;
+        this.initAI(enemy);
         
         // Add to enemy list
         this.enemies.push(enemy);
@@ -116,36 +240,48 @@ export class EnemyManager {
     }
     
     // Create a boss enemy
-    createBossEnemy(wave) {
-        const bossConfig = CONFIG.ENEMY_TYPES.boss;
+    createBossEnemy(wave, bossId) {
+        const bossConfig = CONFIG.BOSSES[bossId];
+        
+        if (!bossConfig) {
+            console.error(`Boss "${bossId}" not found`);
+            return null;
+        }
         
         // Increase boss stats based on wave
         const waveMultiplier = 1 + (wave - 5) * 0.2;
         
         // Choose spawn position away from player
         let spawnX, spawnY;
-        const playerX = this.game.player.x;
-        const playerY = this.game.player.y;
+        const target = this.game.getSpawnTarget();
         const spawnDist = CONFIG.ENEMY_SPAWN_DISTANCE * 1.5;
         
         // Generate position directly opposite to player from the center
-        const centerX = CONFIG.WORLD_WIDTH / 2;
-        const centerY = CONFIG.WORLD_HEIGHT / 2;
+        const map = this.game.map;
+        const centerX = map.width / 2;
+        const centerY = map.height / 2;
         
-        const playerAngle = Math.atan2(playerY - centerY, playerX - centerX);
+        const playerAngle = Math.atan2(target.y - centerY, target.x - centerX);
         spawnX = centerX + Math.cos(playerAngle + Math.PI) * spawnDist;
         spawnY = centerY + Math.sin(playerAngle + Math.PI) * spawnDist;
         
         // Clamp to world bounds
-        spawnX = Math.max(bossConfig.width, Math.min(CONFIG.WORLD_WIDTH - bossConfig.width, spawnX));
-        spawnY = Math.max(bossConfig.height, Math.min(CONFIG.WORLD_HEIGHT - bossConfig.height, spawnY));
+        spawnX = Math.max(bossConfig.width, Math.min(map.width - bossConfig.width, spawnX));
+        spawnY = Math.max(bossConfig.height, Math.min(map.height - bossConfig.height, spawnY));
+        
+        const openSpawn = this.findOpenPosition(spawnX, spawnY);
+        spawnX = openSpawn.x;
+        spawnY = openSpawn.y;
         
         // Get enemy from pool
         const boss = this.getEnemy();
         
         // Set boss properties
+        boss.id = this.game.generateEntityId();
         boss.x = spawnX;
         boss.y = spawnY;
+        boss.prevX = spawnX;
+        boss.prevY = spawnY;
         boss.width = bossConfig.width;
         boss.height = bossConfig.height;
         boss.health = bossConfig.health * waveMultiplier;
@@ -154,37 +290,40 @@ export class EnemyManager {
         boss.damage = bossConfig.damage * waveMultiplier;
         boss.color = bossConfig.color;
         boss.type = 'boss';
+        boss.bossId = bossId;
         boss.entityType = 'enemy'; // Fast type checking flag
         boss.collisionLayer = CollisionLayers.ENEMY;
         boss.points = bossConfig.points * waveMultiplier;
-        boss.lastAttack = 0;
+        boss.lastAttack = -Infinity;
         boss.attackCooldown = 800; // Bosses attack faster
+        boss.blockedBy = null;
         boss.active = true;
+        this.initAI(boss);
         
         // Add to enemy list
         this.enemies.push(boss);
         this.game.grid.add(boss);
         this.game.enemiesRemaining++;
+        this.boss = boss;
         
         // Play boss spawn sound
         this.game.audio.play('bossSpawn');
         
         // Show boss warning
-        this.game.menus.showBossWarning();
+        this.game.menus.showBossWarning(bossConfig.name);
         
         return boss;
     }
     
-    // Kill an enemy
-    killEnemy(enemy) {
+    // Kill an enemy (enemies that blow themselves up don't award points or drops); killerId is
+    // the player credited with the kill, or null for turrets
+    killEnemy(enemy, awardPoints = true, killerId = null) {
         const index = this.enemies.indexOf(enemy);
         
         if (index !== -1) {
-            // Award points
-            this.game.score += enemy.points;
-            
-            // Award XP
-            this.game.playerStats.addXP(enemy.points / 2);
+            if (awardPoints) {
+                this.game.awardKill(enemy, killerId);
+            }
             
             // Update enemies remaining
             this.game.enemiesRemaining--;
@@ -205,7 +344,7 @@ export class EnemyManager {
             }
             
             // Chance to drop powerup
-            if (Math.random() < CONFIG.POWERUP_DROP_CHANCE || enemy.type === 'boss') {
+            if (awardPoints && (this.game.rng.next() < CONFIG.POWERUP_DROP_CHANCE || enemy.type === 'boss')) {
                 this.game.powerupManager.createRandomPowerup(enemy.x, enemy.y);
             }
             
@@ -219,131 +358,366 @@ export class EnemyManager {
             this.returnEnemyToPool(enemy);
             
             // Play death sound
-            this.game.audio.play('enemyDeath');
+            if (enemy === this.boss) {
+                this.boss = null;
+                this.game.audio.play('bossDeath');
+            } else {
+                this.game.audio.play('enemyDeath');
+            }
             
-            // Check if wave is complete
-            if (this.game.enemiesRemaining <= 0) {
-                this.waveComplete();
+            // Check if wave is complete (and nothing is still waiting to spawn)
+            if (this.game.enemiesRemaining <= 0 && !this.game.waveDirector.isSpawning()) {
+                this.game.completeWave();
             }
         }
     }
     
-    // Wave complete
-    waveComplete() {
-        this.game.currentWave++;
+    // Update all enemies; each one goes after the nearest living player
+    update(deltaTime) {
+        const players = this.game.getLivingPlayers();
         
-        // Show wave complete message
-        this.game.menus.showWaveComplete(this.game.currentWave - 1);
+        this.updateTelegraphs(players);
         
-        // Save game
-        this.game.saveSystem.save(this.game);
+        // Nobody left to chase
+        if (players.length === 0) return;
+        
+        // Rebuilds only when a player has moved to a new nav cell
+        if (this.flowField) {
+            this.flowField.update(players);
+        }
         
-        // Start next wave after delay
-        setTimeout(() => {
-            if (this.game.gameRunning) {
-                this.game.createWave();
-            }
-        }, 3000);
-    }
-    
-    // Update all enemies
-    update(deltaTime, player) {
         // Using a reverse loop for efficient removal
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
+            const player = this.game.getNearestPlayer(enemy.x, enemy.y);
             
-            // Skip updating enemies outside culling distance
-            const dist = Math.sqrt(
-                Math.pow(enemy.x - player.x, 2) + 
-                Math.pow(enemy.y - player.y, 2)
-            );
+            // The last player can fall mid-update
+            if (!player) break;
+            
+            // AI: Run the enemy's current behavior state. Every enemy runs however far away it is
+            // (only drawing is culled), so ones spawned at the edge of a large map still close in.
+            this.updateAI(enemy, player);
             
-            if (dist > CONFIG.CULL_DISTANCE) {
-                continue;
+            // Exploders remove themselves when they detonate
+            if (!enemy.active) continue;
+            
+            // Attack structures that block the way
+            if (enemy.blockedBy) {
+                this.attackStructure(enemy, enemy.blockedBy);
             }
             
-            // AI: Move towards player
-            this.moveEnemyTowardsPlayer(enemy, player, deltaTime);
-            
-            // Check player collision
-            const enemyRect = {
-                x: enemy.x - enemy.width / 2,
-                y: enemy.y - enemy.height / 2,
-                width: enemy.width,
-                height: enemy.height
-            };
-            
-            const playerRect = {
-                x: player.x - player.width / 2,
-                y: player.y - player.width / 2,
-                width: player.width,
-                height: player.height
-            };
-            
-            if (checkCollision(enemyRect, playerRect)) {
-                // Attack player on collision
-                const currentTime = Date.now();
+            // Update enemy in grid
+            this.game.grid.update(enemy);
+        }
+    }
+    
+    // Reset AI state for a freshly spawned enemy
+    initAI(enemy) {
+        enemy.nextSpecialTime = 0;
+        enemy.hasFled = false;
+        enemy.bossPhase = 0;
+        enemy.attackIndex = 0;
+        enemy.currentAttack = null;
+        this.setState(enemy, CONFIG.ENEMY_TYPES[enemy.type].ai.initial);
+    }
+    
+    // Switch an enemy to a new behavior state
+    setState(enemy, stateName) {
+        const state = EnemyStates[stateName];
+        
+        if (!state) {
+            console.error(`Enemy state "${stateName}" not found`);
+            return;
+        }
+        
+        enemy.aiState = stateName;
+        enemy.stateStartTime = this.game.clock.now();
+        
+        if (state.enter) {
+            state.enter(this, enemy, CONFIG.ENEMY_TYPES[enemy.type].ai, this.game.getNearestPlayer(enemy.x, enemy.y));
+        }
+    }
+    
+    // Run one frame of an enemy's behavior state
+    updateAI(enemy, player) {
+        const ai = CONFIG.ENEMY_TYPES[enemy.type].ai;
+        
+        enemy.blockedBy = null;
+        
+        const nextState = EnemyStates[enemy.aiState].update(this, enemy, player, ai);
+        if (nextState && enemy.active) {
+            this.setState(enemy, nextState);
+        }
+    }
+    
+    // Get a boss's current phase definition
+    getBossPhase(boss) {
+        return CONFIG.BOSSES[boss.bossId].phases[boss.bossPhase];
+    }
+    
+    // Advance a boss to the deepest phase its health has dropped into
+    updateBossPhase(boss) {
+        const bossConfig = CONFIG.BOSSES[boss.bossId];
+        const healthRatio = boss.health / boss.maxHealth;
+        let phase = boss.bossPhase;
+        
+        while (phase + 1 < bossConfig.phases.length && healthRatio <= bossConfig.phases[phase + 1].health) {
+            phase++;
+        }
+        
+        if (phase === boss.bossPhase) return;
+        
+        boss.bossPhase = phase;
+        boss.attackIndex = 0;
+        
+        const phaseConfig = bossConfig.phases[phase];
+        boss.color = phaseConfig.color || bossConfig.color;
+        
+        // Attack again soon after changing phase
+        boss.nextSpecialTime = Math.min(boss.nextSpecialTime, this.game.clock.now() + 500);
+        
+        if (phaseConfig.message) {
+            this.game.hud.showNotification(`${bossConfig.name}: ${phaseConfig.message}`, 2000);
+        }
+        
+        // Create phase change burst
+        for (let i = 0; i < 20; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 2 + Math.random() * 2;
+            
+            this.game.particleManager.createParticle(
+                boss.x, boss.y,
+                boss.color,
+                3 + Math.random() * 4,
+                20 + Math.random() * 20,
+                Math.cos(angle) * speed,
+                Math.sin(angle) * speed
+            );
+        }
+    }
+    
+    // Mark an area that erupts after a delay, damaging any player still inside
+    createTelegraph(x, y, radius, delay, damage, sourceId = null) {
+        const currentTime = this.game.clock.now();
+        
+        this.telegraphs.push({
+            sourceId: sourceId, // Enemy that called it in
+            x: x,
+            y: y,
+            radius: radius,
+            damage: damage,
+            startTime: currentTime,
+            triggerTime: currentTime + delay
+        });
+    }
+    
+    // Resolve telegraphed areas whose delay has run out
+    updateTelegraphs(players) {
+        const currentTime = this.game.clock.now();
+        
+        for (let i = this.telegraphs.length - 1; i >= 0; i--) {
+            const telegraph = this.telegraphs[i];
+            if (currentTime < telegraph.triggerTime) continue;
+            
+            this.telegraphs.splice(i, 1);
+            
+            for (const player of players) {
+                const dx = player.x - telegraph.x;
+                const dy = player.y - telegraph.y;
                 
-                if (currentTime - enemy.lastAttack >= enemy.attackCooldown) {
-                    player.takeDamage(enemy.damage);
-                    enemy.lastAttack = currentTime;
-                    
-                    // Knockback player slightly
-                    const knockbackAngle = Math.atan2(player.y - enemy.y, player.x - enemy.x);
-                    const knockbackForce = 5;
-                    
-                    player.x += Math.cos(knockbackAngle) * knockbackForce;
-                    player.y += Math.sin(knockbackAngle) * knockbackForce;
+                if (dx * dx + dy * dy <= telegraph.radius * telegraph.radius) {
+                    player.takeDamage(telegraph.damage, telegraph.sourceId);
                 }
             }
             
-            // Update enemy in grid
-            this.game.grid.update(enemy);
+            // Create eruption particles
+            for (let j = 0; j < 15; j++) {
+                const angle = Math.random() * Math.PI * 2;
+                const distance = Math.random() * telegraph.radius;
+                
+                this.game.particleManager.createParticle(
+                    telegraph.x + Math.cos(angle) * distance,
+                    telegraph.y + Math.sin(angle) * distance,
+                    ['#7f8c8d', '#95a5a6', 'orange'][Math.floor(Math.random() * 3)],
+                    3 + Math.random() * 4,
+                    15 + Math.random() * 15,
+                    Math.cos(angle) * 1.5,
+                    Math.sin(angle) * 1.5
+                );
+            }
+            
+            this.game.audio.play('explosion');
         }
     }
     
-    // Move enemy towards player with obstacle avoidance
-    moveEnemyTowardsPlayer(enemy, player, deltaTime) {
-        // Calculate direction to player
+    // Get the distance between an enemy and the player
+    distanceTo(enemy, player) {
+        const dx = player.x - enemy.x;
+        const dy = player.y - enemy.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    // Check if an enemy's body overlaps the player
+    isTouchingPlayer(enemy, player) {
+        const enemyRect = {
+            x: enemy.x - enemy.width / 2,
+            y: enemy.y - enemy.height / 2,
+            width: enemy.width,
+            height: enemy.height
+        };
+        
+        const playerRect = {
+            x: player.x - player.width / 2,
+            y: player.y - player.height / 2,
+            width: player.width,
+            height: player.height
+        };
+        
+        return checkCollision(enemyRect, playerRect);
+    }
+    
+    // Deal melee damage to the player
+    strikePlayer(enemy, player) {
+        player.takeDamage(enemy.damage, enemy.id);
+        
+        // Knockback player slightly
+        const knockbackAngle = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+        const knockbackForce = 5;
+        
+        player.x += Math.cos(knockbackAngle) * knockbackForce;
+        player.y += Math.sin(knockbackAngle) * knockbackForce;
+    }
+    
+    // Check that nothing solid blocks the straight line from an enemy to the player
+    hasLineOfSight(enemy, player) {
+        const nav = this.pathfindingGrid;
+        return !nav || nav.hasClearLine(enemy.x, enemy.y, player.x, player.y);
+    }
+    
+    // Fire a ranged enemy's projectile at the player
+    fireProjectile(enemy, ai) {
+        const spread = ai.projectile.spread || 0;
+        
+        this.game.bulletManager.createEnemyBullet(
+            enemy,
+            enemy.aimAngle + (this.game.rng.next() * spread * 2 - spread),
+            ai.projectile
+        );
+        this.game.audio.play(ai.projectile.sound);
+    }
+    
+    // Blow up an exploder, hurting players and structures in the blast
+    detonate(enemy, ai) {
+        // Create explosion particles
+        for (let i = 0; i < 25; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 1 + Math.random() * 3;
+            
+            this.game.particleManager.createParticle(
+                enemy.x, enemy.y,
+                ['orange', 'red', 'yellow'][Math.floor(Math.random() * 3)],
+                3 + Math.random() * 4,
+                20 + Math.random() * 20,
+                Math.cos(angle) * speed,
+                Math.sin(angle) * speed
+            );
+        }
+        
+        // Damage falls off with distance from the blast center
+        for (const player of this.game.getLivingPlayers()) {
+            const playerDist = this.distanceTo(enemy, player);
+            if (playerDist <= ai.blastRadius) {
+                player.takeDamage(ai.blastDamage * (1 - playerDist / ai.blastRadius), enemy.id);
+            }
+        }
+        
+        for (const structure of this.game.structureManager.structures.slice()) {
+            const dx = structure.x + structure.width / 2 - enemy.x;
+            const dy = structure.y + structure.height / 2 - enemy.y;
+            
+            if (dx * dx + dy * dy <= ai.blastRadius * ai.blastRadius) {
+                this.game.structureManager.damageStructure(structure, ai.blastDamage * CONFIG.STRUCTURE_DAMAGE_SCALE);
+            }
+        }
+        
+        this.game.audio.play('explosion');
+        this.killEnemy(enemy, false);
+    }
+    
+    // Spawn minions in a ring around a summoner
+    summonMinions(enemy, ai) {
+        for (let i = 0; i < ai.summonCount; i++) {
+            const angle = (Math.PI * 2 * i) / ai.summonCount + this.game.rng.next() * 0.5;
+            const distance = enemy.width + 10;
+            
+            this.createEnemy(
+                ai.summonType,
+                enemy.x + Math.cos(angle) * distance,
+                enemy.y + Math.sin(angle) * distance
+            );
+        }
+        
+        // Create summoning particles
+        for (let i = 0; i < 12; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            
+            this.game.particleManager.createParticle(
+                enemy.x, enemy.y,
+                enemy.color,
+                2 + Math.random() * 3,
+                20 + Math.random() * 10,
+                Math.cos(angle) * 2,
+                Math.sin(angle) * 2
+            );
+        }
+    }
+    
+    // Attack a player-built structure
+    attackStructure(enemy, structure) {
+        const currentTime = this.game.clock.now();
+        
+        if (currentTime - enemy.lastAttack >= enemy.attackCooldown) {
+            this.game.structureManager.damageStructure(structure, enemy.damage * CONFIG.STRUCTURE_DAMAGE_SCALE);
+            enemy.lastAttack = currentTime;
+        }
+    }
+    
+    // Get the unit direction an enemy should walk: straight at the player if in plain view, else along the flow field
+    getSteeringDirection(enemy, player) {
         const dx = player.x - enemy.x;
         const dy = player.y - enemy.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
-        if (distance === 0) return;
+        if (distance === 0) return null;
         
-        // Normalize direction
-        const dirX = dx / distance;
-        const dirY = dy / distance;
+        const nav = this.pathfindingGrid;
+        
+        if (nav && !nav.hasClearLine(enemy.x, enemy.y, player.x, player.y)) {
+            const flowDirection = this.flowField.sampleDirection(enemy.x, enemy.y);
+            if (flowDirection) return flowDirection;
+        }
+        
+        return { x: dx / distance, y: dy / distance };
+    }
+    
+    // Move an enemy towards the player, steering around obstacles
+    moveTowardsPlayer(enemy, player, speedScale) {
+        // Calculate direction to the player (or along the flow field around obstacles)
+        const direction = this.getSteeringDirection(enemy, player);
+        if (!direction) return;
         
+        this.moveEnemy(enemy, direction.x, direction.y, speedScale);
+    }
+    
+    // Move an enemy along a unit direction with obstacle collision
+    moveEnemy(enemy, dirX, dirY, speedScale) {
         // Store original position for collision resolution
         const originalX = enemy.x;
         const originalY = enemy.y;
         
         // Calculate base movement
-        let moveX = dirX * enemy.speed;
-        let moveY = dirY * enemy.speed;
-        
-        // Boss special movement: periodically charge at player
-        if (enemy.type === 'boss') {
-            const chargeTime = Date.now() % 5000;
-            if (chargeTime < 1000) {
-                // Charge phase
-                moveX *= 2;
-                moveY *= 2;
-                
-                // Create trail particles during charge
-                if (Math.random() < 0.3) {
-                    this.game.particleManager.createParticle(
-                        enemy.x, enemy.y,
-                        'rgba(255, 0, 0, 0.5)',
-                        enemy.width / 4,
-                        10,
-                        (Math.random() - 0.5) * 0.5,
-                        (Math.random() - 0.5) * 0.5
-                    );
-                }
-            }
-        }
+        const moveX = dirX * enemy.speed * speedScale;
+        const moveY = dirY * enemy.speed * speedScale;
         
         // Apply movement
         enemy.x += moveX;
@@ -364,6 +738,11 @@ export class EnemyManager {
             if (!this.obstacles.includes(obj)) continue;
             
             if (checkCollision(enemyRect, obj)) {
+                // Remember player structures in the way so they can be attacked
+                if (obj.isStructure) {
+                    enemy.blockedBy = obj;
+                }
+                
                 // Calculate overlap on each axis
                 const overlapX = Math.min(
                     enemyRect.x + enemyRect.width - obj.x,
@@ -401,7 +780,7 @@ export class EnemyManager {
             Math.abs(enemy.y - originalY) < Math.abs(moveY) * 0.5) {
             
             // Try moving horizontally
-            if (Math.abs(dx) > Math.abs(dy)) {
+            if (Math.abs(dirX) > Math.abs(dirY)) {
                 enemy.y = originalY;
             } 
             // Try moving vertically
@@ -411,7 +790,7 @@ export class EnemyManager {
         }
         
         // Keep enemy within world bounds
-        enemy.x = Math.max(enemy.width/2, Math.min(CONFIG.WORLD_WIDTH - enemy.width/2, enemy.x));
-        enemy.y = Math.max(enemy.height/2, Math.min(CONFIG.WORLD_HEIGHT - enemy.height/2, enemy.y));
+        enemy.x = Math.max(enemy.width/2, Math.min(this.game.map.width - enemy.width/2, enemy.x));
+        enemy.y = Math.max(enemy.height/2, Math.min(this.game.map.height - enemy.height/2, enemy.y));
     }
 }
\ No newline at end of file
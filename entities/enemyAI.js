@@ -0,0 +1,214 @@
+// enemyAI.js - Enemy behavior states, selected per type by CONFIG.ENEMY_TYPES[type].ai
+
+import { BossAttacks } from './bossAttacks.js';
+
+// Each state is a set of hooks that EnemyManager dispatches on:
+//   enter(manager, enemy, ai, player)           - called once when the enemy switches to this state
+//   update(manager, enemy, player, ai)          - per-frame logic, return a state name to switch to it
+export const EnemyStates = {
+    // Aimless roaming until the player comes within aggro range
+    wander: {
+        enter(manager, enemy) {
+            enemy.wanderAngle = manager.game.rng.next() * Math.PI * 2;
+            enemy.nextWanderTime = manager.game.clock.now() + 1500 + manager.game.rng.next() * 1500;
+        },
+        
+        update(manager, enemy, player, ai) {
+            if (manager.distanceTo(enemy, player) < ai.aggroRange) return 'chase';
+            
+            // Pick a new heading every few seconds
+            const currentTime = manager.game.clock.now();
+            if (currentTime >= enemy.nextWanderTime) {
+                enemy.wanderAngle = manager.game.rng.next() * Math.PI * 2;
+                enemy.nextWanderTime = currentTime + 1500 + manager.game.rng.next() * 1500;
+            }
+            
+            manager.moveEnemy(enemy, Math.cos(enemy.wanderAngle), Math.sin(enemy.wanderAngle), 0.5);
+            return null;
+        }
+    },
+    
+    // Follow the player and start a melee attack on contact
+    chase: {
+        update(manager, enemy, player, ai) {
+            const currentTime = manager.game.clock.now();
+            
+            if (ai.fleeHealth && !enemy.hasFled && enemy.health <= enemy.maxHealth * ai.fleeHealth) {
+                return 'flee';
+            }
+            
+            if (ai.fuseRange && manager.distanceTo(enemy, player) < ai.fuseRange) return 'fuse';
+            
+            if (manager.isTouchingPlayer(enemy, player) &&
+                currentTime - enemy.lastAttack >= enemy.attackCooldown) {
+                return 'windup';
+            }
+            
+            manager.moveTowardsPlayer(enemy, player, 1);
+            return null;
+        }
+    },
+    
+    // Telegraphed pause before a melee strike; the player can step out of reach
+    windup: {
+        update(manager, enemy, player, ai) {
+            if (manager.game.clock.now() - enemy.stateStartTime < ai.windupTime) return null;
+            
+            if (manager.isTouchingPlayer(enemy, player)) {
+                manager.strikePlayer(enemy, player);
+            }
+            
+            enemy.lastAttack = manager.game.clock.now();
+            return ai.initial === 'kite' ? 'kite' : 'chase';
+        }
+    },
+    
+    // Run directly away from the player once, then return to the fight
+    flee: {
+        enter(manager, enemy) {
+            enemy.hasFled = true;
+        },
+        
+        update(manager, enemy, player, ai) {
+            if (manager.game.clock.now() - enemy.stateStartTime >= ai.fleeDuration) return 'chase';
+            
+            const dx = enemy.x - player.x;
+            const dy = enemy.y - player.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            
+            manager.moveEnemy(enemy, dx / distance, dy / distance, ai.fleeSpeed || 1);
+            return null;
+        }
+    },
+    
+    // Stop and flash, then blow up regardless of where the player went
+    fuse: {
+        update(manager, enemy, player, ai) {
+            if (manager.game.clock.now() - enemy.stateStartTime >= ai.fuseTime) {
+                manager.detonate(enemy, ai);
+            }
+            
+            return null;
+        }
+    },
+    
+    // Hold a preferred distance from the player, shooting or summoning minions
+    kite: {
+        enter(manager, enemy, ai) {
+            if (ai.summonInterval && !enemy.nextSpecialTime) {
+                enemy.nextSpecialTime = manager.game.clock.now() + ai.summonInterval;
+            }
+        },
+        
+        update(manager, enemy, player, ai) {
+            const currentTime = manager.game.clock.now();
+            const distance = manager.distanceTo(enemy, player);
+            
+            if (ai.summonInterval && currentTime >= enemy.nextSpecialTime &&
+                distance < ai.preferredRange * 1.5) {
+                return 'summon';
+            }
+            
+            if (ai.projectile && currentTime - enemy.lastAttack >= ai.fireRate &&
+                distance < ai.fireRange && manager.hasLineOfSight(enemy, player)) {
+                return 'ranged';
+            }
+            
+            if (manager.isTouchingPlayer(enemy, player) &&
+                currentTime - enemy.lastAttack >= enemy.attackCooldown) {
+                return 'windup';
+            }
+            
+            // Close in when too far, back off when too close, otherwise hold position
+            if (distance > ai.preferredRange * 1.2) {
+                manager.moveTowardsPlayer(enemy, player, 1);
+            } else if (distance < ai.preferredRange * 0.8 && distance > 0) {
+                manager.moveEnemy(
+                    enemy,
+                    (enemy.x - player.x) / distance,
+                    (enemy.y - player.y) / distance,
+                    1
+                );
+            }
+            
+            return null;
+        }
+    },
+    
+    // Stand still and aim, then fire a projectile at the player
+    ranged: {
+        update(manager, enemy, player, ai) {
+            // Track the player while aiming
+            enemy.aimAngle = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+            
+            if (manager.game.clock.now() - enemy.stateStartTime < ai.aimTime) return null;
+            
+            manager.fireProjectile(enemy, ai);
+            enemy.lastAttack = manager.game.clock.now();
+            return 'kite';
+        }
+    },
+    
+    // Channel in place, then call in minions around the caster
+    summon: {
+        update(manager, enemy, player, ai) {
+            if (manager.game.clock.now() - enemy.stateStartTime < ai.castTime) return null;
+            
+            manager.summonMinions(enemy, ai);
+            enemy.nextSpecialTime = manager.game.clock.now() + ai.summonInterval;
+            return 'kite';
+        }
+    },
+    
+    // Boss: follow the player between attacks, moving to the next phase at health thresholds
+    bossChase: {
+        enter(manager, enemy) {
+            if (!enemy.nextSpecialTime) {
+                enemy.nextSpecialTime = manager.game.clock.now() + manager.getBossPhase(enemy).attackInterval;
+            }
+        },
+        
+        update(manager, enemy, player) {
+            const currentTime = manager.game.clock.now();
+            
+            manager.updateBossPhase(enemy);
+            
+            if (currentTime >= enemy.nextSpecialTime) return 'bossAttack';
+            
+            // Bosses hit on contact without stopping to wind up
+            if (manager.isTouchingPlayer(enemy, player) &&
+                currentTime - enemy.lastAttack >= enemy.attackCooldown) {
+                manager.strikePlayer(enemy, player);
+                enemy.lastAttack = currentTime;
+            }
+            
+            manager.moveTowardsPlayer(enemy, player, manager.getBossPhase(enemy).speed);
+            return null;
+        }
+    },
+    
+    // Boss: run the current phase's next attack pattern to completion
+    bossAttack: {
+        enter(manager, enemy, ai, player) {
+            const attacks = manager.getBossPhase(enemy).attacks;
+            const attack = attacks[enemy.attackIndex % attacks.length];
+            enemy.attackIndex++;
+            enemy.currentAttack = attack;
+            
+            const pattern = BossAttacks[attack.pattern];
+            if (pattern.start) {
+                pattern.start(manager, enemy, player, attack);
+            }
+        },
+        
+        update(manager, enemy, player) {
+            const attack = enemy.currentAttack;
+            
+            if (BossAttacks[attack.pattern].update(manager, enemy, player, attack)) return null;
+            
+            enemy.currentAttack = null;
+            enemy.nextSpecialTime = manager.game.clock.now() + manager.getBossPhase(enemy).attackInterval;
+            return 'bossChase';
+        }
+    }
+};
\ No newline at end of file
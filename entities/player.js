@@ -22,16 +22,27 @@ export class Player {
         this.speed = 4;
         this.baseSpeed = 4;
         this.speedBoost = 0;
-        this.speedBoostDuration = 0;
+        this.speedBoostEndTime = 0; // Simulation time the boost wears off
         
         // Stats
         this.health = 100;
         this.maxHealth = 100;
+        this.lastDamageSourceId = null; // Enemy that landed the last hit, shown by the killcam
+        this.reviveProgress = 0; // ms a teammate has spent reviving this player while down
+        this.protectedUntil = 0; // Simulation time spawn protection wears off
+        
+        // Multiplayer scoreboard (the team score lives on the simulation)
+        this.score = 0;
+        this.kills = 0;
+        this.deaths = 0;
         
         // Weapon and combat
         this.weapon = 'Pistol';
-        this.lastShot = 0;
-        this.ammo = Infinity;
+        this.inventory = this.createInventory(); // Weapon name -> { magazine, reserve }
+        this.lastShot = -Infinity; // Simulation time of the last shot
+        this.reloading = false;
+        this.reloadStartTime = 0;
+        this.reloadEndTime = 0;
         this.damageMultiplier = 1;
         this.fireRateMultiplier = 1;
         
@@ -45,10 +56,18 @@ export class Player {
         this.y = CONFIG.WORLD_HEIGHT / 2;
         this.health = 100;
         this.maxHealth = 100;
+        this.lastDamageSourceId = null;
+        this.reviveProgress = 0;
+        this.protectedUntil = 0;
+        this.score = 0;
+        this.kills = 0;
+        this.deaths = 0;
         this.weapon = 'Pistol';
-        this.ammo = Infinity;
+        this.inventory = this.createInventory();
+        this.lastShot = -Infinity;
+        this.reloading = false;
         this.speedBoost = 0;
-        this.speedBoostDuration = 0;
+        this.speedBoostEndTime = 0;
         this.damageMultiplier = 1;
         this.fireRateMultiplier = 1;
     }
@@ -59,9 +78,8 @@ export class Player {
         this.speed = this.baseSpeed;
         
         // Apply speed boost if active
-        if (this.speedBoostDuration > 0) {
+        if (this.hasSpeedBoost()) {
             this.speed += this.speedBoost;
-            this.speedBoostDuration--;
             
             // Create speed particles
             if (Math.random() < 0.2) {
@@ -95,8 +113,8 @@ export class Player {
         }
         
         // Keep player within world bounds
-        this.x = Math.max(this.width/2, Math.min(CONFIG.WORLD_WIDTH - this.width/2, this.x));
-        this.y = Math.max(this.height/2, Math.min(CONFIG.WORLD_HEIGHT - this.height/2, this.y));
+        this.x = Math.max(this.width/2, Math.min(this.game.map.width - this.width/2, this.x));
+        this.y = Math.max(this.height/2, Math.min(this.game.map.height - this.height/2, this.y));
         
         // Check obstacle collisions
         const playerRect = {
@@ -145,6 +163,14 @@ export class Player {
             }
         }
         
+        // Switch weapons with number keys and mouse wheel
+        this.handleWeaponInput(input);
+        
+        // Finish reload once its time is up
+        if (this.reloading && this.game.clock.now() >= this.reloadEndTime) {
+            this.finishReload();
+        }
+        
         // Shoot if shooting is active
         if (input.isShooting) {
             this.shoot(input.worldMouseX, input.worldMouseY);
@@ -154,21 +180,75 @@ export class Player {
         grid.update(this);
     }
     
+    // Handle weapon switching input
+    handleWeaponInput(input) {
+        const slotCount = Object.keys(CONFIG.WEAPONS).length;
+        
+        for (let slot = 1; slot <= Math.min(slotCount, 9); slot++) {
+            if (input.consumeKeyPress(String(slot))) {
+                this.switchToSlot(slot - 1);
+            }
+        }
+        
+        const wheel = input.consumeWheel();
+        if (wheel !== 0) {
+            this.cycleWeapon(wheel > 0 ? 1 : -1);
+        }
+        
+        // Manual reload
+        if (input.consumeKeyPress('r') || input.consumeKeyPress('R')) {
+            this.startReload();
+        }
+    }
+    
+    // Create the starting inventory (pistol only)
+    createInventory() {
+        return {
+            Pistol: {
+                magazine: CONFIG.WEAPONS.Pistol.magazineSize,
+                reserve: CONFIG.WEAPONS.Pistol.reserveAmmo
+            }
+        };
+    }
+    
+    // Get total ammo (magazine + reserve) for a weapon (defaults to the equipped one)
+    getAmmo(weaponName = this.weapon) {
+        const slot = this.inventory[weaponName];
+        return slot ? slot.magazine + slot.reserve : 0;
+    }
+    
+    // Check if a weapon is in the inventory
+    hasWeapon(weaponName) {
+        return weaponName in this.inventory;
+    }
+    
+    // Get owned weapons in slot order
+    getOwnedWeapons() {
+        return Object.keys(CONFIG.WEAPONS).filter(name => this.hasWeapon(name));
+    }
+    
     // Handle shooting
     shoot(targetX, targetY) {
         const weaponData = CONFIG.WEAPONS[this.weapon];
         
+        const slot = this.inventory[this.weapon];
+        
+        // Can't fire mid-reload
+        if (this.reloading) return;
+        
         // Check if player has ammo
-        if (this.ammo <= 0 && this.weapon !== 'Pistol') {
-            // Out of ammo, switch to pistol
-            this.weapon = 'Pistol';
-            this.ammo = Infinity;
-            this.game.hud.update(this.game);
+        if (slot.magazine <= 0) {
+            if (slot.reserve > 0) {
+                this.startReload();
+            } else {
+                // Out of ammo, fall back to pistol but keep the empty weapon
+                this.switchWeapon('Pistol');
+            }
             return;
         }
         
         // Check fire rate (adjusted by player's fire rate multiplier)
-        const currentTime = Date.now();
+        const currentTime = this.game.clock.now();
         const adjustedFireRate = weaponData.fireRate / this.fireRateMultiplier;
         
         if (currentTime - this.lastShot < adjustedFireRate) {
@@ -177,10 +257,13 @@ export class Player {
         
         this.lastShot = currentTime;
         
-        // Decrease ammo if not infinite
-        if (this.ammo !== Infinity) {
-            this.ammo--;
-            this.game.hud.update(this.game);
+        // Spend a round from the magazine
+        slot.magazine--;
+        this.game.hud.update(this.game);
+        
+        // Reload automatically when the magazine runs dry
+        if (slot.magazine <= 0 && slot.reserve > 0) {
+            this.startReload();
         }
         
         // Calculate angle to target
@@ -195,9 +278,16 @@ export class Player {
         this.game.bulletManager.createBullet(this, angle, weaponData);
     }
     
-    // Take damage
-    takeDamage(amount) {
+    // Take damage (sourceId is the enemy dealing it, or null for the player's own explosions)
+    takeDamage(amount, sourceId = null) {
+        // Hits landing after death in the same step don't count
+        if (this.health <= 0) return;
+        
+        // Nothing hurts a player who was just revived or respawned
+        if (this.game.clock.now() < this.protectedUntil) return;
+        
         this.health -= amount;
+        this.lastDamageSourceId = sourceId;
         
         // Create damage indication particles
         for (let i = 0; i < 5; i++) {
@@ -223,30 +313,138 @@ export class Player {
         // Check if player is dead
         if (this.health <= 0) {
             this.health = 0;
-            this.game.gameOver();
+            this.game.playerDied(this);
         }
     }
     
+    // Get back up with some health, briefly protected from damage
+    revive(health) {
+        this.health = health;
+        this.reviveProgress = 0;
+        this.protectedUntil = this.game.clock.now() + CONFIG.SPAWN_PROTECTION;
+    }
+    
     // Heal player
     heal(amount) {
         this.health = Math.min(this.health + amount, this.maxHealth);
         this.game.hud.update(this.game);
     }
     
-    // Apply speed boost
+    // Apply speed boost for duration ms of simulation time
     applySpeedBoost(amount, duration) {
         this.speedBoost = amount;
-        this.speedBoostDuration = duration;
+        this.speedBoostEndTime = this.game.clock.now() + duration;
     }
     
-    // Change weapon
-    changeWeapon(weaponName) {
-        if (CONFIG.WEAPONS[weaponName]) {
-            this.weapon = weaponName;
-            this.ammo = CONFIG.WEAPONS[weaponName].ammo;
-            this.game.hud.update(this.game);
-            return true;
+    // Check if a speed boost is active
+    hasSpeedBoost() {
+        return this.game.clock.now() < this.speedBoostEndTime;
+    }
+    
+    // Get the ms left on the speed boost
+    getSpeedBoostRemaining() {
+        return Math.max(0, this.speedBoostEndTime - this.game.clock.now());
+    }
+    
+    // Add a weapon to the inventory, or top up its reserve if already owned
+    addWeapon(weaponName) {
+        const weaponData = CONFIG.WEAPONS[weaponName];
+        if (!weaponData) return false;
+        
+        if (this.hasWeapon(weaponName)) {
+            this.addReserveAmmo(weaponName, weaponData.reserveAmmo);
+        } else {
+            this.inventory[weaponName] = {
+                magazine: weaponData.magazineSize,
+                reserve: weaponData.reserveAmmo
+            };
         }
-        return false;
+        
+        this.game.hud.update(this.game);
+        return true;
+    }
+    
+    // Add reserve ammo to an owned weapon, capped at its max reserve
+    addReserveAmmo(weaponName, amount) {
+        const slot = this.inventory[weaponName];
+        if (!slot || slot.reserve === Infinity) return;
+        
+        slot.reserve = Math.min(CONFIG.WEAPONS[weaponName].maxReserve, slot.reserve + amount);
+    }
+    
+    // Start reloading the equipped weapon
+    startReload() {
+        const weaponData = CONFIG.WEAPONS[this.weapon];
+        const slot = this.inventory[this.weapon];
+        
+        if (this.reloading || slot.reserve <= 0 || slot.magazine >= weaponData.magazineSize) {
+            return false;
+        }
+        
+        this.reloading = true;
+        this.reloadStartTime = this.game.clock.now();
+        this.reloadEndTime = this.reloadStartTime + weaponData.reloadTime;
+        
+        this.game.audio.play('reload');
+        this.game.hud.update(this.game);
+        return true;
+    }
+    
+    // Move rounds from reserve into the magazine
+    finishReload() {
+        const weaponData = CONFIG.WEAPONS[this.weapon];
+        const slot = this.inventory[this.weapon];
+        const rounds = Math.min(weaponData.magazineSize - slot.magazine, slot.reserve);
+        
+        slot.magazine += rounds;
+        if (slot.reserve !== Infinity) {
+            slot.reserve -= rounds;
+        }
+        
+        this.reloading = false;
+        this.game.hud.update(this.game);
+    }
+    
+    // Abort an in-progress reload without refilling
+    cancelReload() {
+        this.reloading = false;
+    }
+    
+    // Get reload progress from 0 to 1
+    getReloadProgress() {
+        if (!this.reloading) return 0;
+        
+        const duration = this.reloadEndTime - this.reloadStartTime;
+        return Math.min(1, (this.game.clock.now() - this.reloadStartTime) / duration);
+    }
+    
+    // Equip an owned weapon
+    switchWeapon(weaponName) {
+        if (!this.hasWeapon(weaponName) || weaponName === this.weapon) return false;
+        
+        // Switching weapons interrupts a reload
+        this.cancelReload();
+        this.weapon = weaponName;
+        this.game.hud.update(this.game);
+        return true;
+    }
+    
+    // Equip the weapon in a numbered slot (slots follow CONFIG.WEAPONS order)
+    switchToSlot(index) {
+        const weaponName = Object.keys(CONFIG.WEAPONS)[index];
+        if (!weaponName || this.getAmmo(weaponName) <= 0) return false;
+        
+        return this.switchWeapon(weaponName);
+    }
+    
+    // Cycle through owned weapons that still have ammo
+    cycleWeapon(direction) {
+        const usable = this.getOwnedWeapons().filter(name => this.getAmmo(name) > 0);
+        if (usable.length < 2) return false;
+        
+        const index = usable.indexOf(this.weapon);
+        const next = (index + direction + usable.length) % usable.length;
+        
+        return this.switchWeapon(usable[next]);
     }
 }
\ No newline at end of file
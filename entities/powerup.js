@@ -2,6 +2,9 @@
 
 import { CONFIG } from '../config.js';
 
+const POWERUP_LIFETIME = 10000; // ms a dropped powerup stays on the ground
+const WAVE_POWERUP_LIFETIME = 20000; // Wave rewards last longer
+
 export class PowerupManager {
     constructor(game) {
         this.game = game;
@@ -19,6 +22,31 @@ export class PowerupManager {
         this.powerups = [];
     }
     
+    // Get the powerups on the ground for a save (effects are looked up by type on restore)
+    serialize() {
+        return this.powerups.map(powerup => ({
+            id: powerup.id,
+            type: powerup.type,
+            x: powerup.x,
+            y: powerup.y,
+            expireTime: powerup.expireTime
+        }));
+    }
+    
+    // Put saved powerups back with their remaining lifetime (the clock is restored first)
+    restore(savedPowerups) {
+        for (const saved of savedPowerups) {
+            const powerupConfig = CONFIG.POWERUP_TYPES.find(p => p.type === saved.type);
+            if (!powerupConfig) continue;
+            
+            const powerup = this.createPowerup(saved.x, saved.y, powerupConfig);
+            powerup.expireTime = saved.expireTime;
+            
+            // Older saves didn't number powerups
+            if (saved.id !== undefined) powerup.id = saved.id;
+        }
+    }
+    
     // Get powerup from pool or create new one
     getPowerup() {
         if (this.powerupPool.length > 0) {
@@ -26,13 +54,14 @@ export class PowerupManager {
         }
         
         return {
+            id: 0,
             x: 0,
             y: 0,
             radius: 15,
             type: '',
             color: '',
             effect: null,
-            lifetime: 600, // 10 seconds at 60fps
+            expireTime: 0, // Simulation time the powerup disappears
             active: true,
             cellKey: null
         };
@@ -53,13 +82,14 @@ export class PowerupManager {
     createPowerup(x, y, powerupConfig) {
         const powerup = this.getPowerup();
         
+        powerup.id = this.game.generateEntityId();
         powerup.x = x;
         powerup.y = y;
         powerup.radius = 15;
         powerup.type = powerupConfig.type;
         powerup.color = powerupConfig.color;
         powerup.effect = powerupConfig.effect;
-        powerup.lifetime = 600; // 10 seconds at 60fps
+        powerup.expireTime = this.game.clock.now() + POWERUP_LIFETIME;
         powerup.active = true;
         
         this.powerups.push(powerup);
@@ -71,34 +101,44 @@ export class PowerupManager {
     // Create random powerup
     createRandomPowerup(x, y) {
         const powerupTypes = CONFIG.POWERUP_TYPES;
-        const randomType = powerupTypes[Math.floor(Math.random() * powerupTypes.length)];
-        
-        // Skip weapon powerups if player already has all weapons
-        if (randomType.type === 'weapon' && this.game.player.weapon !== 'Pistol') {
-            // Check if ammo is low - give ammo instead of a new weapon
-            if (this.game.player.ammo < CONFIG.WEAPONS[this.game.player.weapon].ammo * 0.3) {
-                // Find ammo powerup
-                const ammoPowerup = powerupTypes.find(p => p.type === 'ammo');
-                if (ammoPowerup) {
-                    return this.createPowerup(x, y, ammoPowerup);
-                }
+        const randomType = powerupTypes[Math.floor(this.game.rng.next() * powerupTypes.length)];
+        
+        // Give ammo instead of a new weapon if the nearest player's ammo is running low
+        const player = this.game.getNearestPlayer(x, y);
+        if (randomType.type === 'weapon' && player && this.getLowestAmmoRatio(player) < 0.3) {
+            // Find ammo powerup
+            const ammoPowerup = powerupTypes.find(p => p.type === 'ammo');
+            if (ammoPowerup) {
+                return this.createPowerup(x, y, ammoPowerup);
             }
         }
         
         return this.createPowerup(x, y, randomType);
     }
     
+    // Get the lowest ammo fraction across the player's limited-ammo weapons
+    getLowestAmmoRatio(player) {
+        let lowest = 1;
+        
+        for (const weaponName of player.getOwnedWeapons()) {
+            const weaponData = CONFIG.WEAPONS[weaponName];
+            if (weaponData.maxReserve === Infinity) continue;
+            
+            const capacity = weaponData.magazineSize + weaponData.maxReserve;
+            lowest = Math.min(lowest, player.getAmmo(weaponName) / capacity);
+        }
+        
+        return lowest;
+    }
+    
     // Update all powerups
-    update(deltaTime, player, game) {
+    update(deltaTime) {
         // Using a reverse loop for efficient removal
         for (let i = this.powerups.length - 1; i >= 0; i--) {
             const powerup = this.powerups[i];
             
-            // Update lifetime
-            powerup.lifetime--;
-            
             // Remove expired powerups
-            if (powerup.lifetime <= 0) {
+            if (this.game.clock.now() >= powerup.expireTime) {
                 this.game.grid.remove(powerup);
                 this.returnPowerupToPool(powerup);
                 this.powerups.splice(i, 1);
@@ -106,7 +146,7 @@ export class PowerupManager {
             }
             
             // Create glowing particles occasionally
-            if (powerup.lifetime % 10 === 0) {
+            if (this.game.clock.tick % 10 === 0) {
                 const angle = Math.random() * Math.PI * 2;
                 
                 this.game.particleManager.createParticle(
@@ -120,14 +160,12 @@ export class PowerupManager {
                 );
             }
             
-            // Check collision with player
-            const dx = powerup.x - player.x;
-            const dy = powerup.y - player.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+            // Check collision with players
+            const player = this.getCollector(powerup);
             
-            if (distance < powerup.radius + player.width / 2) {
+            if (player) {
                 // Apply powerup effect
-                powerup.effect(player, game);
+                powerup.effect(player, this.game);
                 
                 // Create pickup particles
                 for (let j = 0; j < 15; j++) {
@@ -155,14 +193,29 @@ export class PowerupManager {
         }
     }
     
-    // Create special powerup for new wave
-    createWavePowerup() {
+    // Get the first living player touching a powerup, or null
+    getCollector(powerup) {
+        for (const player of this.game.players) {
+            if (player.health <= 0) continue;
+            
+            const dx = powerup.x - player.x;
+            const dy = powerup.y - player.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance < powerup.radius + player.width / 2) return player;
+        }
+        
+        return null;
+    }
+    
+    // Create special powerup for new wave, picked for what a player needs
+    createWavePowerup(player) {
         // Find a free spot away from obstacles
         let x, y, validPosition = false;
         
         while (!validPosition) {
-            x = 100 + Math.random() * (CONFIG.WORLD_WIDTH - 200);
-            y = 100 + Math.random() * (CONFIG.WORLD_HEIGHT - 200);
+            x = 100 + this.game.rng.next() * (this.game.map.width - 200);
+            y = 100 + this.game.rng.next() * (this.game.map.height - 200);
             
             // Check distance to obstacles
             const nearbyObstacles = this.game.grid.getNearby({
@@ -175,17 +228,16 @@ export class PowerupManager {
         // Determine powerup type based on player status
         let powerupType;
         
-        if (this.game.player.health < this.game.player.maxHealth * 0.5) {
+        if (player.health < player.maxHealth * 0.5) {
             // Player has low health, give health powerup
             powerupType = CONFIG.POWERUP_TYPES.find(p => p.type === 'health');
-        } else if (this.game.player.weapon === 'Pistol') {
+        } else if (player.getOwnedWeapons().length === 1) {
             // Player has only pistol, give weapon powerup
             powerupType = CONFIG.POWERUP_TYPES.find(p => p.type === 'weapon');
         } else {
             // Otherwise random, but weighted towards what player needs
-            const healthWeight = 1 - (this.game.player.health / this.game.player.maxHealth);
-            const ammoWeight = this.game.player.weapon !== 'Pistol' ? 
-                1 - (this.game.player.ammo / CONFIG.WEAPONS[this.game.player.weapon].ammo) : 0;
+            const healthWeight = 1 - (player.health / player.maxHealth);
+            const ammoWeight = 1 - this.getLowestAmmoRatio(player);
             
             const weights = [
                 { type: 'health', weight: healthWeight + 0.2 },
@@ -196,7 +248,7 @@ export class PowerupManager {
             
             // Normalize weights
             const totalWeight = weights.reduce((sum, entry) => sum + entry.weight, 0);
-            let randomValue = Math.random() * totalWeight;
+            let randomValue = this.game.rng.next() * totalWeight;
             
             for (const entry of weights) {
                 if (randomValue < entry.weight) {
@@ -216,7 +268,7 @@ export class PowerupManager {
         const powerup = this.createPowerup(x, y, powerupType);
         
         // Make it last longer
-        powerup.lifetime = 1200; // 20 seconds
+        powerup.expireTime = this.game.clock.now() + WAVE_POWERUP_LIFETIME;
         
         // Make it more visible with extra particles
         for (let i = 0; i < 20; i++) {
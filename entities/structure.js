@@ -0,0 +1,292 @@
+// structure.js - Player-built barricades and turrets
+
+import { CONFIG } from '../config.js';
+import { checkCollision } from '../systems/collisions.js';
+import { CollisionLayers } from '../systems/collisionLayers.js';
+
+export class StructureManager {
+    constructor(game) {
+        this.game = game;
+        this.structures = [];
+        this.pendingRestore = null; // Structures from a save, placed once the map exists
+    }
+    
+    // Clear all structures
+    clear() {
+        for (const structure of this.structures) {
+            this.detach(structure);
+        }
+        this.structures = [];
+    }
+    
+    // Create a structure object and add it to the world
+    createStructure(type, x, y, health) {
+        const structureConfig = CONFIG.STRUCTURES[type];
+        
+        if (!structureConfig) {
+            console.error(`Structure type "${type}" not found`);
+            return null;
+        }
+        
+        // Structures are stored top-left like other obstacles
+        const structure = {
+            id: this.game.generateEntityId(),
+            x: x,
+            y: y,
+            width: structureConfig.width,
+            height: structureConfig.height,
+            color: structureConfig.color,
+            type: type,
+            health: health !== undefined ? health : structureConfig.health,
+            maxHealth: structureConfig.health,
+            entityType: 'structure',
+            collisionLayer: CollisionLayers.OBSTACLE,
+            isStructure: true,
+            angle: 0,
+            lastShot: -Infinity, // Never fired
+            cellKey: null
+        };
+        
+        this.structures.push(structure);
+        this.game.enemyManager.obstacles.push(structure);
+        this.game.grid.add(structure);
+        
+        return structure;
+    }
+    
+    // Remove a structure from obstacles and grid
+    detach(structure) {
+        const index = this.game.enemyManager.obstacles.indexOf(structure);
+        if (index !== -1) {
+            this.game.enemyManager.obstacles.splice(index, 1);
+        }
+        
+        this.game.grid.remove(structure);
+    }
+    
+    // Handle a player's build key presses
+    handleBuildInput(player, input) {
+        for (const type in CONFIG.STRUCTURES) {
+            const key = CONFIG.STRUCTURES[type].key;
+            
+            if (input.consumeKeyPress(key) || input.consumeKeyPress(key.toUpperCase())) {
+                this.tryPlace(type, input.worldMouseX, input.worldMouseY, player);
+            }
+        }
+    }
+    
+    // Try to place a structure centered on a world position, paid from the team score
+    tryPlace(type, centerX, centerY, player) {
+        const structureConfig = CONFIG.STRUCTURES[type];
+        
+        if (this.game.score < structureConfig.cost) {
+            this.game.hud.showNotification(`Need ${structureConfig.cost} points to build a ${type}`, 1500);
+            return null;
+        }
+        
+        // Must be within reach of the player
+        const dx = centerX - player.x;
+        const dy = centerY - player.y;
+        
+        if (dx * dx + dy * dy > CONFIG.BUILD_RANGE * CONFIG.BUILD_RANGE) {
+            this.game.hud.showNotification('Too far away to build', 1500);
+            return null;
+        }
+        
+        const x = centerX - structureConfig.width / 2;
+        const y = centerY - structureConfig.height / 2;
+        
+        if (!this.isAreaClear(x, y, structureConfig.width, structureConfig.height)) {
+            this.game.hud.showNotification('Cannot build there', 1500);
+            return null;
+        }
+        
+        // Pay for the structure
+        this.game.score -= structureConfig.cost;
+        this.game.hud.update(this.game);
+        this.game.audio.play('build');
+        
+        return this.createStructure(type, x, y);
+    }
+    
+    // Check that a rectangle is inside the world and not overlapping anything solid
+    isAreaClear(x, y, width, height) {
+        if (x < 0 || y < 0 || x + width > this.game.map.width || y + height > this.game.map.height) {
+            return false;
+        }
+        
+        const rect = { x, y, width, height };
+        
+        for (const player of this.game.getLivingPlayers()) {
+            const playerRect = {
+                x: player.x - player.width / 2,
+                y: player.y - player.height / 2,
+                width: player.width,
+                height: player.height
+            };
+            
+            if (checkCollision(rect, playerRect)) return false;
+        }
+        
+        for (const obstacle of this.game.enemyManager.obstacles) {
+            if (checkCollision(rect, obstacle)) return false;
+        }
+        
+        for (const enemy of this.game.enemyManager.enemies) {
+            const enemyRect = {
+                x: enemy.x - enemy.width / 2,
+                y: enemy.y - enemy.height / 2,
+                width: enemy.width,
+                height: enemy.height
+            };
+            
+            if (checkCollision(rect, enemyRect)) return false;
+        }
+        
+        return true;
+    }
+    
+    // Damage a structure, destroying it at zero health
+    damageStructure(structure, amount) {
+        structure.health -= amount;
+        
+        if (structure.health <= 0) {
+            this.destroyStructure(structure);
+        }
+    }
+    
+    // Destroy a structure
+    destroyStructure(structure) {
+        const index = this.structures.indexOf(structure);
+        if (index === -1) return;
+        
+        this.structures.splice(index, 1);
+        this.detach(structure);
+        
+        // Create debris particles
+        const centerX = structure.x + structure.width / 2;
+        const centerY = structure.y + structure.height / 2;
+        
+        for (let i = 0; i < 12; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 1 + Math.random() * 2;
+            
+            this.game.particleManager.createParticle(
+                centerX, centerY,
+                structure.color,
+                3 + Math.random() * 3,
+                20 + Math.random() * 20,
+                Math.cos(angle) * speed,
+                Math.sin(angle) * speed
+            );
+        }
+        
+        this.game.audio.play('structureDestroyed');
+    }
+    
+    // Update all structures; inputs maps each player to their input
+    update(deltaTime, inputs) {
+        for (const [player, input] of inputs) {
+            if (player.health > 0) this.handleBuildInput(player, input);
+        }
+        
+        // Turrets shoot over other structures, so only terrain blocks their sight
+        let terrain = null;
+        
+        for (const structure of this.structures) {
+            if (structure.type !== 'turret') continue;
+            
+            const turretConfig = CONFIG.STRUCTURES.turret;
+            const currentTime = this.game.clock.now();
+            
+            if (currentTime - structure.lastShot < turretConfig.weapon.fireRate) continue;
+            
+            if (!terrain) {
+                terrain = this.game.enemyManager.obstacles.filter(obstacle => !obstacle.isStructure);
+            }
+            
+            const target = this.findTarget(structure, turretConfig.range, terrain);
+            if (!target) continue;
+            
+            this.fireTurret(structure, target, turretConfig.weapon);
+            structure.lastShot = currentTime;
+        }
+    }
+    
+    // Find the nearest enemy a turret can see
+    findTarget(turret, range, terrain) {
+        const centerX = turret.x + turret.width / 2;
+        const centerY = turret.y + turret.height / 2;
+        const nearby = this.game.grid.getNearby(turret, range);
+        
+        let nearest = null;
+        let nearestDistSq = range * range;
+        
+        for (const obj of nearby) {
+            if (obj.entityType !== 'enemy' || !obj.active) continue;
+            
+            const dx = obj.x - centerX;
+            const dy = obj.y - centerY;
+            const distSq = dx * dx + dy * dy;
+            
+            if (distSq >= nearestDistSq) continue;
+            
+            if (this.game.collisions.checkLineOfSight(centerX, centerY, obj.x, obj.y, terrain)) {
+                nearest = obj;
+                nearestDistSq = distSq;
+            }
+        }
+        
+        return nearest;
+    }
+    
+    // Fire a turret at a target
+    fireTurret(turret, target, weaponData) {
+        const shooter = {
+            x: turret.x + turret.width / 2,
+            y: turret.y + turret.height / 2,
+            damageMultiplier: 1
+        };
+        
+        turret.angle = Math.atan2(target.y - shooter.y, target.x - shooter.x);
+        
+        this.game.bulletManager.createBullet(shooter, turret.angle, weaponData);
+        this.game.audio.play(weaponData.sound);
+    }
+    
+    // Get structure data for saving
+    serialize() {
+        return this.structures.map(structure => ({
+            id: structure.id,
+            type: structure.type,
+            x: structure.x,
+            y: structure.y,
+            health: structure.health
+        }));
+    }
+    
+    // Queue saved structures to be placed after the map is rebuilt
+    queueRestore(savedStructures) {
+        this.pendingRestore = savedStructures;
+    }
+    
+    // Place any queued structures
+    restorePending() {
+        if (!this.pendingRestore) return;
+        
+        for (const saved of this.pendingRestore) {
+            if (!CONFIG.STRUCTURES[saved.type]) continue;
+            
+            // Skip spots now taken by the regenerated map
+            const structureConfig = CONFIG.STRUCTURES[saved.type];
+            if (!this.isAreaClear(saved.x, saved.y, structureConfig.width, structureConfig.height)) continue;
+            
+            const structure = this.createStructure(saved.type, saved.x, saved.y, saved.health);
+            
+            // Older saves didn't number structures
+            if (saved.id !== undefined) structure.id = saved.id;
+        }
+        
+        this.pendingRestore = null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,186 @@
+// weaponBehaviors.js - Projectile behavior registry for weapons
+
+// Each behavior is a set of optional hooks that BulletManager dispatches on:
+//   init(bullet, weaponData)             - configure a freshly spawned bullet
+//   update(manager, bullet)              - per-step logic, return false to remove the bullet
+//   onHitEnemy(manager, bullet, enemy)   - return true to keep the bullet alive
+//   onHitPlayer(manager, bullet, player) - enemy projectiles only, return true to keep the bullet alive
+//   onHitObstacle(manager, bullet, obj)  - return true to keep the bullet alive
+// Timers are in simulation ms measured with manager.getAge(bullet); movement is per step.
+export const WeaponBehaviors = {
+    // Plain bullet: damages the first target it touches and stops at walls
+    standard: {
+        onHitEnemy(manager, bullet, enemy) {
+            manager.damageEnemy(bullet, enemy);
+            return false;
+        },
+        
+        onHitPlayer(manager, bullet, player) {
+            manager.damagePlayer(player, bullet.damage, bullet.angle, bullet.knockback, bullet.sourceId);
+            return false;
+        }
+    },
+    
+    // Slowing projectile that explodes on a fuse or on impact
+    grenade: {
+        init(bullet, weaponData) {
+            bullet.fuse = weaponData.fuse || 500;
+            bullet.drag = weaponData.drag || 0.95;
+        },
+        
+        update(manager, bullet) {
+            if (manager.getAge(bullet) >= bullet.fuse) {
+                manager.explode(bullet);
+                return false;
+            }
+            
+            bullet.speed *= bullet.drag;
+            return true;
+        },
+        
+        onHitEnemy(manager, bullet) {
+            manager.explode(bullet);
+            return false;
+        },
+        
+        onHitObstacle(manager, bullet) {
+            manager.explode(bullet);
+            return false;
+        }
+    },
+    
+    // Passes through a limited number of enemies
+    pierce: {
+        init(bullet, weaponData) {
+            bullet.hitsRemaining = weaponData.pierce || 3;
+        },
+        
+        onHitEnemy(manager, bullet, enemy) {
+            manager.damageEnemy(bullet, enemy);
+            bullet.hitEnemies.push(enemy.id);
+            bullet.hitsRemaining--;
+            
+            return bullet.hitsRemaining > 0;
+        }
+    },
+    
+    // Ricochets off obstacles a limited number of times
+    bounce: {
+        init(bullet, weaponData) {
+            bullet.bouncesRemaining = weaponData.bounces || 1;
+        },
+        
+        onHitEnemy(manager, bullet, enemy) {
+            manager.damageEnemy(bullet, enemy);
+            return false;
+        },
+        
+        onHitObstacle(manager, bullet, obstacle) {
+            if (bullet.bouncesRemaining <= 0) return false;
+            
+            // Step back to where the bullet was before entering the obstacle
+            const prevX = bullet.x - Math.cos(bullet.angle) * bullet.speed;
+            const prevY = bullet.y - Math.sin(bullet.angle) * bullet.speed;
+            
+            // Reflect on the axis the bullet crossed
+            const wasOutsideX = prevX < obstacle.x || prevX > obstacle.x + obstacle.width;
+            bullet.angle = wasOutsideX ? Math.PI - bullet.angle : -bullet.angle;
+            
+            bullet.x = prevX;
+            bullet.y = prevY;
+            bullet.bouncesRemaining--;
+            
+            return true;
+        }
+    },
+    
+    // Short-lived, growing cone segment that burns every enemy it passes
+    flame: {
+        init(bullet, weaponData) {
+            bullet.lifetime = weaponData.range || 400;
+            bullet.growth = weaponData.growth || 0.5;
+        },
+        
+        update(manager, bullet) {
+            bullet.width += bullet.growth;
+            bullet.height += bullet.growth;
+            bullet.speed *= 0.97;
+            
+            return manager.getAge(bullet) < bullet.lifetime;
+        },
+        
+        onHitEnemy(manager, bullet, enemy) {
+            manager.damageEnemy(bullet, enemy, 0);
+            bullet.hitEnemies.push(enemy.id);
+            return true;
+        }
+    },
+    
+    // Rocket that steers towards the nearest enemy and explodes
+    homing: {
+        init(bullet, weaponData) {
+            bullet.turnRate = weaponData.turnRate || 0.05;
+            bullet.homingRange = weaponData.homingRange || 300;
+            bullet.lifetime = weaponData.range || 3000;
+            bullet.target = null;
+        },
+        
+        update(manager, bullet) {
+            if (manager.getAge(bullet) >= bullet.lifetime) {
+                manager.explode(bullet);
+                return false;
+            }
+            
+            // Reacquire a target if the current one died
+            if (!bullet.target || !bullet.target.active) {
+                bullet.target = manager.findNearestEnemy(bullet.x, bullet.y, bullet.homingRange);
+            }
+            
+            if (bullet.target) {
+                const desired = Math.atan2(bullet.target.y - bullet.y, bullet.target.x - bullet.x);
+                let diff = desired - bullet.angle;
+                
+                // Wrap to [-PI, PI] so the rocket turns the short way
+                while (diff > Math.PI) diff -= Math.PI * 2;
+                while (diff < -Math.PI) diff += Math.PI * 2;
+                
+                bullet.angle += Math.max(-bullet.turnRate, Math.min(bullet.turnRate, diff));
+            }
+            
+            // Exhaust trail
+            if (manager.game.clock.tick % 3 === 0) {
+                manager.game.particleManager.createParticle(
+                    bullet.x - Math.cos(bullet.angle) * bullet.width,
+                    bullet.y - Math.sin(bullet.angle) * bullet.width,
+                    'rgba(200, 200, 200, 0.6)',
+                    2 + Math.random() * 2,
+                    15,
+                    (Math.random() - 0.5) * 0.3,
+                    (Math.random() - 0.5) * 0.3
+                );
+            }
+            
+            return true;
+        },
+        
+        onHitEnemy(manager, bullet) {
+            manager.explode(bullet);
+            return false;
+        },
+        
+        onHitObstacle(manager, bullet) {
+            manager.explode(bullet);
+            return false;
+        }
+    }
+};
+
+// Register a new projectile behavior
+export function registerWeaponBehavior(name, behavior) {
+    WeaponBehaviors[name] = behavior;
+}
+
+// Look up a behavior, falling back to standard bullets
+export function getWeaponBehavior(name) {
+    return WeaponBehaviors[name] || WeaponBehaviors.standard;
+}
\ No newline at end of file
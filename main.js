@@ -5,54 +5,65 @@ import { CONFIG } from './config.js';
 import { InputManager } from './engine/input.js';
 import { Renderer } from './engine/renderer.js';
 import { GameLoop } from './engine/gameLoop.js';
-import { Grid } from './systems/grid.js';
-import { CollisionSystem } from './systems/collisions.js';
+import { Simulation } from './core/simulation.js';
 import { AudioSystem } from './systems/audio.js';
-import { SaveSystem } from './systems/saveSystem.js';
+import { SaveSystem, SAVE_SLOTS, AUTOSAVE_SLOT } from './systems/saveSystem.js';
+import { MapLoader } from './systems/mapLoader.js';
+import { ReplayRecorder, ReplayPlayer } from './systems/replay.js';
+import { Killcam } from './systems/killcam.js';
 import { Player } from './entities/player.js';
-import { EnemyManager } from './entities/enemy.js';
-import { BulletManager } from './entities/bullet.js';
-import { PowerupManager } from './entities/powerup.js';
 import { ParticleManager } from './entities/particle.js';
 import { HUD } from './ui/hud.js';
 import { Minimap } from './ui/minimap.js';
+import { MapEditor } from './ui/mapEditor.js';
 import { MenuManager } from './ui/menus.js';
+import { ReplayControls } from './ui/replayControls.js';
+import { SyncManager } from './network/syncManager.js';
+import { SeededRandom } from './utils/random.js';
 
-// Main game class
-class BoxheadGame {
+// Main game class: the shared simulation with rendering, sound, UI, saves and replays on top
+class BoxheadGame extends Simulation {
     constructor() {
+        super();
+        
         // Game state
         this.gameRunning = false;
         this.gamePaused = false;
-        this.score = 0;
-        this.currentWave = 1;
-        this.enemiesRemaining = 0;
+        this.pauseMenuOpen = false; // Paused from the pause menu, not the level-up screen
         
         // Systems
-        this.grid = new Grid(CONFIG.GRID_CELL_SIZE);
         this.input = new InputManager();
         this.renderer = new Renderer();
-        this.collisions = new CollisionSystem(this.grid);
         this.audio = new AudioSystem();
         this.saveSystem = new SaveSystem();
         this.gameLoop = new GameLoop(this.update.bind(this), this.render.bind(this));
         
-        // Game entities
+        // Replays: every new run is recorded, and recorded runs play back through update/render
+        this.recorder = new ReplayRecorder();
+        this.replayPlayer = new ReplayPlayer(this);
+        this.lastReplay = null;
+        
+        // The last seconds before the player dies, shown from the game-over menu
+        this.killcam = new Killcam();
+        
+        // The local player, and particles for the effects the simulation asks for
         this.player = new Player(this);
-        this.enemyManager = new EnemyManager(this);
-        this.bulletManager = new BulletManager(this);
-        this.powerupManager = new PowerupManager(this);
+        this.players.push(this.player);
         this.particleManager = new ParticleManager();
         
         // UI
         this.hud = new HUD();
         this.minimap = new Minimap();
         this.menus = new MenuManager();
+        this.editor = new MapEditor(this);
+        this.replayControls = new ReplayControls(this);
         
         // Camera
         this.camera = {
             x: 0,
             y: 0,
+            prevX: 0,
+            prevY: 0,
             width: 800,
             height: 600,
             
@@ -67,6 +78,16 @@ class BoxheadGame {
                 // Clamp camera to world bounds
                 this.x = Math.max(0, Math.min(CONFIG.WORLD_WIDTH - this.width, this.x));
                 this.y = Math.max(0, Math.min(CONFIG.WORLD_HEIGHT - this.height, this.y));
+            },
+            
+            // View blended between the last two simulation steps, for rendering
+            getView: function(alpha) {
+                return {
+                    x: this.prevX + (this.x - this.prevX) * alpha,
+                    y: this.prevY + (this.y - this.prevY) * alpha,
+                    width: this.width,
+                    height: this.height
+                };
             }
         };
         
@@ -109,19 +130,23 @@ class BoxheadGame {
         this.hud.init();
         this.minimap.init(CONFIG.WORLD_WIDTH, CONFIG.WORLD_HEIGHT);
         this.menus.init();
+        this.menus.setMapOptions(MapLoader.list());
         
         // Update camera dimensions
         this.camera.width = this.renderer.gameCanvas.width;
         this.camera.height = this.renderer.gameCanvas.height;
         
-        // Check for saved game
-        if (this.saveSystem.hasSave()) {
-            this.menus.showContinueButton();
-        }
+        // Check for saved games (moving an old single save into the slots)
+        this.menus.setLoadButton(this.saveSystem.hasSave());
+        
+        this.menus.setBestReplayButton(this.saveSystem.loadBestReplay() !== null);
         
         // Update HUD
         this.hud.update(this);
         
+        // Co-op games are run by the server; the sync manager follows them from here
+        this.syncManager = new SyncManager(this, multiplayerClient);
+        
         // Connect to multiplayer server
         multiplayerClient.connect().then(() => {
             console.log('Connected to multiplayer server');
@@ -130,17 +155,18 @@ class BoxheadGame {
         });
     }
     
-    // Start new game
-    initGame() {
+    // Start new game, on the given map or else the one chosen in the main menu
+    initGame(map = null, seed = this.menus.getSeed()) {
         // Reset game variables
         this.gameRunning = true;
         this.gamePaused = false;
-        this.score = 0;
-        this.currentWave = 1;
-        this.enemiesRemaining = 0;
+        this.pauseMenuOpen = false;
         
-        // Reset player
-        this.player.reset();
+        // One seed drives both the generated map and the run's gameplay randomness
+        // (the editor passes in the map being play-tested)
+        const runSeed = SeededRandom.parseSeed(seed);
+        this.start(runSeed, map || MapLoader.load(this.menus.getSelectedMap(), runSeed));
+        this.input.reset();
         
         // Reset player stats
         this.playerStats.level = 1;
@@ -153,32 +179,31 @@ class BoxheadGame {
             fireRate: 0
         };
         
+        // player.reset() leaves base speed alone, so drop the last run's upgrades explicitly
+        this.applyPlayerUpgrades();
+        
         // Reset camera
         this.camera.x = 0;
         this.camera.y = 0;
         this.camera.update(this.player);
         
-        // Clear entities
-        this.enemyManager.clear();
-        this.bulletManager.clear();
-        this.powerupManager.clear();
-        this.particleManager.clear();
-        
-        // Reset grid
-        this.grid.reset();
-        
-        // Create obstacles
-        this.createObstacles();
-        
-        // Create first wave
-        this.createWave();
-        
         // Update HUD
         this.hud.update(this);
         
         // Hide menus
         this.menus.hideMenus();
         
+        // Start drawing from the spawn positions, not the last run's
+        this.storePreviousPositions();
+        
+        // Record the run, unless it is a replay being played back
+        if (this.replayPlayer.playing) {
+            this.killcam.cancel();
+        } else {
+            this.recorder.start(this);
+            this.killcam.start();
+        }
+        
         // Start game loop
         this.gameLoop.start();
         
@@ -186,26 +211,44 @@ class BoxheadGame {
         this.audio.play('start');
     }
     
-    // Continue game from save
-    continueGame() {
-        if (this.saveSystem.load(this)) {
-            this.gameRunning = true;
-            this.gamePaused = false;
+    // Continue game from a save slot
+    continueGame(slot = AUTOSAVE_SLOT) {
+        if (this.saveSystem.load(this, slot)) {
+            const world = this.saveSystem.takeWorld();
             
-            // Clear entities
-            this.enemyManager.clear();
-            this.bulletManager.clear();
-            this.powerupManager.clear();
-            this.particleManager.clear();
+            // A continued run doesn't start from its seed, so it can't be replayed
+            this.recorder.cancel();
             
-            // Reset grid
-            this.grid.reset();
+            this.gameRunning = true;
+            this.gamePaused = false;
+            this.pauseMenuOpen = false;
             
-            // Create obstacles
-            this.createObstacles();
+            this.clearWorld();
+            this.killcam.start();
             
-            // Update camera
-            this.camera.update(this.player);
+            try {
+                // Create obstacles (the saved layout, when there is one)
+                this.createObstacles(world ? world.obstacles : undefined);
+                
+                // Rebuild saved structures on the new map
+                this.structureManager.restorePending();
+                
+                // Put the saved world back exactly; older saves restart the wave around the player
+                if (world) {
+                    this.saveSystem.restoreWorld(this, world);
+                } else {
+                    this.camera.update(this.player);
+                    this.createWave();
+                }
+            } catch (error) {
+                // Don't leave a half-restored world running
+                console.error('Failed to restore the saved world:', error);
+                this.gameRunning = false;
+                this.killcam.cancel();
+                this.clearWorld();
+                this.showSaveError('Load Failed', 'The saved world could not be restored.');
+                return;
+            }
             
             // Update HUD
             this.hud.update(this);
@@ -213,124 +256,93 @@ class BoxheadGame {
             // Hide menus
             this.menus.hideMenus();
             
-            // Create wave
-            this.createWave();
+            // Start drawing from the loaded positions
+            this.storePreviousPositions();
             
             // Start game loop
             this.gameLoop.start();
             
             // Play continue sound
             this.audio.play('continue');
+        } else {
+            this.showSaveError('Load Failed', this.saveSystem.lastError);
         }
     }
     
     // Create wave
     createWave() {
-        const baseEnemies = Math.floor(3 + (this.currentWave * 1.5));
-        this.enemiesRemaining = 0;
-        
         // Show wave announcement
         this.menus.showWaveAnnouncement(this.currentWave);
         
-        // Determine enemy types based on wave
-        let types = ['normal'];
-        
-        if (this.currentWave >= 2) types.push('fast');
-        if (this.currentWave >= 3) types.push('tank');
-        if (this.currentWave >= 5 && this.currentWave % 5 === 0) {
-            // Boss wave every 5 waves
-            this.enemyManager.createBossEnemy(this.currentWave);
-            return;
-        }
-        
-        // Create enemies with slight delay for better gameplay
-        let enemiesCreated = 0;
+        super.createWave();
+    }
+    
+    // Award a kill's points, plus XP for the player
+    awardKill(enemy, killerId) {
+        super.awardKill(enemy, killerId);
+        this.playerStats.addXP(enemy.points / 2);
+    }
+    
+    // Wave complete: announce it and autosave, with the next wave already counting down
+    completeWave() {
+        super.completeWave();
         
-        const spawnNextEnemy = () => {
-            if (enemiesCreated < baseEnemies && this.gameRunning) {
-                const type = types[Math.floor(Math.random() * types.length)];
-                this.enemyManager.createEnemy(type);
-                enemiesCreated++;
-                
-                // Schedule next enemy spawn
-                setTimeout(spawnNextEnemy, 200 + Math.random() * 300);
-            }
-        };
+        // Show wave complete message
+        this.menus.showWaveComplete(this.currentWave - 1);
         
-        // Start spawning
-        spawnNextEnemy();
+        // Save game
+        this.saveSystem.save(this);
     }
     
-    // Create obstacles
-    createObstacles() {
-        this.enemyManager.obstacles.length = 0;
-        
-        // Create border walls around the world
-        this.enemyManager.obstacles.push({
-            x: -50, y: -50, width: CONFIG.WORLD_WIDTH + 100, height: 50, color: '#555' // Top wall
-        });
-        this.enemyManager.obstacles.push({
-            x: -50, y: CONFIG.WORLD_HEIGHT, width: CONFIG.WORLD_WIDTH + 100, height: 50, color: '#555' // Bottom wall
-        });
-        this.enemyManager.obstacles.push({
-            x: -50, y: 0, width: 50, height: CONFIG.WORLD_HEIGHT, color: '#555' // Left wall
-        });
-        this.enemyManager.obstacles.push({
-            x: CONFIG.WORLD_WIDTH, y: 0, width: 50, height: CONFIG.WORLD_HEIGHT, color: '#555' // Right wall
-        });
+    // The run ends once the whole team is down (always, with a single player)
+    playerDied(player) {
+        super.playerDied(player);
         
-        // Add obstacles to grid
-        for (const obstacle of this.enemyManager.obstacles) {
-            this.grid.add(obstacle);
+        if (this.isTeamDown()) {
+            this.gameOver();
         }
+    }
+    
+    // Load a bundled map, or generate one (seed is only used by generated maps)
+    loadMap(mapId, seed = null) {
+        this.setMap(MapLoader.load(mapId, seed));
+    }
+    
+    // Switch to a parsed map and resize the world to fit it
+    setMap(map) {
+        super.setMap(map);
         
-        // Create some random obstacles throughout the world
-        const numObstacles = 40; // More obstacles for a larger world
+        // The camera and renderer read the world size from CONFIG
+        CONFIG.WORLD_WIDTH = this.map.width;
+        CONFIG.WORLD_HEIGHT = this.map.height;
         
-        for (let i = 0; i < numObstacles; i++) {
-            const width = 30 + Math.floor(Math.random() * 70);
-            const height = 30 + Math.floor(Math.random() * 70);
-            
-            // Find valid position (not on player)
-            let x, y, validPosition = false;
-            
-            while (!validPosition) {
-                x = 50 + Math.random() * (CONFIG.WORLD_WIDTH - width - 100);
-                y = 50 + Math.random() * (CONFIG.WORLD_HEIGHT - height - 100);
-                
-                // Make sure obstacle is away from player
-                const distToPlayer = Math.sqrt(
-                    Math.pow(x + width/2 - this.player.x, 2) + 
-                    Math.pow(y + height/2 - this.player.y, 2)
-                );
-                
-                if (distToPlayer > 200) {
-                    validPosition = true;
-                }
-            }
-            
-            const obstacle = {
-                x: x,
-                y: y,
-                width: width,
-                height: height,
-                color: '#555'
-            };
-            
-            this.enemyManager.obstacles.push(obstacle);
-            this.grid.add(obstacle);
-        }
+        this.minimap.setWorldSize(this.map.width, this.map.height);
     }
     
     // Game over
     gameOver() {
+        // Replays just stop at the end of the run
+        if (this.replayPlayer.playing) {
+            this.replayPlayer.finish();
+            return;
+        }
+        
         this.gameRunning = false;
         
+        // Keep the run's replay; the best-scoring one is also stored locally
+        this.lastReplay = this.recorder.finish(this.score, this.currentWave);
+        if (this.saveSystem.saveBestReplay(this.lastReplay)) {
+            this.menus.setBestReplayButton(true);
+        }
+        
+        // Keep the moment of death for the killcam
+        this.killcam.finish(this, this.player.lastDamageSourceId);
+        
         // Show game over screen
-        this.menus.showGameOver(this.score, this.currentWave);
+        this.showGameOverMenu();
         
-        // Delete save
-        this.saveSystem.deleteSave();
+        // A finished run can't be continued from its autosave; manual saves are kept
+        this.saveSystem.deleteSave(AUTOSAVE_SLOT);
         
         // Play game over sound
         this.audio.play('gameOver');
@@ -339,6 +351,99 @@ class BoxheadGame {
         this.gameLoop.stop();
     }
     
+    // Show the main menu, with the load button only when there is something to load
+    showMainMenu() {
+        this.menus.setLoadButton(this.saveSystem.hasSave());
+        this.menus.showMainMenu();
+    }
+    
+    // Show the save slot picker
+    showLoadMenu() {
+        this.menus.showLoadMenu(
+            this.saveSystem.getSlots(),
+            slot => this.continueGame(slot),
+            slot => this.menus.showConfirm(`Delete ${SAVE_SLOTS[slot]}?`, () => {
+                this.saveSystem.deleteSave(slot);
+                
+                if (this.saveSystem.hasSave()) {
+                    this.showLoadMenu();
+                } else {
+                    this.showMainMenu();
+                }
+            }, () => this.showLoadMenu()),
+            slot => this.saveSystem.exportSave(slot)
+        );
+    }
+    
+    // Import a save file into the first empty manual slot, named after the file
+    importSaveFile(file) {
+        const slot = this.saveSystem.getSlots().find(slot => slot.slot !== AUTOSAVE_SLOT && !slot.saved);
+        
+        if (!slot) {
+            this.menus.showPopup('Import Failed', 'Every save slot is in use. Delete a save to make room.', [
+                { text: 'OK', action: 'ok', callback: () => this.showMainMenu() }
+            ]);
+            return;
+        }
+        
+        const name = file.name.replace(/\.[^.]*$/, '').slice(0, 24);
+        
+        this.saveSystem.importSave(file, slot.slot, name)
+            .then(() => this.showLoadMenu())
+            .catch(error => this.showSaveError('Import Failed', error.message));
+    }
+    
+    // Show why a save couldn't be used, one problem per line (the messages never quote the file)
+    showSaveError(title, message) {
+        this.menus.showPopup(title, message.split('\n').join('<br>'), [
+            { text: 'OK', action: 'ok', callback: () => this.showMainMenu() }
+        ]);
+    }
+    
+    // Open or close the pause menu (the level-up screen pauses on its own and can't be left this way)
+    togglePause() {
+        if (this.pauseMenuOpen) {
+            this.pauseMenuOpen = false;
+            this.gamePaused = false;
+            this.menus.hideMenus();
+        } else if (!this.gamePaused) {
+            this.pauseMenuOpen = true;
+            this.gamePaused = true;
+            this.showPauseMenu();
+        }
+    }
+    
+    // Show the pause menu with the manual save slots
+    showPauseMenu() {
+        const slots = this.saveSystem.getSlots().filter(slot => slot.slot !== AUTOSAVE_SLOT);
+        this.menus.showPauseMenu(slots, (slot, name) => {
+            if (this.saveSystem.save(this, slot, name)) {
+                this.showPauseMenu();
+            } else {
+                this.menus.showPopup('Save', 'The game could not be saved.', [
+                    { text: 'OK', action: 'ok', callback: () => this.showPauseMenu() }
+                ]);
+            }
+        });
+    }
+    
+    // Abandon the current run and return to the main menu; saves are kept
+    quitToMenu() {
+        this.pauseMenuOpen = false;
+        this.gamePaused = false;
+        this.gameRunning = false;
+        this.recorder.cancel();
+        this.killcam.cancel();
+        this.gameLoop.stop();
+        this.showMainMenu();
+    }
+    
+    // Show the game-over menu for the run that just ended
+    showGameOverMenu() {
+        this.menus.showGameOver(this.score, this.currentWave, this.seed,
+            this.lastReplay !== null, this.killcam.hasFootage());
+    }
+    
     // Level up
     levelUp() {
         this.playerStats.level++;
@@ -349,6 +454,9 @@ class BoxheadGame {
         // Apply base upgrades
         this.applyPlayerUpgrades();
         
+        // Replays apply the recorded choice before the next step instead
+        if (this.replayPlayer.playing) return;
+        
         // Show level up screen
         this.menus.showLevelUpScreen(this.playerStats.level, this.applyUpgrade.bind(this));
         
@@ -358,6 +466,7 @@ class BoxheadGame {
     
     // Apply upgrade
     applyUpgrade(upgradeType) {
+        this.recorder.recordUpgrade(this.clock.tick, upgradeType);
         this.playerStats.upgrades[upgradeType]++;
         this.playerStats.availableUpgradePoints--;
         
@@ -381,51 +490,238 @@ class BoxheadGame {
     
     // Update function
     update(deltaTime) {
-        if (!this.gameRunning || this.gamePaused) return;
+        if (this.editor.active) {
+            this.editor.update(deltaTime);
+            return;
+        }
         
-        // Update player
-        this.player.update(deltaTime, this.input, this.grid, this.enemyManager.obstacles);
+        if (this.killcam.playing) {
+            if (!this.killcam.update(deltaTime)) this.stopKillcam();
+            return;
+        }
         
-        // Update camera
-        this.camera.update(this.player);
+        if (!this.gameRunning) return;
         
-        // Update world mouse position
-        this.input.updateWorldMousePosition(this.camera);
+        if (this.syncManager.isInMultiplayer()) {
+            this.updateMultiplayer(deltaTime);
+            return;
+        }
+        
+        // Escape opens and closes the pause menu; replays have their own controls
+        if (!this.replayPlayer.playing && this.input.consumeKeyPress('Escape')) {
+            this.togglePause();
+        }
+        
+        if (this.gamePaused) return;
         
-        // Update bullets
-        this.bulletManager.update(deltaTime);
+        // During playback the recorded upgrades and input are applied before each step
+        if (this.replayPlayer.playing && !this.replayPlayer.beforeStep(this.clock.tick)) return;
         
-        // Update enemies
-        this.enemyManager.update(deltaTime, this.player);
+        this.recorder.capture(this.clock.tick, this.input);
+        const input = this.getSimulationInput();
+        this.storePreviousPositions();
         
-        // Update powerups
-        this.powerupManager.update(deltaTime, this.player, this);
+        // Toggle debug overlay (spatial grid and nav grid)
+        if (this.input.consumeKeyPress('F3')) {
+            this.renderer.debugMode = !this.renderer.debugMode;
+        }
+        
+        // Update world mouse position (from the camera left by the last step, so replays aim the same)
+        input.updateWorldMousePosition(this.camera);
+        
+        // Advance the simulation by one fixed step
+        this.step(deltaTime, new Map([[this.player, input]]));
         
-        // Update particles
-        this.particleManager.update(deltaTime);
+        // Update camera
+        this.camera.update(this.player);
         
         // Update coordinates display
         this.hud.update(this);
+        
+        this.recorder.endStep(this.input);
+        this.killcam.record(this);
+    }
+    
+    // Co-op step: the server runs the simulation, so send it this step's input and follow its state.
+    // The camera goes first, as space picks the teammate to spectate while the player is down.
+    updateMultiplayer(deltaTime) {
+        this.storePreviousPositions();
+        this.syncManager.updateCamera();
+        this.syncManager.sendInput(deltaTime);
+        this.syncManager.interpolateRemotePlayers(deltaTime);
+        this.hud.update(this);
+    }
+    
+    // Get the input driving the simulation: the player's, or the replay's during playback
+    getSimulationInput() {
+        return this.replayPlayer.playing ? this.replayPlayer.input : this.input;
+    }
+    
+    // Watch a replay from the start
+    watchReplay(replay) {
+        this.replayPlayer.play(replay);
+        this.replayControls.show();
+    }
+    
+    // Leave replay playback and return to the main menu
+    stopReplay() {
+        this.replayPlayer.stop();
+        this.replayControls.hide();
+        this.gameRunning = false;
+        this.gameLoop.stop();
+        this.showMainMenu();
+    }
+    
+    // Play the killcam from the game-over menu
+    watchKillcam() {
+        this.menus.hideMenus();
+        this.input.reset();
+        this.killcam.play();
+        this.gameLoop.start();
+    }
+    
+    // Leave the killcam and go back to the game-over menu
+    stopKillcam() {
+        this.killcam.stop();
+        this.gameLoop.stop();
+        this.showGameOverMenu();
+    }
+    
+    // Draw the killcam's current frame over the map
+    renderKillcam(alpha) {
+        if (this.input.consumeKeyPress('Escape')) {
+            this.stopKillcam();
+            return;
+        }
+        
+        const scene = this.killcam.getScene(alpha);
+        const player = scene.player;
+        this.renderer.setAlpha(scene.blend);
+        
+        this.renderer.clear(this.map.background);
+        this.renderer.renderGrid(scene.view);
+        this.renderer.renderDecorations(this.map.decorations.floor, scene.view);
+        this.renderer.renderObstacles(this.enemyManager.obstacles, scene.view);
+        this.renderer.renderStructures(this.structureManager.structures, scene.view);
+        this.renderer.renderBullets(scene.bullets, scene.view, scene.time);
+        this.renderer.renderEnemies(scene.enemies, scene.view, scene.time);
+        this.renderer.renderKiller(scene.killer, scene.view, scene.time);
+        this.renderer.renderPlayer(player, scene.view,
+            player.x + Math.cos(player.angle) * 100, player.y + Math.sin(player.angle) * 100);
+        this.renderer.renderDecorations(this.map.decorations.overlay, scene.view);
+        this.renderer.renderKillcamBanner(this.killcam.isSlowMotion());
+    }
+    
+    // Watch a replay file picked from the main menu
+    loadReplayFile(file) {
+        file.text().then(text => {
+            const replay = ReplayPlayer.parse(text);
+            
+            if (replay) {
+                this.watchReplay(replay);
+            } else {
+                this.menus.showPopup('Replay', 'That file is not a valid replay.', [
+                    { text: 'OK', action: 'ok', callback: () => this.showMainMenu() }
+                ]);
+            }
+        });
     }
     
-    // Render function
-    render() {
-        this.renderer.clear();
-        this.renderer.renderGrid(this.camera);
-        this.renderer.renderObstacles(this.enemyManager.obstacles, this.camera);
-        this.renderer.renderPowerups(this.powerupManager.powerups, this.camera);
-        this.renderer.renderParticles(this.particleManager.particles, this.camera);
-        this.renderer.renderBullets(this.bulletManager.bullets, this.camera);
-        this.renderer.renderEnemies(this.enemyManager.enemies, this.camera);
-        this.renderer.renderPlayer(this.player, this.camera, this.input.worldMouseX, this.input.worldMouseY);
+    // Remember where moving things were before this step, so render can interpolate
+    storePreviousPositions() {
+        const store = entity => {
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+        };
+        
+        store(this.camera);
+        store(this.player);
+        this.enemyManager.enemies.forEach(store);
+        this.bulletManager.bullets.forEach(store);
+    }
+    
+    // Render function; alpha is how far the frame is between the last two simulation steps
+    render(alpha = 1) {
+        if (this.editor.active) {
+            this.editor.render();
+            return;
+        }
+        
+        if (this.killcam.playing) {
+            this.renderKillcam(alpha);
+            return;
+        }
+        
+        // Replay shortcuts and the playback bar are handled once per frame
+        if (this.replayPlayer.playing) {
+            this.replayControls.handleInput(this.input);
+            this.replayControls.update();
+        }
+        
+        // Nothing moves while paused, so draw the latest state
+        const paused = this.gamePaused || (this.replayPlayer.playing && this.replayPlayer.paused);
+        this.renderer.setAlpha(paused ? 1 : alpha);
+        const view = this.camera.getView(this.renderer.alpha);
+        const currentTime = this.clock.now();
+        
+        this.renderer.clear(this.map.background);
+        this.renderer.renderGrid(view);
+        this.renderer.renderDecorations(this.map.decorations.floor, view);
+        this.renderer.renderObstacles(this.enemyManager.obstacles, view);
+        this.renderer.renderStructures(this.structureManager.structures, view);
+        this.renderer.renderTelegraphs(this.enemyManager.telegraphs, view, currentTime);
+        this.renderer.renderPowerups(this.powerupManager.powerups, view);
+        this.renderer.renderParticles(this.particleManager.particles, view);
+        this.renderer.renderBullets(this.bulletManager.bullets, view, currentTime);
+        this.renderer.renderEnemies(this.enemyManager.enemies, view, currentTime);
+        const input = this.getSimulationInput();
+        this.renderer.renderPlayer(this.player, view, input.worldMouseX, input.worldMouseY);
+        this.syncManager.renderRemotePlayers(view);
+        this.renderer.renderDecorations(this.map.decorations.overlay, view);
+        
+        if (this.renderer.debugMode) {
+            this.grid.debugDraw(this.renderer.ctx, view, this.enemyManager.pathfindingGrid);
+        }
+        
         this.minimap.render(this);
     }
     
     // Bind events
     bindEvents() {
         document.getElementById('start-button').addEventListener('click', () => this.initGame());
-        document.getElementById('restart-button').addEventListener('click', () => this.initGame());
-        document.getElementById('continue-button').addEventListener('click', () => this.continueGame());
+        document.getElementById('restart-button').addEventListener('click', () => this.initGame(this.map));
+        document.getElementById('editor-button').addEventListener('click', () => this.editor.open());
+        document.getElementById('continue-button').addEventListener('click', () => this.showLoadMenu());
+        document.getElementById('load-back-button').addEventListener('click', () => this.showMainMenu());
+        
+        // Pause menu
+        document.getElementById('resume-button').addEventListener('click', () => this.togglePause());
+        document.getElementById('quit-button').addEventListener('click', () => this.quitToMenu());
+        
+        // Save files
+        const saveFile = document.getElementById('save-file');
+        document.getElementById('import-save-button').addEventListener('click', () => saveFile.click());
+        saveFile.addEventListener('change', () => {
+            if (saveFile.files.length > 0) this.importSaveFile(saveFile.files[0]);
+            saveFile.value = '';
+        });
+        
+        // Replays
+        const replayFile = document.getElementById('replay-file');
+        document.getElementById('replay-button').addEventListener('click', () => replayFile.click());
+        replayFile.addEventListener('change', () => {
+            if (replayFile.files.length > 0) this.loadReplayFile(replayFile.files[0]);
+            replayFile.value = '';
+        });
+        document.getElementById('best-replay-button').addEventListener('click', () => {
+            const replay = ReplayPlayer.parse(this.saveSystem.loadBestReplay());
+            if (replay) this.watchReplay(replay);
+        });
+        document.getElementById('watch-replay-button').addEventListener('click', () => this.watchReplay(this.lastReplay));
+        document.getElementById('killcam-button').addEventListener('click', () => this.watchKillcam());
+        document.getElementById('download-replay-button').addEventListener('click', () => {
+            this.replayControls.download(this.lastReplay);
+        });
     }
 }
 
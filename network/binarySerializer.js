@@ -2,18 +2,23 @@
 
 export class BinarySerializer {
     constructor() {
-        // Define entity property mappings
+        // Define entity property mappings (at most 16, the width of the property mask)
         this.propertyMap = {
-            id: { type: 'uint16', bits: 16 },
-            type: { type: 'enum', bits: 3, values: ['player', 'enemy', 'bullet', 'powerup'] },
+            id: { type: 'uint32', bits: 32 }, // Entity ids keep counting up for the whole run
+            type: { type: 'enum', bits: 3, values: ['player', 'enemy', 'bullet', 'enemyBullet', 'powerup', 'structure'] },
             x: { type: 'fixed', bits: 16, min: 0, max: 5000, precision: 1 },
             y: { type: 'fixed', bits: 16, min: 0, max: 5000, precision: 1 },
             angle: { type: 'angle', bits: 8 }, // 256 directions
-            health: { type: 'uint8', bits: 8 },
-            maxHealth: { type: 'uint8', bits: 8 },
+            health: { type: 'uint32', bits: 32 }, // Boss health grows with the wave
+            maxHealth: { type: 'uint32', bits: 32 },
             width: { type: 'uint8', bits: 8 },
             height: { type: 'uint8', bits: 8 },
-            owner: { type: 'uint16', bits: 16 }
+            owner: { type: 'uint32', bits: 32 }, // Entity id of the player who fired, 0 for none
+            kind: { type: 'string' }, // Enemy type or boss id, bullet behavior, powerup or structure type
+            color: { type: 'string' },
+            spawnTime: { type: 'uint32', bits: 32 }, // Simulation ms
+            lifetime: { type: 'uint32', bits: 32 },
+            expireTime: { type: 'uint32', bits: 32 }
         };
         
         // Bit buffer for efficient packing
@@ -35,6 +40,7 @@ export class BinarySerializer {
         this.writeUint32(state.data.timestamp); // Timestamp
         
         if (state.type === 'delta') {
+            this.writeUint32(state.data.baseTick); // Tick the delta was made against
             this.serializeDelta(state.data);
         } else {
             this.serializeFull(state.data);
@@ -65,6 +71,7 @@ export class BinarySerializer {
         };
         
         if (state.type === 'delta') {
+            state.data.baseTick = this.readUint32();
             this.deserializeDelta(state.data);
         } else {
             this.deserializeFull(state.data);
@@ -92,7 +99,7 @@ export class BinarySerializer {
         
         // Write removed entity IDs
         for (const id of delta.removed) {
-            this.writeUint16(id);
+            this.writeUint32(id);
         }
     }
     
@@ -118,7 +125,7 @@ export class BinarySerializer {
         // Read removed entity IDs
         delta.removed = [];
         for (let i = 0; i < removedCount; i++) {
-            delta.removed.push(this.readUint16());
+            delta.removed.push(this.readUint32());
         }
     }
     
@@ -193,7 +200,7 @@ export class BinarySerializer {
     // Serialize entity update (only changed properties)
     serializeEntityUpdate(updates) {
         // Always include ID
-        this.writeUint16(updates.id);
+        this.writeUint32(updates.id);
         
         // Write property mask
         let mask = 0;
@@ -206,11 +213,11 @@ export class BinarySerializer {
             bitIndex++;
         }
         
-        this.writeUint8(mask);
+        this.writeUint16(mask);
         
-        // Write updated properties
-        for (const prop in updates) {
-            if (prop !== 'id' && this.propertyMap[prop]) {
+        // Write updated properties, in the same order they are read back
+        for (const prop in this.propertyMap) {
+            if (prop !== 'id' && updates[prop] !== undefined) {
                 this.writeProperty(prop, updates[prop]);
             }
         }
@@ -221,10 +228,10 @@ export class BinarySerializer {
         const updates = {};
         
         // Read ID
-        updates.id = this.readUint16();
+        updates.id = this.readUint32();
         
         // Read property mask
-        const mask = this.readUint8();
+        const mask = this.readUint16();
         
         // Read updated properties
         let bitIndex = 0;
@@ -244,10 +251,12 @@ export class BinarySerializer {
         
         switch (config.type) {
             case 'uint8':
-                this.writeUint8(value);
-                break;
             case 'uint16':
-                this.writeUint16(value);
+            case 'uint32':
+                this.writeUint(value, config.bits);
+                break;
+            case 'string':
+                this.writeString(value);
                 break;
             case 'fixed':
                 this.writeFixed(value, config);
@@ -270,6 +279,10 @@ export class BinarySerializer {
                 return this.readUint8();
             case 'uint16':
                 return this.readUint16();
+            case 'uint32':
+                return this.readUint32();
+            case 'string':
+                return this.readString();
             case 'fixed':
                 return this.readFixed(config);
             case 'angle':
@@ -279,9 +292,43 @@ export class BinarySerializer {
         }
     }
     
-    // Fixed-point number serialization
+    // Whole number serialization, rounded and clamped to what fits in the bits
+    writeUint(value, bits) {
+        const max = bits === 32 ? 0xFFFFFFFF : (1 << bits) - 1;
+        const clamped = Math.max(0, Math.min(max, Math.round(value) || 0));
+        
+        if (bits === 32) {
+            this.writeUint32(clamped);
+        } else {
+            this.writeBits(clamped, bits);
+        }
+    }
+    
+    // String serialization (byte length, then one byte per character; up to 255 characters)
+    writeString(value) {
+        const text = String(value).slice(0, 255);
+        this.writeUint8(text.length);
+        
+        for (let i = 0; i < text.length; i++) {
+            this.writeUint8(text.charCodeAt(i) & 0xFF);
+        }
+    }
+    
+    readString() {
+        const length = this.readUint8();
+        let text = '';
+        
+        for (let i = 0; i < length; i++) {
+            text += String.fromCharCode(this.readUint8());
+        }
+        
+        return text;
+    }
+    
+    // Fixed-point number serialization (positions outside the range are clamped to it)
     writeFixed(value, config) {
-        const normalized = (value - config.min) / (config.max - config.min);
+        const clamped = Math.max(config.min, Math.min(config.max, value));
+        const normalized = (clamped - config.min) / (config.max - config.min);
         const quantized = Math.round(normalized * ((1 << config.bits) - 1));
         this.writeBits(quantized, config.bits);
     }
@@ -346,18 +393,13 @@ export class BinarySerializer {
         return value;
     }
     
-    // Standard byte operations
+    // Standard byte operations (bit-packed fields before them leave the position unaligned)
     writeUint8(value) {
-        const byteIndex = Math.floor(this.bitPosition / 8);
-        this.view.setUint8(byteIndex, value);
-        this.bitPosition += 8;
+        this.writeBits(value, 8);
     }
     
     readUint8() {
-        const byteIndex = Math.floor(this.bitPosition / 8);
-        const value = this.view.getUint8(byteIndex);
-        this.bitPosition += 8;
-        return value;
+        return this.readBits(8);
     }
     
     writeUint16(value) {
@@ -376,7 +418,7 @@ export class BinarySerializer {
     readUint32() {
         const high = this.readBits(16);
         const low = this.readBits(16);
-        return (high << 16) | low;
+        return high * 0x10000 + low;
     }
     
     // Estimate buffer size needed
@@ -384,16 +426,33 @@ export class BinarySerializer {
         // Conservative estimate
         if (state.type === 'delta') {
             const delta = state.data;
-            return 9 + // Header
+            return 13 + // Header
                    2 * 3 + // Counts
-                   delta.created.length * 32 + // Created entities
-                   delta.updated.length * 16 + // Updates
-                   delta.removed.length * 2; // Removed IDs
+                   this.estimateEntitiesSize(delta.created) + // Created entities
+                   this.estimateEntitiesSize(delta.updated) + // Updates
+                   delta.removed.length * 4; // Removed IDs
         } else {
             return 9 + // Header
                    2 + // Count
-                   state.data.entities.length * 32; // Full entities
+                   this.estimateEntitiesSize(state.data.entities); // Full entities
+        }
+    }
+    
+    // Estimate the bytes for a list of entities: fixed-size fields plus their strings
+    estimateEntitiesSize(entities) {
+        let size = 0;
+        
+        for (const entity of entities) {
+            size += 48;
+            
+            for (const prop in this.propertyMap) {
+                if (this.propertyMap[prop].type === 'string' && entity[prop] !== undefined) {
+                    size += 1 + Math.min(255, String(entity[prop]).length);
+                }
+            }
         }
+        
+        return size;
     }
 }
 
@@ -1,5 +1,22 @@
 // gameState.js - Network-ready state management system
 
+// Build the state record kept for an entity in a snapshot
+export function createEntityState(entity, tick) {
+    return {
+        id: entity.id,
+        type: entity.entityType || entity.type,
+        x: entity.x,
+        y: entity.y,
+        width: entity.width,
+        height: entity.height,
+        angle: entity.angle || 0,
+        health: entity.health,
+        maxHealth: entity.maxHealth,
+        owner: entity.owner || null,
+        lastUpdate: tick
+    };
+}
+
 export class GameState {
     constructor() {
         // Core game state
@@ -26,19 +43,7 @@ export class GameState {
             entity.id = this.generateEntityId();
         }
         
-        this.entities.set(entity.id, {
-            id: entity.id,
-            type: entity.entityType || entity.type,
-            x: entity.x,
-            y: entity.y,
-            width: entity.width,
-            height: entity.height,
-            angle: entity.angle || 0,
-            health: entity.health,
-            maxHealth: entity.maxHealth,
-            owner: entity.owner || null,
-            lastUpdate: this.tick
-        });
+        this.entities.set(entity.id, createEntityState(entity, this.tick));
         
         return entity.id;
     }
@@ -69,11 +74,11 @@ export class GameState {
         return this.entities.delete(id);
     }
     
-    // Create state snapshot
-    createSnapshot() {
+    // Create state snapshot (the server stamps its snapshots with simulation time)
+    createSnapshot(timestamp = Date.now()) {
         const snapshot = {
             tick: this.tick,
-            timestamp: Date.now(),
+            timestamp: timestamp,
             entities: new Map()
         };
         
@@ -93,6 +98,17 @@ export class GameState {
         return snapshot;
     }
     
+    // Replace the entity states with a copy of a snapshot's
+    loadSnapshot(snapshot) {
+        this.entities.clear();
+        
+        for (const [id, entity] of snapshot.entities) {
+            this.entities.set(id, { ...entity });
+        }
+        
+        this.tick = snapshot.tick;
+    }
+    
     // Get snapshot at specific tick
     getSnapshot(tick) {
         for (let i = this.snapshots.length - 1; i >= 0; i--) {
@@ -108,6 +124,7 @@ export class GameState {
         const delta = {
             tick: toState.tick,
             timestamp: toState.timestamp,
+            baseTick: fromState ? fromState.tick : 0,
             created: [],
             updated: [],
             removed: []
@@ -203,9 +220,37 @@ export class GameState {
         }
     }
     
-    // Deserialize state from network
+    // Build the packet for one client: a delta against the snapshot it last acknowledged,
+    // or the full state when that snapshot is no longer in the history (or it has none yet)
+    createPacket(snapshot, ackedTick) {
+        const base = ackedTick === null ? null : this.getSnapshot(ackedTick);
+        
+        if (base && base.tick === ackedTick) {
+            return {
+                type: 'delta',
+                data: this.createDelta(base, snapshot)
+            };
+        }
+        
+        return {
+            type: 'full',
+            data: {
+                tick: snapshot.tick,
+                timestamp: snapshot.timestamp,
+                entities: Array.from(snapshot.entities.values())
+            }
+        };
+    }
+    
+    // Deserialize state from network. A delta is applied to the snapshot it was made against, which
+    // isn't always the latest one, and each decoded state is kept as a base for later deltas.
+    // Returns false if a delta's base snapshot is no longer kept.
     deserialize(packet) {
         if (packet.type === 'delta') {
+            const base = this.getSnapshot(packet.data.baseTick);
+            if (!base || base.tick !== packet.data.baseTick) return false;
+            
+            this.loadSnapshot(base);
             this.applyDelta(packet.data);
         } else if (packet.type === 'full') {
             // Replace entire state
@@ -216,6 +261,9 @@ export class GameState {
                 this.entities.set(entity.id, entity);
             }
         }
+        
+        this.createSnapshot(packet.data.timestamp);
+        return true;
     }
     
     // Get interpolated entity state between two ticks
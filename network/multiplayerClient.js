@@ -15,6 +15,8 @@ export class MultiplayerClient {
         this.onRoomUpdate = null;
         this.onGameStart = null;
         this.onGameState = null;
+        this.onGameOver = null;
+        this.onEnemySummary = null;
         this.onPlayerJoined = null;
         this.onPlayerLeft = null;
         this.onChatMessage = null;
@@ -101,6 +103,14 @@ export class MultiplayerClient {
             if (this.onGameState) this.onGameState(state);
         });
         
+        this.socket.on('game-over', (data) => {
+            if (this.onGameOver) this.onGameOver(data);
+        });
+        
+        this.socket.on('enemy-summary', (summary) => {
+            if (this.onEnemySummary) this.onEnemySummary(summary);
+        });
+        
         // Chat events
         this.socket.on('chat-message', (data) => {
             if (this.onChatMessage) this.onChatMessage(data);
@@ -208,6 +218,13 @@ export class MultiplayerClient {
         this.socket.emit('game-input', input);
     }
     
+    // Acknowledge a decoded snapshot, so the server builds its next delta on it
+    acknowledgeState(tick) {
+        if (!this.connected || !this.room) return;
+        
+        this.socket.emit('state-ack', tick);
+    }
+    
     // Send chat message
     sendChatMessage(message) {
         if (!this.connected || !this.room) return;
@@ -1,5 +1,7 @@
 // roomUI.js - Multiplayer room UI components
 
+import { MapLoader } from '../systems/mapLoader.js';
+
 export class RoomUI {
     constructor(multiplayerClient) {
         this.client = multiplayerClient;
@@ -12,6 +14,11 @@ export class RoomUI {
     
     // Create UI elements
     createUI() {
+        // Bundled maps for the room settings
+        const mapOptions = MapLoader.list()
+            .map(map => `<option value="${map.id}">${map.name} (${map.size})</option>`)
+            .join('');
+        
         // Main container
         this.container = document.createElement('div');
         this.container.id = 'multiplayer-ui';
@@ -49,6 +56,13 @@ export class RoomUI {
                             <option value="large">Large</option>
                         </select>
                     </label>
+                    <label>
+                        Map:
+                        <select id="map-choice">
+                            <option value="" selected>Any (by size)</option>
+                            ${mapOptions}
+                        </select>
+                    </label>
                     <label>
                         Difficulty:
                         <select id="difficulty">
@@ -420,6 +434,7 @@ export class RoomUI {
         const settings = {
             maxPlayers: parseInt(document.getElementById('max-players').value),
             mapSize: document.getElementById('map-size').value,
+            map: document.getElementById('map-choice').value || null,
             difficulty: document.getElementById('difficulty').value,
             isPublic: document.getElementById('public-room').checked
         };
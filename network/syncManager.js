@@ -1,5 +1,9 @@
 // syncManager.js - Manages synchronization between local game and server
 
+import { CONFIG } from '../config.js';
+import { GameState } from './gameState.js';
+import { binarySerializer } from './binarySerializer.js';
+
 export class SyncManager {
     constructor(game, multiplayerClient) {
         this.game = game;
@@ -11,6 +15,8 @@ export class SyncManager {
         this.lastProcessedInput = 0;
         this.playerEntities = new Map();
         this.isMultiplayer = false;
+        this.spectateTargetId = null; // Teammate the camera follows while the local player is down
+        this.gameState = new GameState(); // Decoded snapshots, kept as bases for the server's deltas
         
         // Interpolation settings
         this.interpolationDelay = 100; // 100ms buffer
@@ -29,6 +35,15 @@ export class SyncManager {
         this.client.onGameState = (state) => {
             this.receiveServerState(state);
         };
+        
+        this.client.onGameOver = (data) => {
+            this.endMultiplayer(data);
+        };
+        
+        // Enemies outside this client's view only reach the minimap
+        this.client.onEnemySummary = (summary) => {
+            this.game.minimap.setEnemySummary(summary);
+        };
     }
     
     // Start multiplayer mode
@@ -39,6 +54,11 @@ export class SyncManager {
         // Hide menu and start game
         this.game.menus.hideMenus();
         
+        // Build the room's map before placing players on it
+        this.game.loadMap(data.map, data.seed);
+        this.game.grid.reset();
+        this.game.createObstacles();
+        
         // Create player entities for all players
         data.players.forEach(playerData => {
             if (playerData.id === this.localPlayerId) {
@@ -60,6 +80,15 @@ export class SyncManager {
         this.game.gameLoop.start();
     }
     
+    // The whole team is down: show the final score
+    endMultiplayer(data) {
+        this.game.score = data.score;
+        this.game.currentWave = data.wave;
+        this.game.gameRunning = false;
+        this.game.gameLoop.stop();
+        this.game.menus.showGameOver(data.score, data.wave);
+    }
+    
     // Create remote player entity
     createRemotePlayer(playerData) {
         const remotePlayer = {
@@ -87,14 +116,21 @@ export class SyncManager {
     sendInput(deltaTime) {
         if (!this.isMultiplayer) return;
         
+        // Key presses and wheel steps since the last step (weapon slots, reload, building) are taken
+        // here, so each one is sent exactly once
+        const keyPresses = Object.keys(this.game.input.keyPresses);
+        this.game.input.keyPresses = {};
+        
         const input = {
             sequence: ++this.inputSequence,
             keys: { ...this.game.input.keys },
+            keyPresses: keyPresses,
+            wheelDelta: this.game.input.consumeWheel(),
             mouse: {
                 x: this.game.input.mouseX + this.game.camera.x,
                 y: this.game.input.mouseY + this.game.camera.y
             },
-            shooting: this.game.input.mouseDown,
+            shooting: this.game.input.isShooting,
             deltaTime: deltaTime,
             timestamp: Date.now()
         };
@@ -105,7 +141,16 @@ export class SyncManager {
     }
     
     // Receive server state update
-    receiveServerState(state) {
+    receiveServerState(message) {
+        // Decode the entities; a delta is built on a snapshot this client acknowledged earlier
+        const packet = binarySerializer.deserialize(message.packet);
+        if (!this.gameState.deserialize(packet)) return;
+        
+        // Let the server build its next delta on this snapshot
+        this.client.acknowledgeState(packet.data.tick);
+        
+        const state = this.expandState(message, packet.data);
+        
         // Add to interpolation buffer
         this.interpolationBuffer.push({
             timestamp: Date.now(),
@@ -124,9 +169,109 @@ export class SyncManager {
         this.updateGameState(state);
     }
     
+    // Rebuild the entity lists the rest of the sync code reads, from the decoded snapshot and the
+    // plain player data that came with it
+    expandState(message, data) {
+        const entities = this.gameState.entities;
+        const socketIds = new Map(message.players.map(player => [player.entityId, player.id]));
+        
+        const state = {
+            tick: data.tick,
+            time: data.timestamp,
+            score: message.score,
+            wave: message.wave,
+            enemiesRemaining: message.enemiesRemaining,
+            players: [],
+            enemies: [],
+            bullets: [],
+            powerups: [],
+            structures: []
+        };
+        
+        for (const player of message.players) {
+            const entity = entities.get(player.entityId);
+            if (!entity) continue;
+            
+            state.players.push({
+                ...player,
+                x: entity.x,
+                y: entity.y,
+                angle: entity.angle,
+                health: entity.health,
+                maxHealth: entity.maxHealth
+            });
+        }
+        
+        for (const entity of entities.values()) {
+            switch (entity.type) {
+                case 'enemy': {
+                    const isBoss = entity.kind in CONFIG.BOSSES;
+                    
+                    state.enemies.push({
+                        id: entity.id,
+                        type: isBoss ? 'boss' : entity.kind,
+                        bossId: isBoss ? entity.kind : '',
+                        x: entity.x,
+                        y: entity.y,
+                        width: entity.width,
+                        height: entity.height,
+                        health: entity.health,
+                        maxHealth: entity.maxHealth,
+                        color: entity.color
+                    });
+                    break;
+                }
+                case 'bullet':
+                case 'enemyBullet':
+                    state.bullets.push({
+                        id: entity.id,
+                        owner: entity.type === 'enemyBullet' ? 'enemy' : socketIds.get(entity.owner) || null,
+                        x: entity.x,
+                        y: entity.y,
+                        angle: entity.angle,
+                        width: entity.width,
+                        height: entity.height,
+                        color: entity.color,
+                        behavior: entity.kind,
+                        spawnTime: entity.spawnTime,
+                        lifetime: entity.lifetime
+                    });
+                    break;
+                case 'powerup':
+                    state.powerups.push({
+                        id: entity.id,
+                        type: entity.kind,
+                        x: entity.x,
+                        y: entity.y,
+                        radius: entity.width / 2,
+                        color: entity.color,
+                        expireTime: entity.expireTime
+                    });
+                    break;
+                case 'structure':
+                    state.structures.push({
+                        id: entity.id,
+                        type: entity.kind,
+                        x: entity.x,
+                        y: entity.y,
+                        angle: entity.angle,
+                        health: entity.health
+                    });
+                    break;
+            }
+        }
+        
+        return state;
+    }
+    
     // Update local game state from server
     updateGameState(state) {
+        // Follow the server clock, so bullet and powerup timers render at the right age
+        this.game.clock.tick = state.tick;
+        this.game.clock.time = state.time;
+        
         // Update wave info
+        this.game.score = state.score;
         this.game.currentWave = state.wave;
         this.game.enemiesRemaining = state.enemiesRemaining;
         
@@ -149,6 +294,9 @@ export class SyncManager {
         
         // Update powerups
         this.updatePowerups(state.powerups);
+        
+        // Update structures
+        this.updateStructures(state.structures);
     }
     
     // Reconcile local player position with server
@@ -166,9 +314,33 @@ export class SyncManager {
         
         // Always update health and other stats from server
         this.game.player.health = serverPlayer.health;
+        this.game.player.reviveProgress = serverPlayer.reviveProgress;
         this.game.player.score = serverPlayer.score;
         this.game.player.kills = serverPlayer.kills;
         this.game.player.deaths = serverPlayer.deaths;
+        
+        // Weapons and ammo are tracked by the server
+        this.applyInventory(this.game.player, serverPlayer);
+    }
+    
+    // Take the server's weapon, ammo and reload state for a player
+    applyInventory(player, serverPlayer) {
+        player.inventory = {};
+        
+        for (const weaponName in serverPlayer.inventory) {
+            const slot = serverPlayer.inventory[weaponName];
+            
+            // JSON has no Infinity, so the pistol's endless reserve arrives as null
+            player.inventory[weaponName] = {
+                magazine: slot.magazine,
+                reserve: slot.reserve === null ? Infinity : slot.reserve
+            };
+        }
+        
+        player.weapon = serverPlayer.weapon;
+        player.reloading = serverPlayer.reloading;
+        player.reloadStartTime = serverPlayer.reloadStartTime;
+        player.reloadEndTime = serverPlayer.reloadEndTime;
     }
     
     // Update remote player
@@ -186,6 +358,8 @@ export class SyncManager {
         remotePlayer.targetY = playerData.y;
         remotePlayer.angle = playerData.angle;
         remotePlayer.health = playerData.health;
+        remotePlayer.weapon = playerData.weapon;
+        remotePlayer.reviveProgress = playerData.reviveProgress;
         
         // Update grid position if needed
         this.game.grid.update(remotePlayer);
@@ -207,6 +381,40 @@ export class SyncManager {
         }
     }
     
+    // Follow the local player, or a living teammate while down (space switches teammate)
+    updateCamera() {
+        if (!this.isMultiplayer) return;
+        
+        if (this.game.player.health > 0) {
+            this.spectateTargetId = null;
+            this.game.camera.update(this.game.player);
+            return;
+        }
+        
+        const target = this.playerEntities.get(this.spectateTargetId);
+        if (!target || target.health <= 0 || this.game.input.consumeKeyPress(' ')) {
+            this.spectateNext();
+        }
+        
+        this.game.camera.update(this.playerEntities.get(this.spectateTargetId) || this.game.player);
+    }
+    
+    // Switch the spectator camera to the next living teammate
+    spectateNext() {
+        const teammates = [];
+        for (const [playerId, player] of this.playerEntities) {
+            if (playerId !== this.localPlayerId && player.health > 0) teammates.push(playerId);
+        }
+        
+        if (teammates.length === 0) {
+            this.spectateTargetId = null;
+            return;
+        }
+        
+        const index = teammates.indexOf(this.spectateTargetId);
+        this.spectateTargetId = teammates[(index + 1) % teammates.length];
+    }
+    
     // Update enemies from server state
     updateEnemies(serverEnemies) {
         // Clear existing enemies
@@ -216,6 +424,8 @@ export class SyncManager {
         serverEnemies.forEach(enemyData => {
             const enemy = this.game.enemyManager.getEnemy();
             Object.assign(enemy, enemyData);
+            enemy.prevX = enemy.x; // Server positions are drawn as-is
+            enemy.prevY = enemy.y;
             enemy.active = true;
             
             this.game.enemyManager.enemies.push(enemy);
@@ -230,8 +440,10 @@ export class SyncManager {
         
         // Add server bullets
         serverBullets.forEach(bulletData => {
-            const bullet = this.game.bulletManager.getBulletFromPool();
+            const bullet = this.game.bulletManager.getBullet();
             Object.assign(bullet, bulletData);
+            bullet.prevX = bullet.x;
+            bullet.prevY = bullet.y;
             
             this.game.bulletManager.bullets.push(bullet);
             this.game.grid.add(bullet);
@@ -243,13 +455,35 @@ export class SyncManager {
         // Clear existing powerups
         this.game.powerupManager.clear();
         
-        // Add server powerups
+        // Add server powerups; the server decides pickups, but the effect is kept so the type is complete
         serverPowerups.forEach(powerupData => {
-            const powerup = this.game.powerupManager.getPowerupFromPool();
-            Object.assign(powerup, powerupData);
+            const powerupConfig = CONFIG.POWERUP_TYPES.find(p => p.type === powerupData.type);
+            if (!powerupConfig) return;
             
-            this.game.powerupManager.powerups.push(powerup);
-            this.game.grid.add(powerup);
+            const powerup = this.game.powerupManager.createPowerup(powerupData.x, powerupData.y, powerupConfig);
+            powerup.id = powerupData.id;
+            powerup.expireTime = powerupData.expireTime;
+        });
+    }
+    
+    // Update structures from server state; they are obstacles here too, so the local player
+    // collides with them
+    updateStructures(serverStructures) {
+        // Clear existing structures
+        this.game.structureManager.clear();
+        
+        // Add server structures
+        serverStructures.forEach(structureData => {
+            const structure = this.game.structureManager.createStructure(
+                structureData.type,
+                structureData.x,
+                structureData.y,
+                structureData.health
+            );
+            if (!structure) return;
+            
+            structure.id = structureData.id;
+            structure.angle = structureData.angle;
         });
     }
     
@@ -289,6 +523,17 @@ export class SyncManager {
             ctx.textAlign = 'center';
             ctx.fillText(player.name, screenX, screenY - player.height/2 - 10);
             
+            // Downed teammates show how far along their revive is
+            if (player.health <= 0) {
+                ctx.strokeStyle = '#2ecc71';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(screenX, screenY, player.width, -Math.PI / 2,
+                    -Math.PI / 2 + Math.PI * 2 * (player.reviveProgress || 0));
+                ctx.stroke();
+                continue;
+            }
+            
             // Draw health bar
             if (player.health < player.maxHealth) {
                 const barWidth = player.width;
@@ -322,6 +567,9 @@ export class SyncManager {
         this.interpolationBuffer = [];
         this.inputSequence = 0;
         this.lastProcessedInput = 0;
+        this.spectateTargetId = null;
+        this.gameState = new GameState();
+        this.game.minimap.setEnemySummary(null);
         
         // Remove remote players
         for (const [playerId, player] of this.playerEntities) {
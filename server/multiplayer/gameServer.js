@@ -46,6 +46,11 @@ export class GameServer {
                 this.handleGameInput(socket, data);
             });
             
+            // Snapshot acknowledgement
+            socket.on('state-ack', (tick) => {
+                this.handleStateAck(socket, tick);
+            });
+            
             // Chat message
             socket.on('chat-message', (message) => {
                 this.handleChatMessage(socket, message);
@@ -225,9 +230,17 @@ export class GameServer {
             // Update room state
             room.gameState.started = true;
             
+            // Free the room for another run once the whole team is down
+            gameSession.onGameOver = () => {
+                this.gameSessions.delete(roomId);
+                room.gameState.started = false;
+            };
+            
             // Notify all players
             this.io.to(roomId).emit('game-started', {
                 tick: 0,
+                map: gameSession.map.id,
+                seed: gameSession.map.seed,
                 players: Array.from(room.players.values())
             });
         }
@@ -244,6 +257,15 @@ export class GameServer {
         gameSession.addPlayerInput(socket.id, data);
     }
     
+    // Handle a client acknowledging a snapshot
+    handleStateAck(socket, tick) {
+        const gameSession = this.gameSessions.get(socket.data.roomId);
+        
+        if (!gameSession) return;
+        
+        gameSession.acknowledgeState(socket.id, tick);
+    }
+    
     // Handle chat message
     handleChatMessage(socket, message) {
         const roomId = socket.data.roomId;
@@ -1,5 +1,14 @@
 // gameSession.js - Individual game instance handler
 
+import { CONFIG } from '../../config.js';
+import { Simulation } from '../../core/simulation.js';
+import { InputManager } from '../../engine/input.js';
+import { Player } from '../../entities/player.js';
+import { MapLoader } from '../../systems/mapLoader.js';
+import { Grid } from '../../systems/grid.js';
+import { GameState, createEntityState } from '../../network/gameState.js';
+import { binarySerializer } from '../../network/binarySerializer.js';
+
 export class GameSession {
     constructor(room, io) {
         this.room = room;
@@ -10,98 +19,71 @@ export class GameSession {
         this.running = false;
         this.lastTickTime = Date.now();
         this.gameLoop = null;
+        this.onGameOver = null; // Called once the whole team is down
         
-        // Game state
-        this.gameState = {
-            tick: 0,
-            players: new Map(),
-            enemies: new Map(),
-            bullets: new Map(),
-            powerups: new Map(),
-            wave: 1,
-            enemiesRemaining: 0,
-            nextEnemyId: 1,
-            nextBulletId: 1,
-            nextPowerupId: 1
-        };
+        // Snapshots are sent at their own rate, usually well below the tick rate
+        this.snapshotRate = parseInt(process.env.SNAPSHOT_RATE) || 20;
+        this.snapshotInterval = 1000 / this.snapshotRate;
+        this.snapshotTime = 0;
+        this.summaryTime = 0;
+        
+        // The simulation always steps at the client's fixed rate, whatever the tick rate
+        this.timeStep = 1000 / CONFIG.FPS_CAP;
+        this.accumulatedTime = 0;
+        
+        // The same simulation single player runs, without rendering, sound or UI
+        this.simulation = new Simulation();
+        
+        // Same map loader as single player; the room picks a map or a map size
+        this.map = MapLoader.loadForRoom(room.settings);
+        
+        // Each socket drives one player through its own input state
+        this.players = new Map(); // Socket id -> Player
+        this.inputs = new Map(); // Player -> InputManager
+        
+        // Entity states for the current snapshot, and a grid over them to find what is near each view
+        this.entities = new Map(); // Entity id -> network state
+        this.interestGrid = new Grid(CONFIG.INTEREST_CELL_SIZE);
         
-        // Player inputs buffer
-        this.playerInputs = new Map();
+        // Each client sees its own part of the world, so each has its own snapshot history
+        this.views = new Map(); // Socket id -> GameState of the snapshots sent to that client
+        this.ackedTicks = new Map(); // Socket id -> last snapshot tick the client decoded, null for none
         
         // Initialize player states
         this.initializePlayers();
     }
     
-    // Initialize player states
+    // Create a simulation player and input state for everyone in the room
     initializePlayers() {
-        let spawnIndex = 0;
-        const spawnPoints = this.getSpawnPoints();
-        
-        for (const [playerId, playerData] of this.room.players) {
-            const spawn = spawnPoints[spawnIndex % spawnPoints.length];
-            
-            this.gameState.players.set(playerId, {
-                id: playerId,
-                x: spawn.x,
-                y: spawn.y,
-                angle: 0,
-                health: 100,
-                maxHealth: 100,
-                weapon: 'pistol',
-                ammo: -1, // Infinite for pistol
-                speed: 4,
-                width: 30,
-                height: 30,
-                score: 0,
-                kills: 0,
-                deaths: 0,
-                lastShot: 0,
-                alive: true,
-                respawnTimer: 0
-            });
+        for (const playerId of this.room.players.keys()) {
+            const player = new Player(this.simulation);
             
-            this.playerInputs.set(playerId, {
-                keys: {},
-                mouse: { x: 0, y: 0 },
-                shooting: false,
-                sequence: 0
-            });
-            
-            spawnIndex++;
+            this.players.set(playerId, player);
+            this.inputs.set(player, new InputManager());
+            this.views.set(playerId, new GameState());
+            this.ackedTicks.set(playerId, null);
+            this.simulation.players.push(player);
         }
     }
     
-    // Get spawn points based on map size
-    getSpawnPoints() {
-        // For now, return fixed spawn points
-        // In production, these would be based on map configuration
-        return [
-            { x: 400, y: 300 },
-            { x: 1200, y: 300 },
-            { x: 400, y: 900 },
-            { x: 1200, y: 900 },
-            { x: 800, y: 600 },
-            { x: 800, y: 300 },
-            { x: 400, y: 600 },
-            { x: 1200, y: 600 }
-        ];
-    }
-    
     // Start the game session
     start() {
         if (this.running) return;
         
         this.running = true;
         this.lastTickTime = Date.now();
+        this.accumulatedTime = 0;
+        this.snapshotTime = 0;
+        this.summaryTime = 0;
+        
+        // Players are placed on the map's spawns and the first wave is queued
+        this.simulation.start(this.room.settings.seed, this.map);
         
         // Start game loop
         this.gameLoop = setInterval(() => {
             this.tick();
         }, this.tickInterval);
         
-        // Spawn first wave
-        this.spawnWave();
-        
         console.log(`Game session started for room ${this.roomId}`);
     }
     
@@ -122,279 +104,300 @@ export class GameSession {
     // Main game tick
     tick() {
         const now = Date.now();
-        const deltaTime = (now - this.lastTickTime) / 1000;
+        
+        // Prevent a spiral of death after a stall
+        const elapsed = Math.min(now - this.lastTickTime, 250);
+        this.accumulatedTime += elapsed;
+        this.snapshotTime += elapsed;
+        this.summaryTime += elapsed;
         this.lastTickTime = now;
         
-        // Update game state
-        this.updatePlayers(deltaTime);
-        this.updateEnemies(deltaTime);
-        this.updateBullets(deltaTime);
-        this.updatePowerups(deltaTime);
-        this.checkCollisions();
-        this.checkWaveCompletion();
+        // Perform fixed step updates
+        while (this.accumulatedTime >= this.timeStep) {
+            this.simulation.step(this.timeStep / 1000, this.inputs);
+            this.accumulatedTime -= this.timeStep;
+            
+            if (this.simulation.isTeamDown()) {
+                this.endGame();
+                return;
+            }
+        }
         
-        // Send state update to all players
-        this.broadcastState();
+        // Send a snapshot once per snapshot interval
+        if (this.snapshotTime >= this.snapshotInterval) {
+            this.snapshotTime %= this.snapshotInterval;
+            this.broadcastState();
+        }
         
-        // Increment tick
-        this.gameState.tick++;
+        // The minimap's view of far-away enemies is refreshed much less often
+        if (this.summaryTime >= CONFIG.ENEMY_SUMMARY_INTERVAL) {
+            this.summaryTime %= CONFIG.ENEMY_SUMMARY_INTERVAL;
+            this.broadcastEnemySummary();
+        }
     }
     
-    // Add player input
-    addPlayerInput(playerId, input) {
-        const playerInput = this.playerInputs.get(playerId);
-        if (!playerInput) return;
-        
-        playerInput.keys = input.keys || {};
-        playerInput.mouse = input.mouse || { x: 0, y: 0 };
-        playerInput.shooting = input.shooting || false;
-        playerInput.sequence = input.sequence || 0;
+    // End the run: send the final state and scoreboard, then stop ticking
+    endGame() {
+        this.broadcastState();
+        
+        this.io.to(this.roomId).emit('game-over', {
+            score: this.simulation.score,
+            wave: this.simulation.currentWave,
+            players: Array.from(this.players, ([playerId, player]) => ({
+                id: playerId,
+                score: player.score,
+                kills: player.kills,
+                deaths: player.deaths
+            }))
+        });
+        
+        this.stop();
+        
+        if (this.onGameOver) this.onGameOver();
     }
     
-    // Update player states
-    updatePlayers(deltaTime) {
-        for (const [playerId, player] of this.gameState.players) {
-            const input = this.playerInputs.get(playerId);
-            if (!input || !player.alive) continue;
-            
-            // Movement
-            let dx = 0, dy = 0;
-            if (input.keys.w || input.keys.ArrowUp) dy -= 1;
-            if (input.keys.s || input.keys.ArrowDown) dy += 1;
-            if (input.keys.a || input.keys.ArrowLeft) dx -= 1;
-            if (input.keys.d || input.keys.ArrowRight) dx += 1;
-            
-            // Normalize diagonal movement
-            if (dx !== 0 && dy !== 0) {
-                dx *= 0.707;
-                dy *= 0.707;
-            }
-            
-            // Apply movement
-            player.x += dx * player.speed * deltaTime * 60;
-            player.y += dy * player.speed * deltaTime * 60;
-            
-            // Clamp to world bounds
-            player.x = Math.max(player.width/2, Math.min(1600 - player.width/2, player.x));
-            player.y = Math.max(player.height/2, Math.min(1200 - player.height/2, player.y));
-            
-            // Update angle based on mouse position
-            const angleToMouse = Math.atan2(
-                input.mouse.y - player.y,
-                input.mouse.x - player.x
-            );
-            player.angle = angleToMouse;
-            
-            // Handle shooting
-            if (input.shooting) {
-                this.playerShoot(playerId, player);
+    // Apply a client's input: held keys, the aim point in world coordinates, the fire button,
+    // and key presses and wheel steps since its last input (used up by the next step)
+    addPlayerInput(playerId, data) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        
+        const input = this.inputs.get(player);
+        const mouse = data.mouse || {};
+        
+        input.keys = {};
+        for (const key in data.keys) {
+            if (data.keys[key] === true) input.keys[key] = true;
+        }
+        
+        // Presses made while down are dropped, so they don't all fire on revive
+        if (Array.isArray(data.keyPresses) && player.health > 0) {
+            for (const key of data.keyPresses) {
+                input.keyPresses[key] = true;
             }
         }
+        
+        if (Number.isFinite(mouse.x) && Number.isFinite(mouse.y)) {
+            input.worldMouseX = mouse.x;
+            input.worldMouseY = mouse.y;
+        }
+        
+        if (Number.isFinite(data.wheelDelta) && player.health > 0) {
+            input.wheelDelta += Math.sign(data.wheelDelta);
+        }
+        
+        input.isShooting = data.shooting === true;
     }
     
-    // Handle player shooting
-    playerShoot(playerId, player) {
-        const now = Date.now();
-        const weaponCooldown = 200; // Milliseconds between shots
-        
-        if (now - player.lastShot < weaponCooldown) return;
-        
-        player.lastShot = now;
-        
-        // Create bullet
-        const bulletId = this.nextBulletId++;
-        const bullet = {
-            id: bulletId,
-            owner: playerId,
-            x: player.x + Math.cos(player.angle) * 20,
-            y: player.y + Math.sin(player.angle) * 20,
-            angle: player.angle,
-            speed: 10,
-            damage: 25,
-            width: 4,
-            height: 4,
-            maxDistance: 500,
-            distanceTraveled: 0
-        };
+    // Get the socket id controlling a simulation player, by entity id (null for turrets)
+    getSocketId(entityId) {
+        for (const [playerId, player] of this.players) {
+            if (player.id === entityId) return playerId;
+        }
         
-        this.gameState.bullets.set(bulletId, bullet);
+        return null;
     }
     
-    // Update enemy states (simplified for demo)
-    updateEnemies(deltaTime) {
-        for (const [enemyId, enemy] of this.gameState.enemies) {
-            // Find nearest player
-            let nearestPlayer = null;
-            let nearestDistance = Infinity;
-            
-            for (const player of this.gameState.players.values()) {
-                if (!player.alive) continue;
-                
-                const dx = player.x - enemy.x;
-                const dy = player.y - enemy.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance < nearestDistance) {
-                    nearestDistance = distance;
-                    nearestPlayer = player;
-                }
-            }
-            
-            if (nearestPlayer) {
-                // Move towards nearest player
-                const angle = Math.atan2(
-                    nearestPlayer.y - enemy.y,
-                    nearestPlayer.x - enemy.x
-                );
-                
-                enemy.x += Math.cos(angle) * enemy.speed * deltaTime * 60;
-                enemy.y += Math.sin(angle) * enemy.speed * deltaTime * 60;
-                enemy.angle = angle;
-            }
+    // Get a player's owned weapons and their ammo; the pistol's endless reserve is sent as null
+    serializeInventory(player) {
+        const inventory = {};
+        
+        for (const weaponName in player.inventory) {
+            const slot = player.inventory[weaponName];
+            inventory[weaponName] = {
+                magazine: slot.magazine,
+                reserve: slot.reserve === Infinity ? null : slot.reserve
+            };
         }
+        
+        return inventory;
     }
     
-    // Update bullet states
-    updateBullets(deltaTime) {
-        const bulletsToRemove = [];
-        
-        for (const [bulletId, bullet] of this.gameState.bullets) {
-            // Move bullet
-            const distance = bullet.speed * deltaTime * 60;
-            bullet.x += Math.cos(bullet.angle) * distance;
-            bullet.y += Math.sin(bullet.angle) * distance;
-            bullet.distanceTraveled += distance;
+    // Record every entity's network state for the current tick, and index them in the interest grid
+    captureEntities() {
+        const simulation = this.simulation;
+        const tick = simulation.clock.tick;
+        
+        this.entities.clear();
+        this.interestGrid.reset();
+        
+        for (const player of this.players.values()) {
+            const input = this.inputs.get(player);
             
-            // Check if bullet should be removed
-            if (bullet.distanceTraveled >= bullet.maxDistance ||
-                bullet.x < 0 || bullet.x > 1600 ||
-                bullet.y < 0 || bullet.y > 1200) {
-                bulletsToRemove.push(bulletId);
-            }
+            // Players have no heading of their own, so send where they aim. Health is rounded up,
+            // since a player on a fraction of a point is still up.
+            this.addEntityState(player, tick, {
+                angle: Math.atan2(input.worldMouseY - player.y, input.worldMouseX - player.x),
+                health: Math.ceil(player.health)
+            });
         }
         
-        // Remove expired bullets
-        for (const bulletId of bulletsToRemove) {
-            this.gameState.bullets.delete(bulletId);
+        for (const enemy of simulation.enemyManager.enemies) {
+            this.addEntityState(enemy, tick, {
+                kind: enemy.type === 'boss' ? enemy.bossId : enemy.type,
+                color: enemy.color
+            });
+        }
+        
+        for (const bullet of simulation.bulletManager.bullets) {
+            this.addEntityState(bullet, tick, {
+                type: bullet.owner === 'enemy' ? 'enemyBullet' : 'bullet',
+                owner: bullet.sourceId || 0,
+                kind: bullet.behavior,
+                color: bullet.color,
+                spawnTime: bullet.spawnTime,
+                lifetime: bullet.lifetime
+            });
+        }
+        
+        for (const powerup of simulation.powerupManager.powerups) {
+            this.addEntityState(powerup, tick, {
+                type: 'powerup',
+                kind: powerup.type,
+                color: powerup.color,
+                width: powerup.radius * 2,
+                height: powerup.radius * 2,
+                expireTime: powerup.expireTime
+            });
+        }
+        
+        // Structures are solid for everyone, so clients need them to move and aim around; health
+        // is rounded up like the players'
+        for (const structure of simulation.structureManager.structures) {
+            this.addEntityState(structure, tick, {
+                kind: structure.type,
+                color: structure.color,
+                health: Math.ceil(structure.health)
+            });
         }
     }
     
-    // Update powerups (placeholder)
-    updatePowerups(deltaTime) {
-        // TODO: Implement powerup logic
+    // Add an entity's network state to the snapshot being built, with the given fields on top
+    addEntityState(entity, tick, fields) {
+        const state = Object.assign(createEntityState(entity, tick), fields);
+        this.entities.set(state.id, state);
+        
+        // The grid holds a point for each state, so grid bookkeeping stays out of the snapshots
+        if (state.type !== 'player') {
+            this.interestGrid.add({ x: state.x, y: state.y, width: 0, height: 0, state });
+        }
     }
     
-    // Check collisions
-    checkCollisions() {
-        // Player-Enemy collisions
-        for (const [playerId, player] of this.gameState.players) {
-            if (!player.alive) continue;
-            
-            for (const [enemyId, enemy] of this.gameState.enemies) {
-                const dx = player.x - enemy.x;
-                const dy = player.y - enemy.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance < (player.width + enemy.width) / 2) {
-                    // Damage player
-                    player.health -= 10;
-                    if (player.health <= 0) {
-                        player.alive = false;
-                        player.deaths++;
-                        player.respawnTimer = 3000; // 3 seconds
-                    }
-                }
-            }
-        }
+    // Get the points a client's view can be centered on: its own player, or while it is down,
+    // any living teammate (the client picks which one to spectate)
+    getViewCenters(playerId) {
+        const player = this.players.get(playerId);
+        const centers = player.health > 0 ? [player] : this.simulation.getLivingPlayers();
+        
+        return centers.map(center => ({ x: center.x, y: center.y, width: 0, height: 0 }));
+    }
+    
+    // Pick the entities a client is sent: every player, plus what is near its view. Entities come
+    // in within the enter radius but are only dropped past the leave radius, so the ones on the
+    // edge don't keep appearing and disappearing. lastSnapshot is the last one sent to the client.
+    getRelevantEntities(playerId, lastSnapshot) {
+        const relevant = new Map();
         
-        // Bullet-Enemy collisions
-        const bulletsToRemove = [];
-        const enemiesToRemove = [];
+        for (const player of this.players.values()) {
+            relevant.set(player.id, this.entities.get(player.id));
+        }
         
-        for (const [bulletId, bullet] of this.gameState.bullets) {
-            for (const [enemyId, enemy] of this.gameState.enemies) {
-                const dx = bullet.x - enemy.x;
-                const dy = bullet.y - enemy.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+        for (const center of this.getViewCenters(playerId)) {
+            for (const point of this.interestGrid.getNearby(center, CONFIG.INTEREST_LEAVE_RADIUS)) {
+                const state = point.state;
+                if (relevant.has(state.id)) continue;
+                
+                const wasSent = lastSnapshot !== null && lastSnapshot.entities.has(state.id);
+                const radius = wasSent ? CONFIG.INTEREST_LEAVE_RADIUS : CONFIG.INTEREST_ENTER_RADIUS;
                 
-                if (distance < enemy.width / 2) {
-                    // Damage enemy
-                    enemy.health -= bullet.damage;
-                    bulletsToRemove.push(bulletId);
-                    
-                    if (enemy.health <= 0) {
-                        enemiesToRemove.push(enemyId);
-                        
-                        // Award points to player
-                        const player = this.gameState.players.get(bullet.owner);
-                        if (player) {
-                            player.score += 100;
-                            player.kills++;
-                        }
-                    }
-                    break;
+                if (Math.hypot(state.x - center.x, state.y - center.y) <= radius) {
+                    relevant.set(state.id, state);
                 }
             }
         }
         
-        // Remove hit bullets and dead enemies
-        for (const bulletId of bulletsToRemove) {
-            this.gameState.bullets.delete(bulletId);
-        }
-        
-        for (const enemyId of enemiesToRemove) {
-            this.gameState.enemies.delete(enemyId);
-            this.gameState.enemiesRemaining--;
-        }
+        return relevant;
     }
     
-    // Check if wave is complete
-    checkWaveCompletion() {
-        if (this.gameState.enemiesRemaining === 0) {
-            this.gameState.wave++;
-            this.spawnWave();
+    // Note the latest snapshot a client has decoded; its next delta is made against it
+    acknowledgeState(playerId, tick) {
+        if (!this.ackedTicks.has(playerId) || !Number.isInteger(tick)) return;
+        
+        const ackedTick = this.ackedTicks.get(playerId);
+        if (ackedTick === null || tick > ackedTick) {
+            this.ackedTicks.set(playerId, tick);
         }
     }
     
-    // Spawn enemy wave
-    spawnWave() {
-        const enemyCount = 5 + this.gameState.wave * 2;
-        this.gameState.enemiesRemaining = enemyCount;
-        
-        for (let i = 0; i < enemyCount; i++) {
-            const angle = (Math.PI * 2 * i) / enemyCount;
-            const distance = 400 + Math.random() * 200;
+    // Send each player a snapshot of what is near its view: entities as a binary delta against the
+    // last snapshot it acknowledged (or in full), plus the scoreboard and everyone's weapons as plain
+    // data. Entities coming into view arrive as created and ones leaving it as removed.
+    broadcastState() {
+        const simulation = this.simulation;
+        this.captureEntities();
+        
+        const state = {
+            players: Array.from(this.players, ([playerId, player]) => ({
+                id: playerId,
+                entityId: player.id,
+                weapon: player.weapon,
+                inventory: this.serializeInventory(player),
+                reloading: player.reloading,
+                reloadStartTime: player.reloadStartTime,
+                reloadEndTime: player.reloadEndTime,
+                score: player.score,
+                kills: player.kills,
+                deaths: player.deaths,
+                alive: player.health > 0,
+                reviveProgress: player.reviveProgress / CONFIG.REVIVE_TIME, // 0 to 1 while down
+                protected: simulation.clock.now() < player.protectedUntil
+            })),
+            score: simulation.score,
+            wave: simulation.currentWave,
+            enemiesRemaining: simulation.enemiesRemaining
+        };
+        
+        for (const [playerId, ackedTick] of this.ackedTicks) {
+            const view = this.views.get(playerId);
+            const lastSnapshot = view.snapshots[view.snapshots.length - 1] || null;
             
-            const enemy = {
-                id: this.nextEnemyId++,
-                type: 'zombie',
-                x: 800 + Math.cos(angle) * distance,
-                y: 600 + Math.sin(angle) * distance,
-                angle: 0,
-                width: 40,
-                height: 40,
-                health: 50 + this.gameState.wave * 10,
-                maxHealth: 50 + this.gameState.wave * 10,
-                speed: 1 + this.gameState.wave * 0.1,
-                damage: 10
-            };
+            view.entities = this.getRelevantEntities(playerId, lastSnapshot);
+            view.tick = simulation.clock.tick;
+            
+            const snapshot = view.createSnapshot(simulation.clock.now());
+            const packet = view.createPacket(snapshot, ackedTick);
             
-            this.gameState.enemies.set(enemy.id, enemy);
+            this.io.to(playerId).emit('game-state', {
+                ...state,
+                packet: binarySerializer.serialize(packet)
+            });
         }
     }
     
-    // Broadcast game state to all players
-    broadcastState() {
-        const state = {
-            tick: this.gameState.tick,
-            players: Array.from(this.gameState.players.values()),
-            enemies: Array.from(this.gameState.enemies.values()),
-            bullets: Array.from(this.gameState.bullets.values()),
-            powerups: Array.from(this.gameState.powerups.values()),
-            wave: this.gameState.wave,
-            enemiesRemaining: this.gameState.enemiesRemaining
-        };
+    // Send each player a coarse count of the enemies it isn't sent, per square of the map, for the minimap
+    broadcastEnemySummary() {
+        const cellSize = CONFIG.ENEMY_SUMMARY_CELL_SIZE;
         
-        this.io.to(this.roomId).emit('game-state', state);
+        for (const [playerId, view] of this.views) {
+            const lastSnapshot = view.snapshots[view.snapshots.length - 1];
+            const counts = new Map();
+            
+            for (const enemy of this.simulation.enemyManager.enemies) {
+                if (lastSnapshot && lastSnapshot.entities.has(enemy.id)) continue;
+                
+                const cellX = Math.floor(enemy.x / cellSize);
+                const cellY = Math.floor(enemy.y / cellSize);
+                const key = `${cellX},${cellY}`;
+                
+                const cell = counts.get(key) || [cellX, cellY, 0];
+                cell[2]++;
+                counts.set(key, cell);
+            }
+            
+            this.io.to(playerId).emit('enemy-summary', {
+                cellSize,
+                cells: Array.from(counts.values()) // [cellX, cellY, count]
+            });
+        }
     }
 }
\ No newline at end of file
@@ -45,6 +45,8 @@ export class RoomManager {
                 maxPlayers: options.maxPlayers || this.maxPlayersPerRoom,
                 isPublic: options.isPublic || false,
                 mapSize: options.mapSize || 'medium',
+                map: options.map || null, // Bundled map id; null picks one by mapSize
+                seed: options.seed || null, // Seed for generated maps; null picks one at random
                 difficulty: options.difficulty || 'normal',
                 friendlyFire: options.friendlyFire || false
             },
@@ -199,6 +201,7 @@ export class RoomManager {
                     players: room.players.size,
                     maxPlayers: room.settings.maxPlayers,
                     mapSize: room.settings.mapSize,
+                    map: room.settings.map,
                     difficulty: room.settings.difficulty
                 });
             }
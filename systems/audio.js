@@ -14,6 +14,11 @@ export class AudioSystem {
             pistol: 'sounds/pistol.mp3',
             shotgun: 'sounds/shotgun.mp3',
             machinegun: 'sounds/machinegun.mp3',
+            smg: 'sounds/smg.mp3',
+            sniper: 'sounds/sniper.mp3',
+            flamethrower: 'sounds/flamethrower.mp3',
+            rocket: 'sounds/rocket.mp3',
+            reload: 'sounds/reload.mp3',
             grenade: 'sounds/grenade.mp3',
             explosion: 'sounds/explosion.mp3',
             
@@ -25,10 +30,15 @@ export class AudioSystem {
             enemyDeath: 'sounds/enemy_death.mp3',
             bossSpawn: 'sounds/boss_spawn.mp3',
             bossDeath: 'sounds/boss_death.mp3',
+            spit: 'sounds/spit.mp3',
             
             // Powerups
             powerup: 'sounds/powerup.mp3',
             
+            // Structures
+            build: 'sounds/build.mp3',
+            structureDestroyed: 'sounds/structure_destroyed.mp3',
+            
             // UI
             menuSelect: 'sounds/menu_select.mp3',
             levelUp: 'sounds/level_up.mp3',
@@ -0,0 +1,29 @@
+// clock.js - Simulation clock advanced by the game loop's fixed timestep
+
+// Every gameplay timer (cooldowns, AI states, reloads, telegraphs, fuses, boosts, powerup
+// lifetimes) reads this instead of Date.now() or counting frames, so a run only depends on
+// its seed and inputs, not on wall-clock time.
+// It stops while the game is paused.
+export class SimulationClock {
+    constructor() {
+        this.time = 0; // ms of simulated time
+        this.tick = 0; // Fixed steps taken
+    }
+    
+    // Restart at time zero for a new run
+    reset() {
+        this.time = 0;
+        this.tick = 0;
+    }
+    
+    // Advance by one fixed step (deltaTime in seconds)
+    advance(deltaTime) {
+        this.time += deltaTime * 1000;
+        this.tick++;
+    }
+    
+    // Current simulation time in ms
+    now() {
+        return this.time;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+// flowField.js - Shared Dijkstra flow field for steering large numbers of enemies
+
+import { BinaryHeap } from './pathfinding.js';
+
+// Neighbor offsets: 4 straight moves followed by 4 diagonals
+const NEIGHBORS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+const DIAGONAL_COST = Math.SQRT2;
+
+export class FlowField {
+    constructor(navGrid) {
+        this.navGrid = navGrid;
+        
+        const size = navGrid.cols * navGrid.rows;
+        this.distances = new Float32Array(size);
+        this.dirX = new Float32Array(size);
+        this.dirY = new Float32Array(size);
+        this.heap = new BinaryHeap();
+        
+        // Target cells of the last computation, used to skip redundant rebuilds
+        this.targetKey = '';
+        this.dirty = true;
+    }
+    
+    // Force a rebuild on the next update (call after the nav grid changes)
+    markDirty() {
+        this.dirty = true;
+    }
+    
+    // Recompute the field if any target moved to a different cell; returns true if rebuilt
+    update(targets) {
+        const nav = this.navGrid;
+        const cells = [];
+        
+        for (const target of targets) {
+            const cell = nav.worldToCell(target.x, target.y);
+            const walkable = nav.findNearestWalkable(cell.col, cell.row);
+            if (walkable) {
+                cells.push(walkable.row * nav.cols + walkable.col);
+            }
+        }
+        
+        cells.sort((a, b) => a - b);
+        const targetKey = cells.join(',');
+        
+        if (!this.dirty && targetKey === this.targetKey) return false;
+        
+        this.targetKey = targetKey;
+        this.dirty = false;
+        this.compute(cells);
+        
+        return true;
+    }
+    
+    // Multi-source Dijkstra from every target cell, then derive per-cell directions
+    compute(sourceCells) {
+        const nav = this.navGrid;
+        const cols = nav.cols;
+        const distances = this.distances;
+        const heap = this.heap;
+        
+        distances.fill(Infinity);
+        heap.clear();
+        
+        for (const cell of sourceCells) {
+            distances[cell] = 0;
+            heap.push(cell, 0);
+        }
+        
+        while (heap.size > 0) {
+            const current = heap.pop();
+            const col = current % cols;
+            const row = (current - col) / cols;
+            const currentDist = distances[current];
+            
+            for (let i = 0; i < NEIGHBORS.length; i++) {
+                const nextCol = col + NEIGHBORS[i][0];
+                const nextRow = row + NEIGHBORS[i][1];
+                
+                if (!nav.isWalkable(nextCol, nextRow)) continue;
+                
+                const diagonal = i >= 4;
+                
+                // Don't cut corners around blocked cells
+                if (diagonal && (!nav.isWalkable(nextCol, row) || !nav.isWalkable(col, nextRow))) {
+                    continue;
+                }
+                
+                const next = nextRow * cols + nextCol;
+                const nextDist = currentDist + (diagonal ? DIAGONAL_COST : 1);
+                
+                if (nextDist < distances[next]) {
+                    distances[next] = nextDist;
+                    heap.push(next, nextDist);
+                }
+            }
+        }
+        
+        this.computeDirections();
+    }
+    
+    // Point every cell at its lowest-distance neighbor
+    computeDirections() {
+        const nav = this.navGrid;
+        const cols = nav.cols;
+        
+        for (let index = 0; index < this.distances.length; index++) {
+            this.dirX[index] = 0;
+            this.dirY[index] = 0;
+            
+            const col = index % cols;
+            const row = (index - col) / cols;
+            let best = this.distances[index];
+            let bestI = -1;
+            
+            if (best === Infinity || best === 0) continue;
+            
+            for (let i = 0; i < NEIGHBORS.length; i++) {
+                const nextCol = col + NEIGHBORS[i][0];
+                const nextRow = row + NEIGHBORS[i][1];
+                
+                if (!nav.isWalkable(nextCol, nextRow)) continue;
+                
+                if (i >= 4 && (!nav.isWalkable(nextCol, row) || !nav.isWalkable(col, nextRow))) {
+                    continue;
+                }
+                
+                const dist = this.distances[nextRow * cols + nextCol];
+                if (dist < best) {
+                    best = dist;
+                    bestI = i;
+                }
+            }
+            
+            if (bestI !== -1) {
+                const length = bestI >= 4 ? DIAGONAL_COST : 1;
+                this.dirX[index] = NEIGHBORS[bestI][0] / length;
+                this.dirY[index] = NEIGHBORS[bestI][1] / length;
+            }
+        }
+    }
+    
+    // Get the unit direction to move from a world position, or null when
+    // already in a target cell or cut off from every target
+    sampleDirection(x, y) {
+        const nav = this.navGrid;
+        const cell = nav.worldToCell(x, y);
+        let index = cell.row * nav.cols + cell.col;
+        
+        // Agents pushed into padded cells follow the flow of the closest open cell
+        if (!nav.isWalkable(cell.col, cell.row)) {
+            const walkable = nav.findClosestWalkable(x, y, 2);
+            if (!walkable) return null;
+            
+            index = walkable.row * nav.cols + walkable.col;
+        }
+        
+        if (this.dirX[index] === 0 && this.dirY[index] === 0) return null;
+        
+        return { x: this.dirX[index], y: this.dirY[index] };
+    }
+    
+    // Get the path distance (in cells) from a world position to the nearest target
+    getDistance(x, y) {
+        const cell = this.navGrid.worldToCell(x, y);
+        return this.distances[cell.row * this.navGrid.cols + cell.col];
+    }
+}
\ No newline at end of file
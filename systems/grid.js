@@ -147,8 +147,12 @@ export class Grid {
         return count;
     }
     
-    // Debug: Draw grid cells for visualization
-    debugDraw(ctx, camera) {
+    // Debug: Draw grid cells (and optionally blocked nav cells) for visualization
+    debugDraw(ctx, camera, navGrid = null) {
+        if (navGrid) {
+            this.debugDrawNavGrid(ctx, camera, navGrid);
+        }
+        
         // Draw all occupied cells
         ctx.strokeStyle = 'rgba(255, 0, 0, 0.3)';
         ctx.lineWidth = 1;
@@ -187,4 +191,23 @@ export class Grid {
             }
         }
     }
+    
+    // Debug: Shade nav cells that enemies can't walk through
+    debugDrawNavGrid(ctx, camera, navGrid) {
+        const size = navGrid.cellSize;
+        const startCol = Math.max(0, Math.floor(camera.x / size));
+        const startRow = Math.max(0, Math.floor(camera.y / size));
+        const endCol = Math.min(navGrid.cols - 1, Math.floor((camera.x + camera.width) / size));
+        const endRow = Math.min(navGrid.rows - 1, Math.floor((camera.y + camera.height) / size));
+        
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.25)';
+        
+        for (let row = startRow; row <= endRow; row++) {
+            for (let col = startCol; col <= endCol; col++) {
+                if (!navGrid.isWalkable(col, row)) {
+                    ctx.fillRect(col * size - camera.x, row * size - camera.y, size, size);
+                }
+            }
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+// killcam.js - Keeps the last seconds of play as entity snapshots and replays the player's death
+
+import { CONFIG } from '../config.js';
+import { createEntityState } from '../network/gameState.js';
+
+export const KILLCAM_SECONDS = 10; // Game time kept in the buffer
+const SLOW_MOTION_SECONDS = 3; // The lead-up to the death plays in slow motion
+const SLOW_MOTION_SPEED = 0.25;
+const HOLD_SECONDS = 2; // Time the death stays on screen before returning to the menu
+
+// Fields the renderer needs on top of the network entity state, by entity type
+const RENDER_FIELDS = {
+    enemy: ['color'],
+    bullet: ['color', 'behavior', 'spawnTime', 'lifetime']
+};
+
+// Snapshots use the network structure (see network/gameState.js): { tick, timestamp, entities },
+// with entities keyed by id. timestamp is simulation time and each snapshot also keeps the
+// camera view, so playback shows what the player saw.
+export class Killcam {
+    constructor() {
+        this.size = KILLCAM_SECONDS * CONFIG.FPS_CAP;
+        this.snapshots = new Array(this.size).fill(null); // Ring buffer, oldest overwritten first
+        this.head = 0; // Slot the next snapshot is written to
+        this.count = 0;
+        this.recording = false;
+        this.killerId = null;
+        
+        // Playback position in snapshots, fractional between two of them
+        this.playing = false;
+        this.position = 0;
+        this.prevPosition = 0;
+        this.holdTime = 0;
+    }
+    
+    // Start recording a new run
+    start() {
+        this.clear();
+        this.recording = true;
+    }
+    
+    // Stop recording and drop the buffer (replays being watched)
+    cancel() {
+        this.clear();
+        this.recording = false;
+    }
+    
+    // Empty the buffer
+    clear() {
+        this.snapshots.fill(null);
+        this.head = 0;
+        this.count = 0;
+        this.killerId = null;
+    }
+    
+    // Snapshot the player, enemies and bullets at the end of a step
+    record(game) {
+        if (!this.recording) return;
+        
+        const tick = game.clock.tick;
+        const camera = game.camera;
+        const snapshot = {
+            tick: tick,
+            timestamp: game.clock.now(),
+            view: { x: camera.x, y: camera.y, width: camera.width, height: camera.height },
+            entities: new Map()
+        };
+        
+        // The player has no heading of its own; keep where it was aiming
+        const player = game.player;
+        const input = game.getSimulationInput();
+        const playerState = createEntityState(player, tick);
+        playerState.angle = Math.atan2(input.worldMouseY - player.y, input.worldMouseX - player.x);
+        playerState.speedBoost = player.hasSpeedBoost();
+        snapshot.entities.set(playerState.id, playerState);
+        
+        for (const enemy of game.enemyManager.enemies) {
+            this.addEntity(snapshot, enemy, RENDER_FIELDS.enemy);
+        }
+        
+        for (const bullet of game.bulletManager.bullets) {
+            this.addEntity(snapshot, bullet, RENDER_FIELDS.bullet);
+        }
+        
+        this.snapshots[this.head] = snapshot;
+        this.head = (this.head + 1) % this.size;
+        this.count = Math.min(this.count + 1, this.size);
+    }
+    
+    // Add an entity's state and render fields to a snapshot
+    addEntity(snapshot, entity, fields) {
+        const state = createEntityState(entity, snapshot.tick);
+        
+        for (const field of fields) {
+            state[field] = entity[field];
+        }
+        
+        snapshot.entities.set(state.id, state);
+    }
+    
+    // Record the moment of death and stop; killerId is the enemy that landed the last hit
+    finish(game, killerId) {
+        this.record(game);
+        this.recording = false;
+        this.killerId = killerId;
+    }
+    
+    // Check if there is a death to show
+    hasFootage() {
+        return !this.recording && this.count > 1;
+    }
+    
+    // Get a snapshot by age, 0 being the oldest kept
+    getSnapshot(index) {
+        return this.snapshots[(this.head - this.count + index + this.size) % this.size];
+    }
+    
+    // Play the buffer from its oldest snapshot
+    play() {
+        this.playing = true;
+        this.position = 0;
+        this.prevPosition = 0;
+        this.holdTime = 0;
+    }
+    
+    // Leave playback
+    stop() {
+        this.playing = false;
+    }
+    
+    // Check if playback is in the slowed-down lead-up to the death
+    isSlowMotion() {
+        return this.count - 1 - this.position <= SLOW_MOTION_SECONDS * CONFIG.FPS_CAP;
+    }
+    
+    // Advance playback by one fixed step; returns false once it has finished
+    update(deltaTime) {
+        const last = this.count - 1;
+        this.prevPosition = this.position;
+        
+        if (this.position >= last) {
+            this.holdTime += deltaTime;
+            return this.holdTime < HOLD_SECONDS;
+        }
+        
+        this.position = Math.min(last, this.position + (this.isSlowMotion() ? SLOW_MOTION_SPEED : 1));
+        return true;
+    }
+    
+    // Build what to draw at the playback position. Entities get prevX/prevY from the earlier
+    // snapshot, so the renderer blends between the two snapshots as it does between live steps.
+    getScene(alpha) {
+        const position = this.prevPosition + (this.position - this.prevPosition) * alpha;
+        const index = Math.min(Math.floor(position), this.count - 1);
+        const from = this.getSnapshot(index);
+        const to = this.getSnapshot(Math.min(index + 1, this.count - 1));
+        const blend = position - index;
+        
+        const scene = {
+            blend: blend,
+            time: from.timestamp + (to.timestamp - from.timestamp) * blend,
+            view: {
+                x: from.view.x + (to.view.x - from.view.x) * blend,
+                y: from.view.y + (to.view.y - from.view.y) * blend,
+                width: to.view.width,
+                height: to.view.height
+            },
+            player: null,
+            enemies: [],
+            bullets: [],
+            killer: null
+        };
+        
+        for (const [id, state] of to.entities) {
+            const previous = from.entities.get(id) || state;
+            const entity = { ...state, prevX: previous.x, prevY: previous.y };
+            
+            if (state.type === 'player') {
+                entity.hasSpeedBoost = () => state.speedBoost;
+                scene.player = entity;
+            } else if (state.type === 'enemy') {
+                scene.enemies.push(entity);
+                if (id === this.killerId) scene.killer = entity;
+            } else {
+                scene.bullets.push(entity);
+            }
+        }
+        
+        return scene;
+    }
+}
\ No newline at end of file
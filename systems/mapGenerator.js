@@ -0,0 +1,342 @@
+// mapGenerator.js - Seeded procedural maps in the same format as the authored maps
+
+import { CONFIG } from '../config.js';
+import { WAVES } from '../data/waves.js';
+import { SeededRandom } from '../utils/random.js';
+
+// World sizes matching the room settings' mapSize
+export const MAP_SIZES = {
+    small: { width: 1600, height: 1200 },
+    medium: { width: 2400, height: 1800 },
+    large: { width: 3000, height: 2400 }
+};
+
+// Passages are at least this many cells wide so padded enemies (and bosses) fit through
+const MIN_PASSAGE = 2;
+
+// Layout styles. Each layout(generator, rng) fills generator.cells (1 = solid) on a
+// GRID_CELL_SIZE grid; the generator then clears the player start and spawn zones and
+// carves corridors until every open cell is reachable from the player.
+export const MapStyles = {
+    // Building blocks separated by a grid of streets, with the odd plaza and alley
+    city: {
+        name: 'Random City',
+        background: '#1f1f22',
+        wallColor: '#4a4a52',
+        
+        layout(generator, rng) {
+            const columns = this.splitAxis(generator.cols, rng);
+            const rows = this.splitAxis(generator.rows, rng);
+            
+            for (const [x, width] of columns) {
+                for (const [y, height] of rows) {
+                    // Leave some blocks empty as plazas
+                    if (rng.chance(0.2)) continue;
+                    
+                    // Split larger blocks with an alley along their longer side
+                    if (rng.chance(0.4) && Math.max(width, height) >= MIN_PASSAGE + 2) {
+                        if (width >= height) {
+                            const split = rng.int(1, width - MIN_PASSAGE - 1);
+                            generator.fill(x, y, split, height, 1);
+                            generator.fill(x + split + MIN_PASSAGE, y, width - split - MIN_PASSAGE, height, 1);
+                        } else {
+                            const split = rng.int(1, height - MIN_PASSAGE - 1);
+                            generator.fill(x, y, width, split, 1);
+                            generator.fill(x, y + split + MIN_PASSAGE, width, height - split - MIN_PASSAGE, 1);
+                        }
+                    } else {
+                        generator.fill(x, y, width, height, 1);
+                    }
+                }
+            }
+        },
+        
+        // Split an axis into [start, length] blocks with streets between and around them
+        splitAxis(length, rng) {
+            const blocks = [];
+            let position = rng.int(MIN_PASSAGE, MIN_PASSAGE + 1);
+            
+            while (position < length - MIN_PASSAGE - 2) {
+                const size = Math.min(rng.int(3, 5), length - MIN_PASSAGE - position);
+                blocks.push([position, size]);
+                position += size + rng.int(MIN_PASSAGE, MIN_PASSAGE + 1);
+            }
+            
+            return blocks;
+        }
+    },
+    
+    // Solid rock with rooms carved out and joined by corridors
+    rooms: {
+        name: 'Random Rooms',
+        background: '#191714',
+        wallColor: '#5a4a3a',
+        
+        layout(generator, rng) {
+            generator.fill(0, 0, generator.cols, generator.rows, 1);
+            
+            // The first room is centered on the player start
+            const rooms = [{
+                x: Math.floor(generator.cols / 2) - 3,
+                y: Math.floor(generator.rows / 2) - 2,
+                width: 6,
+                height: 5
+            }];
+            
+            const attempts = generator.cols * generator.rows / 25;
+            for (let i = 0; i < attempts; i++) {
+                const width = rng.int(3, 7);
+                const height = rng.int(3, 6);
+                const room = {
+                    x: rng.int(1, generator.cols - width - 1),
+                    y: rng.int(1, generator.rows - height - 1),
+                    width: width,
+                    height: height
+                };
+                
+                // Keep a wall between rooms
+                const overlaps = rooms.some(other =>
+                    room.x <= other.x + other.width && room.x + room.width >= other.x &&
+                    room.y <= other.y + other.height && room.y + room.height >= other.y
+                );
+                if (!overlaps) rooms.push(room);
+            }
+            
+            rooms.forEach((room, index) => {
+                generator.fill(room.x, room.y, room.width, room.height, 0);
+                
+                // Join each room to the nearest room already placed
+                if (index === 0) return;
+                
+                const center = this.getCenter(room);
+                let nearest = null;
+                let nearestDistance = Infinity;
+                
+                for (let i = 0; i < index; i++) {
+                    const other = this.getCenter(rooms[i]);
+                    const distance = Math.abs(other.x - center.x) + Math.abs(other.y - center.y);
+                    
+                    if (distance < nearestDistance) {
+                        nearestDistance = distance;
+                        nearest = other;
+                    }
+                }
+                
+                generator.carveCorridor(center.x, center.y, nearest.x, nearest.y, rng.chance(0.5));
+            });
+        },
+        
+        // Get a room's center cell
+        getCenter(room) {
+            return {
+                x: room.x + Math.floor(room.width / 2),
+                y: room.y + Math.floor(room.height / 2)
+            };
+        }
+    }
+};
+
+export class MapGenerator {
+    constructor() {
+        this.cellSize = CONFIG.GRID_CELL_SIZE;
+        this.cols = 0;
+        this.rows = 0;
+        this.cells = null; // 1 = solid, 0 = open
+    }
+    
+    // Generate a map in the authored format (see data/maps/index.js); returns null for an unknown style
+    generate(styleName, seed, size = 'medium') {
+        const style = MapStyles[styleName];
+        
+        if (!style) {
+            console.error(`Map style "${styleName}" not found`);
+            return null;
+        }
+        
+        const rng = new SeededRandom(seed);
+        const dimensions = MAP_SIZES[size] || MAP_SIZES.medium;
+        
+        this.cols = Math.floor(dimensions.width / this.cellSize);
+        this.rows = Math.floor(dimensions.height / this.cellSize);
+        this.cells = new Uint8Array(this.cols * this.rows);
+        
+        style.layout(this, rng);
+        
+        // Open the player start and the edge spawn zones, then join everything up
+        const startCol = Math.floor(this.cols / 2);
+        const startRow = Math.floor(this.rows / 2);
+        this.fill(startCol - 2, startRow - 2, 4, 4, 0);
+        
+        for (const name in WAVES.zones) {
+            const zone = WAVES.zones[name];
+            if (zone.shape === 'rect') this.carveZone(zone);
+        }
+        
+        this.ensureConnected(startCol, startRow);
+        
+        const centerX = startCol * this.cellSize;
+        const centerY = startRow * this.cellSize;
+        
+        return {
+            id: `generated:${styleName}`,
+            name: `${style.name} #${rng.seed}`,
+            size: size,
+            seed: rng.seed,
+            width: this.cols * this.cellSize,
+            height: this.rows * this.cellSize,
+            background: style.background,
+            walls: this.buildWalls(style.wallColor),
+            playerSpawns: [
+                { x: centerX, y: centerY },
+                { x: centerX - 80, y: centerY },
+                { x: centerX + 80, y: centerY },
+                { x: centerX, y: centerY - 80 },
+                { x: centerX, y: centerY + 80 },
+                { x: centerX - 80, y: centerY - 80 },
+                { x: centerX + 80, y: centerY - 80 },
+                { x: centerX - 80, y: centerY + 80 }
+            ],
+            spawnZones: {},
+            decorations: []
+        };
+    }
+    
+    // Set a rectangle of cells, clipped to the grid
+    fill(x, y, width, height, value) {
+        const startX = Math.max(0, x);
+        const startY = Math.max(0, y);
+        const endX = Math.min(this.cols, x + width);
+        const endY = Math.min(this.rows, y + height);
+        
+        for (let row = startY; row < endY; row++) {
+            this.cells.fill(value, row * this.cols + startX, row * this.cols + endX);
+        }
+    }
+    
+    // Carve an L-shaped corridor between two cells
+    carveCorridor(fromX, fromY, toX, toY, horizontalFirst) {
+        const cornerX = horizontalFirst ? toX : fromX;
+        const cornerY = horizontalFirst ? fromY : toY;
+        
+        this.fill(Math.min(fromX, cornerX), Math.min(fromY, cornerY),
+            Math.abs(cornerX - fromX) + MIN_PASSAGE, Math.abs(cornerY - fromY) + MIN_PASSAGE, 0);
+        this.fill(Math.min(cornerX, toX), Math.min(cornerY, toY),
+            Math.abs(toX - cornerX) + MIN_PASSAGE, Math.abs(toY - cornerY) + MIN_PASSAGE, 0);
+    }
+    
+    // Open the cells under a wave spawn zone (given as world fractions)
+    carveZone(zone) {
+        const x = Math.floor(zone.x * this.cols);
+        const y = Math.floor(zone.y * this.rows);
+        const width = Math.max(MIN_PASSAGE, Math.ceil(zone.width * this.cols));
+        const height = Math.max(MIN_PASSAGE, Math.ceil(zone.height * this.rows));
+        
+        this.fill(Math.min(x, this.cols - width), Math.min(y, this.rows - height), width, height, 0);
+    }
+    
+    // Flood fill open cells from a start cell; returns a visited flag per cell
+    floodFill(startCol, startRow) {
+        const visited = new Uint8Array(this.cols * this.rows);
+        const stack = [startRow * this.cols + startCol];
+        visited[stack[0]] = 1;
+        
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const col = index % this.cols;
+            const row = Math.floor(index / this.cols);
+            const neighbors = [
+                col > 0 ? index - 1 : -1,
+                col < this.cols - 1 ? index + 1 : -1,
+                row > 0 ? index - this.cols : -1,
+                row < this.rows - 1 ? index + this.cols : -1
+            ];
+            
+            for (const neighbor of neighbors) {
+                if (neighbor !== -1 && !visited[neighbor] && this.cells[neighbor] === 0) {
+                    visited[neighbor] = 1;
+                    stack.push(neighbor);
+                }
+            }
+        }
+        
+        return visited;
+    }
+    
+    // Carve corridors from any open pocket the player can't reach to the nearest reachable cell
+    ensureConnected(startCol, startRow) {
+        while (true) {
+            const reached = this.floodFill(startCol, startRow);
+            const pocket = this.cells.findIndex((cell, index) => cell === 0 && !reached[index]);
+            if (pocket === -1) return;
+            
+            const pocketCol = pocket % this.cols;
+            const pocketRow = Math.floor(pocket / this.cols);
+            let nearest = -1;
+            let nearestDistance = Infinity;
+            
+            for (let index = 0; index < reached.length; index++) {
+                if (!reached[index]) continue;
+                
+                const distance = Math.abs(index % this.cols - pocketCol) +
+                    Math.abs(Math.floor(index / this.cols) - pocketRow);
+                
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = index;
+                }
+            }
+            
+            this.carveCorridor(pocketCol, pocketRow, nearest % this.cols, Math.floor(nearest / this.cols), true);
+        }
+    }
+    
+    // Merge solid cells into as few wall rectangles as possible (row runs, extended downwards)
+    buildWalls(color) {
+        const used = new Uint8Array(this.cols * this.rows);
+        const walls = [];
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const index = row * this.cols + col;
+                if (this.cells[index] === 0 || used[index]) continue;
+                
+                // Widest run of free solid cells on this row
+                let width = 0;
+                while (col + width < this.cols &&
+                    this.cells[index + width] === 1 && !used[index + width]) {
+                    width++;
+                }
+                
+                // Extend down while the whole run stays solid
+                let height = 1;
+                while (row + height < this.rows && this.isSolidRun(col, row + height, width, used)) {
+                    height++;
+                }
+                
+                for (let y = row; y < row + height; y++) {
+                    used.fill(1, y * this.cols + col, y * this.cols + col + width);
+                }
+                
+                walls.push({
+                    x: col * this.cellSize,
+                    y: row * this.cellSize,
+                    width: width * this.cellSize,
+                    height: height * this.cellSize,
+                    color: color
+                });
+            }
+        }
+        
+        return walls;
+    }
+    
+    // Check that a run of cells is solid and not yet part of a wall
+    isSolidRun(col, row, width, used) {
+        for (let x = col; x < col + width; x++) {
+            const index = row * this.cols + x;
+            if (this.cells[index] === 0 || used[index]) return false;
+        }
+        
+        return true;
+    }
+}
\ No newline at end of file
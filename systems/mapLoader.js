@@ -0,0 +1,205 @@
+// mapLoader.js - Loads authored maps for the single-player game and the multiplayer server
+
+import { MAPS, DEFAULT_MAP } from '../data/maps/index.js';
+import { MapGenerator, MapStyles } from './mapGenerator.js';
+import { SeededRandom } from '../utils/random.js';
+
+const BORDER_SIZE = 50; // Thickness of the walls enclosing every map
+const WALL_COLOR = '#555';
+const DECORATION_LAYERS = ['floor', 'overlay'];
+const DECORATION_SHAPES = ['rect', 'circle'];
+const GENERATED_PREFIX = 'generated:'; // Map ids like 'generated:city' name a MapStyles layout
+
+export const MapLoader = {
+    // List the bundled maps and generated map styles for menus
+    list() {
+        const bundled = Object.values(MAPS).map(map => ({
+            id: map.id,
+            name: map.name,
+            size: map.size
+        }));
+        
+        const generated = Object.keys(MapStyles).map(style => ({
+            id: GENERATED_PREFIX + style,
+            name: MapStyles[style].name,
+            size: 'medium'
+        }));
+        
+        return bundled.concat(generated);
+    },
+    
+    // Check if a map id names a generated map
+    isGenerated(id) {
+        return typeof id === 'string' && id.startsWith(GENERATED_PREFIX);
+    },
+    
+    // Check if a parsed map can be rebuilt from its id (and seed) alone: bundled or generated
+    isReproducible(map) {
+        return MAPS[map.id] === map.source || (this.isGenerated(map.id) && map.seed !== null);
+    },
+    
+    // Load a bundled map by id (falling back to the default map), or generate one from a seed
+    load(id, seed = null, size = 'medium') {
+        if (this.isGenerated(id)) {
+            const generator = new MapGenerator();
+            return this.parse(generator.generate(id.slice(GENERATED_PREFIX.length), SeededRandom.parseSeed(seed), size));
+        }
+        
+        if (id && !MAPS[id]) {
+            console.warn(`Unknown map "${id}", using ${DEFAULT_MAP}`);
+        }
+        
+        return this.parse(MAPS[id] || MAPS[DEFAULT_MAP]);
+    },
+    
+    // Load the map for a room: its chosen map, else the first bundled map of its mapSize
+    loadForRoom(settings) {
+        if (this.isGenerated(settings.map)) {
+            return this.load(settings.map, settings.seed, settings.mapSize);
+        }
+        
+        if (settings.map && MAPS[settings.map]) {
+            return this.load(settings.map);
+        }
+        
+        const sized = Object.values(MAPS).find(map => map.size === settings.mapSize);
+        return this.load(sized ? sized.id : DEFAULT_MAP);
+    },
+    
+    // Validate a map (JSON string or object) and normalize it; returns null if it is invalid
+    parse(source) {
+        let data = source;
+        
+        if (typeof source === 'string') {
+            try {
+                data = JSON.parse(source);
+            } catch (error) {
+                console.error('Failed to parse map JSON:', error);
+                return null;
+            }
+        }
+        
+        const error = this.validate(data);
+        if (error) {
+            console.error(`Invalid map "${data && data.name}": ${error}`);
+            return null;
+        }
+        
+        const decorations = { floor: [], overlay: [] };
+        for (const decoration of data.decorations || []) {
+            decorations[decoration.layer].push({ ...decoration });
+        }
+        
+        return {
+            id: data.id || data.name,
+            name: data.name,
+            size: data.size || 'medium',
+            width: data.width,
+            height: data.height,
+            background: data.background || null,
+            seed: data.seed !== undefined ? data.seed : null, // Set on generated maps
+            source: data, // Authored data it was parsed from (replays embed it for custom maps)
+            walls: data.walls.map(wall => ({
+                x: wall.x,
+                y: wall.y,
+                width: wall.width,
+                height: wall.height,
+                color: wall.color || WALL_COLOR
+            })),
+            playerSpawns: data.playerSpawns.map(spawn => ({ x: spawn.x, y: spawn.y })),
+            spawnZones: this.normalizeZones(data.spawnZones || {}, data.width, data.height),
+            decorations: decorations
+        };
+    },
+    
+    // Check a map's structure; returns an error message, or null if it is valid
+    validate(data) {
+        if (!data || typeof data !== 'object') return 'map is not an object';
+        if (typeof data.name !== 'string') return 'missing name';
+        if (!(data.width > 0) || !(data.height > 0)) return 'width and height must be positive';
+        if (!Array.isArray(data.walls)) return 'walls must be an array';
+        
+        for (const wall of data.walls) {
+            if (!this.isRect(wall)) return 'walls need numeric x, y, width and height';
+        }
+        
+        if (!Array.isArray(data.playerSpawns) || data.playerSpawns.length === 0) {
+            return 'at least one player spawn is required';
+        }
+        
+        for (const spawn of data.playerSpawns) {
+            if (!spawn || !(spawn.x >= 0 && spawn.x <= data.width && spawn.y >= 0 && spawn.y <= data.height)) {
+                return 'player spawns must be inside the map';
+            }
+        }
+        
+        for (const name in data.spawnZones || {}) {
+            const zone = data.spawnZones[name];
+            
+            if (zone.shape === 'ring') {
+                if (!(zone.distance > 0)) return `spawn zone "${name}" needs a distance`;
+            } else if (zone.shape === 'rect') {
+                if (!this.isRect(zone)) return `spawn zone "${name}" needs x, y, width and height`;
+            } else {
+                return `spawn zone "${name}" has unknown shape "${zone.shape}"`;
+            }
+        }
+        
+        for (const decoration of data.decorations || []) {
+            if (!DECORATION_LAYERS.includes(decoration.layer)) {
+                return `unknown decoration layer "${decoration.layer}"`;
+            }
+            if (!DECORATION_SHAPES.includes(decoration.shape)) {
+                return `unknown decoration shape "${decoration.shape}"`;
+            }
+        }
+        
+        return null;
+    },
+    
+    // Check for numeric x, y, width and height
+    isRect(obj) {
+        return obj !== null && typeof obj === 'object' &&
+            [obj.x, obj.y, obj.width, obj.height].every(value => typeof value === 'number');
+    },
+    
+    // Convert rect zones from world units to the fractions WaveDirector expects
+    normalizeZones(zones, width, height) {
+        const normalized = {};
+        
+        for (const name in zones) {
+            const zone = zones[name];
+            
+            normalized[name] = zone.shape === 'rect' ? {
+                shape: 'rect',
+                x: zone.x / width,
+                y: zone.y / height,
+                width: zone.width / width,
+                height: zone.height / height
+            } : { shape: 'ring', distance: zone.distance };
+        }
+        
+        return normalized;
+    },
+    
+    // Build the obstacle list for a map: border walls around the world plus its own walls
+    buildObstacles(map) {
+        const obstacles = [
+            { x: -BORDER_SIZE, y: -BORDER_SIZE, width: map.width + BORDER_SIZE * 2, height: BORDER_SIZE, color: WALL_COLOR }, // Top wall
+            { x: -BORDER_SIZE, y: map.height, width: map.width + BORDER_SIZE * 2, height: BORDER_SIZE, color: WALL_COLOR }, // Bottom wall
+            { x: -BORDER_SIZE, y: 0, width: BORDER_SIZE, height: map.height, color: WALL_COLOR }, // Left wall
+            { x: map.width, y: 0, width: BORDER_SIZE, height: map.height, color: WALL_COLOR } // Right wall
+        ];
+        
+        for (const wall of map.walls) {
+            obstacles.push({ ...wall });
+        }
+        
+        return obstacles;
+    },
+    
+    // Get a player's spawn point, cycling through the map's spawns
+    getPlayerSpawn(map, index = 0) {
+        return map.playerSpawns[index % map.playerSpawns.length];
+    }
+};
\ No newline at end of file
@@ -0,0 +1,224 @@
+// pathfinding.js - Navigation grid around obstacles and the binary heap used to search it
+
+export class NavGrid {
+    constructor(cellSize, worldWidth, worldHeight) {
+        this.cellSize = cellSize;
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.cols = Math.ceil(worldWidth / cellSize);
+        this.rows = Math.ceil(worldHeight / cellSize);
+        this.blocked = new Uint8Array(this.cols * this.rows);
+    }
+    
+    // Rebuild blocked cells from obstacles, inflated by padding so agents fit
+    build(obstacles, padding = 0) {
+        this.blocked.fill(0);
+        
+        for (const obstacle of obstacles) {
+            // Player structures are attacked, not avoided
+            if (obstacle.isStructure) continue;
+            
+            this.markRect(
+                obstacle.x - padding,
+                obstacle.y - padding,
+                obstacle.width + padding * 2,
+                obstacle.height + padding * 2,
+                1
+            );
+        }
+    }
+    
+    // Set all cells overlapped by a rectangle
+    markRect(x, y, width, height, value) {
+        const startCol = Math.max(0, Math.floor(x / this.cellSize));
+        const startRow = Math.max(0, Math.floor(y / this.cellSize));
+        const endCol = Math.min(this.cols - 1, Math.floor((x + width - 1) / this.cellSize));
+        const endRow = Math.min(this.rows - 1, Math.floor((y + height - 1) / this.cellSize));
+        
+        for (let row = startRow; row <= endRow; row++) {
+            for (let col = startCol; col <= endCol; col++) {
+                this.blocked[row * this.cols + col] = value;
+            }
+        }
+    }
+    
+    // Check if a cell is inside the grid and not blocked
+    isWalkable(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows &&
+            this.blocked[row * this.cols + col] === 0;
+    }
+    
+    // Convert world position to cell index
+    worldToCell(x, y) {
+        return {
+            col: Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize))),
+            row: Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)))
+        };
+    }
+    
+    // Get the world position of a cell's center
+    cellToWorld(col, row) {
+        return {
+            x: (col + 0.5) * this.cellSize,
+            y: (row + 0.5) * this.cellSize
+        };
+    }
+    
+    // Find the closest walkable cell by searching outward in rings
+    findNearestWalkable(col, row, maxRadius = 5) {
+        if (this.isWalkable(col, row)) return { col, row };
+        
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    // Only check the ring's border
+                    if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
+                    
+                    if (this.isWalkable(col + dx, row + dy)) {
+                        return { col: col + dx, row: row + dy };
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    // Find the walkable cell whose center is closest to a world point, within maxRadius cells
+    findClosestWalkable(x, y, maxRadius = 2) {
+        const cell = this.worldToCell(x, y);
+        let closest = null;
+        let closestDistSq = Infinity;
+        
+        for (let row = cell.row - maxRadius; row <= cell.row + maxRadius; row++) {
+            for (let col = cell.col - maxRadius; col <= cell.col + maxRadius; col++) {
+                if (!this.isWalkable(col, row)) continue;
+                
+                const center = this.cellToWorld(col, row);
+                const distSq = (center.x - x) ** 2 + (center.y - y) ** 2;
+                
+                if (distSq < closestDistSq) {
+                    closestDistSq = distSq;
+                    closest = { col, row };
+                }
+            }
+        }
+        
+        return closest;
+    }
+    
+    // Check that a straight line between two world points crosses no blocked cells. Walks every
+    // cell the line passes through (a grid traversal), so corners the line clips aren't skipped.
+    hasClearLine(startX, startY, endX, endY) {
+        const size = this.cellSize;
+        const dx = endX - startX;
+        const dy = endY - startY;
+        const stepCol = Math.sign(dx);
+        const stepRow = Math.sign(dy);
+        
+        let col = Math.floor(startX / size);
+        let row = Math.floor(startY / size);
+        const endCol = Math.floor(endX / size);
+        const endRow = Math.floor(endY / size);
+        
+        // Fraction of the line to the next column and row border, and between borders
+        let nextX = dx > 0 ? ((col + 1) * size - startX) / dx : dx < 0 ? (col * size - startX) / dx : Infinity;
+        let nextY = dy > 0 ? ((row + 1) * size - startY) / dy : dy < 0 ? (row * size - startY) / dy : Infinity;
+        const deltaX = dx !== 0 ? size / Math.abs(dx) : Infinity;
+        const deltaY = dy !== 0 ? size / Math.abs(dy) : Infinity;
+        
+        if (!this.isWalkable(col, row)) return false;
+        
+        const steps = Math.abs(endCol - col) + Math.abs(endRow - row);
+        
+        for (let i = 0; i < steps && (col !== endCol || row !== endRow); i++) {
+            if (nextX < nextY) {
+                col += stepCol;
+                nextX += deltaX;
+            } else if (nextY < nextX) {
+                row += stepRow;
+                nextY += deltaY;
+            } else {
+                // Passing exactly through a corner touches the cells on both sides of it
+                if (!this.isWalkable(col + stepCol, row) || !this.isWalkable(col, row + stepRow)) {
+                    return false;
+                }
+                
+                col += stepCol;
+                row += stepRow;
+                nextX += deltaX;
+                nextY += deltaY;
+                i++;
+            }
+            
+            if (!this.isWalkable(col, row)) return false;
+        }
+        
+        return true;
+    }
+}
+
+// Min-heap of cell indices keyed by priority
+export class BinaryHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+        this.size = 0;
+    }
+    
+    // Remove all entries
+    clear() {
+        this.size = 0;
+    }
+    
+    // Add an item with a priority
+    push(item, priority) {
+        let index = this.size++;
+        this.items[index] = item;
+        this.priorities[index] = priority;
+        
+        // Sift up
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            if (this.priorities[parentIndex] <= priority) break;
+            
+            this.items[index] = this.items[parentIndex];
+            this.priorities[index] = this.priorities[parentIndex];
+            index = parentIndex;
+        }
+        
+        this.items[index] = item;
+        this.priorities[index] = priority;
+    }
+    
+    // Remove and return the lowest-priority item
+    pop() {
+        const top = this.items[0];
+        this.size--;
+        
+        if (this.size > 0) {
+            const item = this.items[this.size];
+            const priority = this.priorities[this.size];
+            let index = 0;
+            
+            // Sift down
+            while (true) {
+                const left = index * 2 + 1;
+                if (left >= this.size) break;
+                
+                const right = left + 1;
+                const child = right < this.size && this.priorities[right] < this.priorities[left] ? right : left;
+                if (this.priorities[child] >= priority) break;
+                
+                this.items[index] = this.items[child];
+                this.priorities[index] = this.priorities[child];
+                index = child;
+            }
+            
+            this.items[index] = item;
+            this.priorities[index] = priority;
+        }
+        
+        return top;
+    }
+}
\ No newline at end of file
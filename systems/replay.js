@@ -0,0 +1,271 @@
+// replay.js - Records runs as seed, map and per-tick input, and plays them back through the normal game loop
+
+import { InputManager } from '../engine/input.js';
+import { MapLoader } from './mapLoader.js';
+
+export const REPLAY_VERSION = 1;
+
+// A replay holds everything needed to re-simulate a run (see BoxheadGame.update):
+//   seed, map, mapSeed, mapSize - the run seed and map; mapData embeds maps that aren't bundled or generated
+//   frames   - [tick, heldKeys, pendingKeyPresses, mouseX, mouseY, shooting (0/1), wheelDelta],
+//              stored only on ticks where the input changed since the end of the previous step
+//   upgrades - [tick, upgradeType] picked on the level-up screen, applied before that tick's step
+//   view     - camera size, which decides where the mouse points in the world
+//   ticks    - number of simulation steps in the run
+export class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.replay = null;
+        this.lastState = null; // Input state left after the last step, to skip unchanged ticks
+    }
+    
+    // Start recording a run that has just been set up
+    start(game) {
+        this.recording = true;
+        this.lastState = null;
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: game.seed,
+            map: game.map.id,
+            mapSeed: game.map.seed,
+            mapSize: game.map.size,
+            mapData: MapLoader.isReproducible(game.map) ? null : JSON.parse(JSON.stringify(game.map.source)),
+            view: { width: game.camera.width, height: game.camera.height }, // Camera size affects aiming
+            frames: [],
+            upgrades: [],
+            ticks: 0,
+            score: 0,
+            wave: 1,
+            date: Date.now()
+        };
+    }
+    
+    // Record the input the simulation is about to step with, if anything changed since the
+    // last step (playback consumes key presses and wheel steps the same way, so it stays in sync)
+    capture(tick, input) {
+        if (!this.recording) return;
+        
+        const frame = this.encode(input);
+        if (JSON.stringify(frame) !== this.lastState) {
+            this.replay.frames.push([tick, ...frame]);
+        }
+        
+        this.replay.ticks = tick + 1;
+    }
+    
+    // Remember the input left after a step (presses and wheel steps consumed)
+    endStep(input) {
+        if (!this.recording) return;
+        
+        this.lastState = JSON.stringify(this.encode(input));
+    }
+    
+    // Encode an input state as a frame without its tick
+    encode(input) {
+        const state = input.getInputState();
+        
+        return [
+            state.keys,
+            state.keyPresses,
+            state.mouseX,
+            state.mouseY,
+            state.isShooting ? 1 : 0,
+            state.wheelDelta
+        ];
+    }
+    
+    // Record an upgrade picked between steps
+    recordUpgrade(tick, upgradeType) {
+        if (!this.recording) return;
+        
+        this.replay.upgrades.push([tick, upgradeType]);
+    }
+    
+    // Stop recording; returns the finished replay, or null if nothing was being recorded
+    finish(score, wave) {
+        if (!this.recording) return null;
+        
+        this.recording = false;
+        this.replay.score = score;
+        this.replay.wave = wave;
+        
+        return this.replay;
+    }
+    
+    // Stop recording without keeping the replay (multiplayer, continued saves)
+    cancel() {
+        this.recording = false;
+        this.replay = null;
+    }
+}
+
+export class ReplayPlayer {
+    constructor(game) {
+        this.game = game;
+        this.replay = null;
+        this.playing = false;
+        this.paused = false;
+        this.finished = false;
+        this.speed = 1;
+        
+        // Fed from the replay's frames; never attached to the DOM
+        this.input = new InputManager();
+        this.savedView = null; // Camera size to restore after playback
+        this.frameIndex = 0;
+        this.upgradeIndex = 0;
+    }
+    
+    // Parse and check a replay (JSON string or object); returns null if it is invalid
+    static parse(source) {
+        let data = source;
+        
+        if (typeof source === 'string') {
+            try {
+                data = JSON.parse(source);
+            } catch (error) {
+                console.error('Failed to parse replay JSON:', error);
+                return null;
+            }
+        }
+        
+        if (!data || data.version !== REPLAY_VERSION) {
+            console.error(`Unsupported replay version: ${data && data.version}`);
+            return null;
+        }
+        
+        if (typeof data.seed !== 'number' || !Array.isArray(data.frames) ||
+            !Array.isArray(data.upgrades) || !(data.ticks >= 0) || !data.view) {
+            console.error('Invalid replay data');
+            return null;
+        }
+        
+        return data;
+    }
+    
+    // Start playing a parsed replay from the beginning
+    play(replay) {
+        this.replay = replay;
+        this.playing = true;
+        this.paused = false;
+        this.setSpeed(1);
+        
+        // Play back with the recorded camera size so the mouse aims at the same spots
+        const camera = this.game.camera;
+        this.savedView = { width: camera.width, height: camera.height };
+        camera.width = replay.view.width;
+        camera.height = replay.view.height;
+        
+        this.restart();
+    }
+    
+    // Rebuild the recorded run at tick 0
+    restart() {
+        const replay = this.replay;
+        const map = replay.mapData ?
+            MapLoader.parse(replay.mapData) :
+            MapLoader.load(replay.map, replay.mapSeed, replay.mapSize);
+        
+        this.input.reset();
+        this.frameIndex = 0;
+        this.upgradeIndex = 0;
+        this.finished = false;
+        
+        this.game.initGame(map, replay.seed);
+    }
+    
+    // Leave playback
+    stop() {
+        this.playing = false;
+        this.replay = null;
+        this.setSpeed(1);
+        
+        this.game.camera.width = this.savedView.width;
+        this.game.camera.height = this.savedView.height;
+    }
+    
+    // Prepare the next step: apply recorded upgrades and input. Returns false if the
+    // simulation should not step (paused or at the end of the replay).
+    beforeStep(tick) {
+        if (this.paused || this.finished) return false;
+        
+        if (tick >= this.replay.ticks) {
+            this.finish();
+            return false;
+        }
+        
+        const upgrades = this.replay.upgrades;
+        while (this.upgradeIndex < upgrades.length && upgrades[this.upgradeIndex][0] <= tick) {
+            this.game.applyUpgrade(upgrades[this.upgradeIndex][1]);
+            this.upgradeIndex++;
+        }
+        
+        const frame = this.replay.frames[this.frameIndex];
+        if (frame && frame[0] === tick) {
+            this.input.setInputState({
+                keys: frame[1],
+                keyPresses: frame[2],
+                mouseX: frame[3],
+                mouseY: frame[4],
+                isShooting: frame[5] === 1,
+                wheelDelta: frame[6]
+            });
+            this.frameIndex++;
+        }
+        
+        return true;
+    }
+    
+    // Stop at the end of the replay; it can still be scrubbed back
+    finish() {
+        this.finished = true;
+        this.paused = true;
+    }
+    
+    // Pause or resume playback
+    togglePause() {
+        if (this.finished) {
+            this.restart();
+            this.paused = false;
+            return;
+        }
+        
+        this.paused = !this.paused;
+    }
+    
+    // Set the playback speed multiplier
+    setSpeed(speed) {
+        this.speed = speed;
+        this.game.gameLoop.timeScale = speed;
+    }
+    
+    // Jump to a tick by re-simulating (from the start when going backwards)
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.replay.ticks, Math.floor(tick)));
+        const wasPaused = this.paused && !this.finished;
+        
+        if (target < this.game.clock.tick || this.finished) {
+            this.restart();
+        }
+        
+        // Step silently without drawing until the target is reached
+        const muted = this.game.audio.muted;
+        const step = this.game.gameLoop.timeStep / 1000;
+        this.game.audio.muted = true;
+        this.paused = false;
+        
+        while (this.game.clock.tick < target && this.game.gameRunning && !this.finished) {
+            this.game.update(step);
+        }
+        
+        this.game.audio.muted = muted;
+        this.paused = wasPaused || this.finished;
+    }
+    
+    // Get the current tick and total ticks
+    getProgress() {
+        return {
+            tick: this.game.clock.tick,
+            ticks: this.replay ? this.replay.ticks : 0
+        };
+    }
+}
\ No newline at end of file
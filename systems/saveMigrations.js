@@ -0,0 +1,103 @@
+// saveMigrations.js - Upgrades saves from older schema versions one step at a time
+
+import { CONFIG } from '../config.js';
+import { SeededRandom } from '../utils/random.js';
+
+export const SAVE_VERSION = 4;
+
+// SaveMigrations[n] upgrades a version n save to version n + 1, in place. Saves from before
+// versioning count as version 0 and can come from any earlier format, so each step only fills
+// in what is missing.
+export const SaveMigrations = [
+    // 0 -> 1: per-weapon magazine and reserve ammo instead of a single ammo count
+    data => {
+        const player = data.player;
+        if (!player) return;
+        
+        if (!player.inventory) {
+            // The first saves only had the equipped weapon's ammo
+            player.inventory = {};
+            if (player.weapon !== 'Pistol' && CONFIG.WEAPONS[player.weapon]) {
+                player.inventory[player.weapon] = splitAmmo(player.weapon, player.ammo || 0);
+            }
+        }
+        
+        for (const weaponName in player.inventory) {
+            const saved = player.inventory[weaponName];
+            
+            // Then a single ammo count per owned weapon
+            if (typeof saved === 'number' && CONFIG.WEAPONS[weaponName]) {
+                player.inventory[weaponName] = splitAmmo(weaponName, saved);
+            }
+        }
+        
+        delete player.ammo;
+    },
+    
+    // 1 -> 2: a run seed of its own; older saves fall back to the map seed, or a fresh one
+    data => {
+        if (data.seed === undefined) {
+            data.seed = SeededRandom.parseSeed(data.mapSeed);
+        }
+    },
+    
+    // 2 -> 3: player-built structures
+    data => {
+        if (!Array.isArray(data.structures)) {
+            data.structures = [];
+        }
+    },
+    
+    // 3 -> 4: timers on the simulation clock, and the world state. Without a saved world the
+    // wave restarts around the player.
+    data => {
+        const player = data.player;
+        
+        if (player && player.speedBoostRemaining === undefined) {
+            // Boosts used to count down in frames at 60 FPS
+            player.speedBoostRemaining = (player.speedBoostDuration || 0) * 1000 / 60;
+            delete player.speedBoostDuration;
+        }
+        
+        if (player && player.speedBoost === undefined) {
+            player.speedBoost = 0;
+        }
+        
+        if (data.clock === undefined) data.clock = null;
+        if (data.world === undefined) data.world = null;
+    }
+];
+
+// Upgrade a save to SAVE_VERSION in place; returns an error message, or null on success
+export function migrateSave(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'The save is not an object.';
+    }
+    
+    const version = data.version === undefined ? 0 : data.version;
+    
+    if (!Number.isInteger(version) || version < 0) {
+        return 'The save version must be a whole number.';
+    }
+    if (version > SAVE_VERSION) {
+        return `The save is from a newer version of the game (version ${version}; this game reads up to version ${SAVE_VERSION}).`;
+    }
+    
+    for (let step = version; step < SAVE_VERSION; step++) {
+        SaveMigrations[step](data);
+    }
+    
+    data.version = SAVE_VERSION;
+    return null;
+}
+
+// Convert a single ammo count into a loaded magazine plus reserve
+function splitAmmo(weaponName, ammo) {
+    const weaponData = CONFIG.WEAPONS[weaponName];
+    const magazine = Math.min(weaponData.magazineSize, ammo);
+    
+    return {
+        magazine: magazine,
+        reserve: Math.min(weaponData.maxReserve, ammo - magazine)
+    };
+}
\ No newline at end of file
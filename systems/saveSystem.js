@@ -1,22 +1,196 @@
 // saveSystem.js - Game state persistence
 
+import { CONFIG } from '../config.js';
+import { SeededRandom } from '../utils/random.js';
+import { MapLoader } from './mapLoader.js';
+import { SAVE_VERSION, migrateSave } from './saveMigrations.js';
+
+// Save slots: the autosave is written when a wave is cleared, the others from the pause menu
+export const AUTOSAVE_SLOT = 'autosave';
+export const SAVE_SLOTS = {
+    autosave: 'Autosave',
+    slot1: 'Slot 1',
+    slot2: 'Slot 2',
+    slot3: 'Slot 3'
+};
+
+// Fields a save must have once migrated, by path, with the type of each. Parents come before
+// their fields, so a missing section is reported once rather than once per field. The player's
+// multipliers aren't required; they are worked out again from the upgrades.
+const SAVE_SCHEMA = {
+    'score': 'number',
+    'currentWave': 'number',
+    'seed': 'number',
+    'structures': 'array',
+    'player': 'object',
+    'player.x': 'number',
+    'player.y': 'number',
+    'player.health': 'number',
+    'player.maxHealth': 'number',
+    'player.weapon': 'string',
+    'player.inventory': 'object',
+    'player.speedBoost': 'number',
+    'player.speedBoostRemaining': 'number',
+    'playerStats': 'object',
+    'playerStats.level': 'number',
+    'playerStats.xp': 'number',
+    'playerStats.xpToNextLevel': 'number',
+    'playerStats.availableUpgradePoints': 'number',
+    'playerStats.upgrades': 'object'
+};
+
+// Sections that are null in saves from before they were stored
+const CLOCK_SCHEMA = {
+    'clock': 'object',
+    'clock.time': 'number',
+    'clock.tick': 'number'
+};
+
+const WORLD_SCHEMA = {
+    'world': 'object',
+    'world.obstacles': 'array',
+    'world.enemies': 'array',
+    'world.telegraphs': 'array',
+    'world.powerups': 'array',
+    'world.enemiesRemaining': 'number',
+    'world.waveDirector': 'object',
+    'world.waveDirector.queue': 'array',
+    'world.waveDirector.elapsed': 'number',
+    'world.waveDirector.nextWaveTimer': 'number',
+    'world.camera': 'object',
+    'world.camera.x': 'number',
+    'world.camera.y': 'number',
+    'world.lastEntityId': 'number'
+};
+
+// Fields restoreWorld reads from every entry of the world's lists, by list
+const WORLD_ENTRY_SCHEMAS = {
+    'world.obstacles': { x: 'number', y: 'number', width: 'number', height: 'number' },
+    'world.enemies': { type: 'string', x: 'number', y: 'number', health: 'number', aiState: 'string' },
+    'world.telegraphs': { x: 'number', y: 'number', radius: 'number', damage: 'number', triggerTime: 'number' },
+    'world.powerups': { type: 'string', x: 'number', y: 'number', expireTime: 'number' },
+    'world.waveDirector.queue': { time: 'number' }
+};
+
+const TYPE_NAMES = {
+    number: 'a number',
+    string: 'text',
+    object: 'an object',
+    array: 'a list'
+};
+
 export class SaveSystem {
     constructor() {
-        this.saveKey = 'boxhead_game_save';
+        this.slotPrefix = 'boxhead_save_'; // Followed by the slot id
+        this.indexKey = 'boxhead_save_slots'; // Slot details for the menus, without loading every save
+        this.legacyKey = 'boxhead_game_save'; // The single save from before slots
+        this.replayKey = 'boxhead_best_replay';
+        this.migrated = false;
+        this.pendingWorld = null; // World state from the last load, see takeWorld
+        this.lastError = null; // Why the last load failed, one problem per line
     }
     
-    // Check if a save exists
+    // Check if any slot holds a save
     hasSave() {
-        return localStorage.getItem(this.saveKey) !== null;
+        return this.getSlots().some(slot => slot.saved);
+    }
+    
+    // List every slot with its details: name, wave, score, level and timestamp once saved
+    getSlots() {
+        this.migrateLegacySave();
+        const index = this.readIndex();
+        
+        return Object.keys(SAVE_SLOTS).map(slot => ({
+            slot: slot,
+            saved: index[slot] !== undefined,
+            name: SAVE_SLOTS[slot],
+            ...index[slot]
+        }));
+    }
+    
+    // Read the slot details, keyed by slot id
+    readIndex() {
+        try {
+            return JSON.parse(localStorage.getItem(this.indexKey)) || {};
+        } catch (error) {
+            console.error('Failed to read save slots:', error);
+            return {};
+        }
+    }
+    
+    // Store a save in a slot and update its details; returns true on success
+    writeSlot(slot, saveData, name = null) {
+        const index = this.readIndex();
+        const previous = index[slot];
+        
+        index[slot] = {
+            name: name || (previous && previous.name) || SAVE_SLOTS[slot],
+            wave: saveData.currentWave,
+            score: saveData.score,
+            level: saveData.playerStats.level,
+            map: saveData.map || null,
+            timestamp: saveData.timestamp || Date.now()
+        };
+        
+        try {
+            localStorage.setItem(this.slotPrefix + slot, JSON.stringify(saveData));
+            localStorage.setItem(this.indexKey, JSON.stringify(index));
+            return true;
+        } catch (error) {
+            console.error(`Failed to write save slot "${slot}":`, error);
+            return false;
+        }
     }
     
-    // Save game state
-    save(game) {
+    // Move the single save from before slots into the autosave slot (it was only ever an autosave)
+    migrateLegacySave() {
+        if (this.migrated) return;
+        this.migrated = true;
+        
+        const legacyString = localStorage.getItem(this.legacyKey);
+        if (!legacyString) return;
+        
+        try {
+            const saveData = JSON.parse(legacyString);
+            const errors = this.checkSaveData(saveData);
+            
+            if (errors.length > 0) {
+                console.error(`Old save could not be kept:\n${errors.join('\n')}`);
+            } else if (!this.readIndex()[AUTOSAVE_SLOT]) {
+                this.writeSlot(AUTOSAVE_SLOT, saveData);
+                console.log('Old save moved to the autosave slot');
+            }
+        } catch (error) {
+            console.error('Failed to migrate old save:', error);
+        }
+        
+        localStorage.removeItem(this.legacyKey);
+    }
+    
+    // Save game state to a slot; manual slots can be given a name
+    save(game, slot = AUTOSAVE_SLOT, name = null) {
+        // Watching a replay never overwrites the player's save
+        if (game.replayPlayer && game.replayPlayer.playing) return false;
+        
+        if (!SAVE_SLOTS[slot]) {
+            console.error(`Save slot "${slot}" not found`);
+            return false;
+        }
+        
         // Create save data object with all necessary game state
         const saveData = {
+            version: SAVE_VERSION,
+            
             // Game state
             score: game.score,
             currentWave: game.currentWave,
+            map: game.map.id,
+            mapSeed: game.map.seed,
+            mapSize: game.map.size,
+            mapData: MapLoader.isReproducible(game.map) ? null : game.map.source, // Custom maps are embedded
+            seed: game.seed,
+            rngState: game.rng.state,
+            clock: { time: game.clock.time, tick: game.clock.tick }, // Every saved timer is on this clock
             
             // Player state
             player: {
@@ -25,9 +199,9 @@ export class SaveSystem {
                 health: game.player.health,
                 maxHealth: game.player.maxHealth,
                 weapon: game.player.weapon,
-                ammo: game.player.ammo,
+                inventory: { ...game.player.inventory },
                 speedBoost: game.player.speedBoost,
-                speedBoostDuration: game.player.speedBoostDuration,
+                speedBoostRemaining: game.player.getSpeedBoostRemaining(),
                 damageMultiplier: game.player.damageMultiplier,
                 fireRateMultiplier: game.player.fireRateMultiplier
             },
@@ -41,35 +215,62 @@ export class SaveSystem {
                 upgrades: { ...game.playerStats.upgrades }
             },
             
+            // Player-built structures
+            structures: game.structureManager.serialize(),
+            
+            // Everything else in the world, put back by restoreWorld
+            world: {
+                obstacles: game.enemyManager.obstacles
+                    .filter(obstacle => !obstacle.isStructure)
+                    .map(obstacle => ({
+                        x: obstacle.x,
+                        y: obstacle.y,
+                        width: obstacle.width,
+                        height: obstacle.height,
+                        color: obstacle.color
+                    })),
+                enemies: game.enemyManager.serialize(),
+                telegraphs: game.enemyManager.telegraphs.map(telegraph => ({ ...telegraph })),
+                powerups: game.powerupManager.serialize(),
+                enemiesRemaining: game.enemiesRemaining,
+                waveDirector: game.waveDirector.serialize(),
+                camera: { x: game.camera.x, y: game.camera.y },
+                lastEntityId: game.lastEntityId
+            },
+            
             // Timestamp
             timestamp: Date.now()
         };
         
-        try {
-            localStorage.setItem(this.saveKey, JSON.stringify(saveData));
-            console.log('Game saved successfully');
-            return true;
-        } catch (error) {
-            console.error('Failed to save game:', error);
-            return false;
-        }
+        if (!this.writeSlot(slot, saveData, name)) return false;
+        
+        console.log(`Game saved to ${slot}`);
+        return true;
     }
     
-    // Load game state
-    load(game) {
+    // Load game state from a slot; on failure lastError says why
+    load(game, slot = AUTOSAVE_SLOT) {
+        this.migrateLegacySave();
+        this.lastError = null;
+        
         try {
-            const saveDataString = localStorage.getItem(this.saveKey);
+            const saveDataString = localStorage.getItem(this.slotPrefix + slot);
             
             if (!saveDataString) {
-                console.warn('No save data found');
+                this.lastError = 'There is no save in this slot.';
                 return false;
             }
             
-            const saveData = JSON.parse(saveDataString);
+            const saveData = this.parseSaveData(saveDataString);
+            if (!saveData) {
+                this.lastError = 'The save is not valid JSON.';
+                return false;
+            }
             
-            // Validate save data format
-            if (!this.validateSaveData(saveData)) {
-                console.error('Invalid save data format');
+            // Bring older saves up to date, then check every field
+            const errors = this.checkSaveData(saveData);
+            if (errors.length > 0) {
+                this.lastError = errors.join('\n');
                 return false;
             }
             
@@ -77,15 +278,34 @@ export class SaveSystem {
             game.score = saveData.score;
             game.currentWave = saveData.currentWave;
             
+            // Custom maps are embedded; saves from before authored maps load the default map
+            const map = saveData.mapData ?
+                MapLoader.parse(saveData.mapData) :
+                MapLoader.load(saveData.map, saveData.mapSeed, saveData.mapSize);
+            game.setMap(map || MapLoader.load(null));
+            
+            // Keep the run's seed and where its random sequence had got to
+            game.seed = saveData.seed;
+            game.rng = new SeededRandom(game.seed);
+            if (saveData.rngState !== undefined) {
+                game.rng.state = saveData.rngState;
+            }
+            
+            // Resume the simulation clock, so saved timers stay where they were
+            if (saveData.clock) {
+                game.clock.time = saveData.clock.time;
+                game.clock.tick = saveData.clock.tick;
+            } else {
+                game.clock.reset();
+            }
+            
             // Load player state
             game.player.x = saveData.player.x;
             game.player.y = saveData.player.y;
             game.player.health = saveData.player.health;
             game.player.maxHealth = saveData.player.maxHealth;
-            game.player.weapon = saveData.player.weapon;
-            game.player.ammo = saveData.player.ammo;
-            game.player.speedBoost = saveData.player.speedBoost;
-            game.player.speedBoostDuration = saveData.player.speedBoostDuration;
+            this.loadInventory(game.player, saveData.player);
+            game.player.applySpeedBoost(saveData.player.speedBoost, saveData.player.speedBoostRemaining);
             game.player.damageMultiplier = saveData.player.damageMultiplier;
             game.player.fireRateMultiplier = saveData.player.fireRateMultiplier;
             
@@ -103,18 +323,68 @@ export class SaveSystem {
             // Apply upgrades to player
             game.applyPlayerUpgrades();
             
+            // Structures are placed once the map has been rebuilt
+            game.structureManager.queueRestore(saveData.structures);
+            
+            // The rest of the world is put back by restoreWorld once the game has been cleared
+            this.pendingWorld = saveData.world;
+            
             console.log('Game loaded successfully');
             return true;
         } catch (error) {
             console.error('Failed to load game:', error);
+            this.lastError = 'The save could not be loaded.';
             return false;
         }
     }
     
-    // Delete save
-    deleteSave() {
+    // Take the world state kept by the last load; null for saves from before it was stored
+    takeWorld() {
+        const world = this.pendingWorld;
+        this.pendingWorld = null;
+        return world;
+    }
+    
+    // Put back a saved world's enemies, telegraphs, powerups, wave progress and camera
+    // (the obstacles are created from world.obstacles by the game beforehand)
+    restoreWorld(game, world) {
+        game.enemyManager.restore(world.enemies);
+        game.enemyManager.telegraphs.push(...world.telegraphs.map(telegraph => ({ ...telegraph })));
+        game.powerupManager.restore(world.powerups);
+        game.waveDirector.restore(world.waveDirector);
+        game.enemiesRemaining = world.enemiesRemaining;
+        game.lastEntityId = Math.max(game.lastEntityId, world.lastEntityId);
+        
+        game.camera.x = world.camera.x;
+        game.camera.y = world.camera.y;
+    }
+    
+    // Restore the weapon inventory; weapons that no longer exist are dropped
+    loadInventory(player, savedPlayer) {
+        player.inventory = player.createInventory();
+        player.reloading = false;
+        
+        for (const weaponName in savedPlayer.inventory) {
+            if (weaponName === 'Pistol' || !CONFIG.WEAPONS[weaponName]) continue;
+            
+            const saved = savedPlayer.inventory[weaponName];
+            player.inventory[weaponName] = {
+                magazine: saved.magazine,
+                reserve: saved.reserve
+            };
+        }
+        
+        player.weapon = player.hasWeapon(savedPlayer.weapon) ? savedPlayer.weapon : 'Pistol';
+    }
+    
+    // Delete the save in a slot
+    deleteSave(slot = AUTOSAVE_SLOT) {
         try {
-            localStorage.removeItem(this.saveKey);
+            const index = this.readIndex();
+            delete index[slot];
+            
+            localStorage.removeItem(this.slotPrefix + slot);
+            localStorage.setItem(this.indexKey, JSON.stringify(index));
             console.log('Save deleted successfully');
             return true;
         } catch (error) {
@@ -123,41 +393,120 @@ export class SaveSystem {
         }
     }
     
-    // Validate save data format
+    // Parse a save's JSON; returns null if it isn't JSON
+    parseSaveData(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Upgrade parsed save data to the current version in place and validate it; returns a list
+    // of problems, empty if the save can be loaded
+    checkSaveData(saveData) {
+        const error = migrateSave(saveData);
+        return error ? [error] : this.validateSaveData(saveData);
+    }
+    
+    // Validate a current-version save; returns a message for every field that is wrong
     validateSaveData(saveData) {
-        // Check if save data has required properties
-        if (!saveData.score || !saveData.currentWave || 
-            !saveData.player || !saveData.playerStats) {
-            return false;
+        const errors = this.checkFields(saveData, SAVE_SCHEMA);
+        const player = saveData.player;
+        
+        if (saveData.currentWave < 1) errors.push('currentWave must be at least 1');
+        if (player && player.maxHealth <= 0) errors.push('player.maxHealth must be above 0');
+        
+        if (player && this.isType(player.inventory, 'object')) {
+            // The pistol's ammo is unlimited and weapons that no longer exist are dropped on load,
+            // so only the other known weapons are checked
+            for (const weaponName in player.inventory) {
+                if (weaponName === 'Pistol' || !CONFIG.WEAPONS[weaponName]) continue;
+                
+                const path = `player.inventory.${weaponName}`;
+                errors.push(...this.checkFields(saveData, {
+                    [path]: 'object',
+                    [`${path}.magazine`]: 'number',
+                    [`${path}.reserve`]: 'number'
+                }));
+            }
         }
         
-        // Check player data
-        const player = saveData.player;
-        if (player.x === undefined || player.y === undefined || 
-            player.health === undefined || player.maxHealth === undefined || 
-            player.weapon === undefined) {
-            return false;
+        if (saveData.clock !== null) errors.push(...this.checkFields(saveData, CLOCK_SCHEMA));
+        if (saveData.world !== null) {
+            errors.push(...this.checkFields(saveData, WORLD_SCHEMA));
+            
+            for (const listPath in WORLD_ENTRY_SCHEMAS) {
+                errors.push(...this.checkEntries(saveData, listPath, WORLD_ENTRY_SCHEMAS[listPath]));
+            }
         }
         
-        // Check player stats
-        const stats = saveData.playerStats;
-        if (stats.level === undefined || stats.xp === undefined || 
-            stats.xpToNextLevel === undefined || !stats.upgrades) {
-            return false;
+        return errors;
+    }
+    
+    // Check fields against a schema of paths and types; fields of a section that is already
+    // wrong are skipped
+    checkFields(data, schema) {
+        const errors = [];
+        const invalid = new Set();
+        
+        for (const path in schema) {
+            const parent = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : null;
+            if (invalid.has(parent)) {
+                invalid.add(path);
+                continue;
+            }
+            
+            const value = path.split('.').reduce((obj, key) => obj[key], data);
+            if (this.isType(value, schema[path])) continue;
+            
+            invalid.add(path);
+            errors.push(value === undefined ? `${path} is missing` : `${path} must be ${TYPE_NAMES[schema[path]]}`);
         }
         
-        return true;
+        return errors;
+    }
+    
+    // Check every entry of a list against the same fields; a list that isn't there has already
+    // been reported by its schema
+    checkEntries(data, listPath, fields) {
+        const list = listPath.split('.').reduce((obj, key) => this.isType(obj, 'object') ? obj[key] : undefined, data);
+        const errors = [];
+        if (!Array.isArray(list)) return errors;
+        
+        list.forEach((entry, i) => {
+            const path = `${listPath}.${i}`;
+            const schema = { [path]: 'object' };
+            for (const field in fields) {
+                schema[`${path}.${field}`] = fields[field];
+            }
+            
+            errors.push(...this.checkFields(data, schema));
+        });
+        
+        return errors;
+    }
+    
+    // Check a value against a schema type
+    isType(value, type) {
+        switch (type) {
+            case 'number': return Number.isFinite(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return typeof value === type;
+        }
     }
     
-    // Export save as file
-    exportSave() {
-        if (!this.hasSave()) {
+    // Export a slot's save as a file
+    exportSave(slot = AUTOSAVE_SLOT) {
+        const saveData = localStorage.getItem(this.slotPrefix + slot);
+        
+        if (!saveData) {
             console.warn('No save data to export');
             return false;
         }
         
         try {
-            const saveData = localStorage.getItem(this.saveKey);
             const blob = new Blob([saveData], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
             
@@ -181,37 +530,68 @@ export class SaveSystem {
         }
     }
     
-    // Import save from file
-    importSave(file) {
+    // Import a save file into a slot, upgraded to the current version. Rejects with an error
+    // whose message lists the problems, one per line, for showing to the player.
+    importSave(file, slot = AUTOSAVE_SLOT, name = null) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (event) => {
-                try {
-                    const saveData = JSON.parse(event.target.result);
-                    
-                    // Validate save data
-                    if (!this.validateSaveData(saveData)) {
-                        reject(new Error('Invalid save file format'));
-                        return;
-                    }
-                    
-                    // Store save data
-                    localStorage.setItem(this.saveKey, JSON.stringify(saveData));
-                    console.log('Save imported successfully');
-                    resolve(true);
-                } catch (error) {
-                    console.error('Failed to parse save file:', error);
-                    reject(error);
+                const saveData = this.parseSaveData(event.target.result);
+                if (!saveData) {
+                    reject(new Error('The file is not valid JSON.'));
+                    return;
+                }
+                
+                const errors = this.checkSaveData(saveData);
+                if (errors.length > 0) {
+                    reject(new Error(errors.join('\n')));
+                    return;
+                }
+                
+                if (!this.writeSlot(slot, saveData, name)) {
+                    reject(new Error('The save could not be stored.'));
+                    return;
                 }
+                
+                resolve(true);
             };
             
-            reader.onerror = (error) => {
-                console.error('Failed to read save file:', error);
-                reject(error);
+            reader.onerror = () => {
+                reject(new Error('The file could not be read.'));
             };
             
             reader.readAsText(file);
         });
     }
+    
+    // Store a replay if it scores higher than the best one kept; returns true if it was stored
+    saveBestReplay(replay) {
+        if (!replay) return false;
+        
+        const best = this.loadBestReplay();
+        if (best && best.score >= replay.score) return false;
+        
+        try {
+            localStorage.setItem(this.replayKey, JSON.stringify(replay));
+            return true;
+        } catch (error) {
+            // Long runs can outgrow the storage quota; they can still be downloaded
+            console.error('Failed to save replay:', error);
+            return false;
+        }
+    }
+    
+    // Load the best stored replay (unvalidated), or null if there is none
+    loadBestReplay() {
+        const replayString = localStorage.getItem(this.replayKey);
+        if (!replayString) return null;
+        
+        try {
+            return JSON.parse(replayString);
+        } catch (error) {
+            console.error('Failed to parse stored replay:', error);
+            return null;
+        }
+    }
 }
\ No newline at end of file
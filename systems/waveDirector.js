@@ -0,0 +1,153 @@
+// waveDirector.js - Turns wave scripts into timed spawn events on the game clock
+
+import { CONFIG } from '../config.js';
+import { WAVES } from '../data/waves.js';
+
+export class WaveDirector {
+    constructor(script = WAVES) {
+        this.script = script;
+        this.zones = script.zones; // Script zones with any map overrides applied
+        this.queue = []; // Pending spawn events for the current wave, sorted by time
+        this.elapsed = 0; // ms of game time since the wave started
+        this.nextWaveTimer = 0; // ms left in the intermission, 0 when not waiting
+    }
+    
+    // Override spawn zones for the current map; zones it doesn't define keep the script's
+    setZones(mapZones = {}) {
+        this.zones = { ...this.script.zones, ...mapZones };
+    }
+    
+    // Get the wave's spawn progress for a save
+    serialize() {
+        return {
+            queue: this.queue.map(event => ({ ...event })),
+            elapsed: this.elapsed,
+            nextWaveTimer: this.nextWaveTimer
+        };
+    }
+    
+    // Resume saved spawn progress
+    restore(saved) {
+        this.queue = saved.queue.map(event => ({ ...event }));
+        this.elapsed = saved.elapsed;
+        this.nextWaveTimer = saved.nextWaveTimer;
+    }
+    
+    // Drop any pending spawns and intermission
+    clear() {
+        this.queue.length = 0;
+        this.elapsed = 0;
+        this.nextWaveTimer = 0;
+    }
+    
+    // Get the definition for a wave number (1-based), generating endless waves past the script
+    getWaveDefinition(wave) {
+        const scripted = this.script.waves;
+        if (wave <= scripted.length) return scripted[wave - 1];
+        
+        const endless = this.script.endless;
+        if (wave % endless.bossEvery === 0) {
+            return { boss: true, groups: [] };
+        }
+        
+        const extraWaves = wave - scripted.length;
+        return {
+            groups: endless.groups.map(group => ({
+                type: group.type,
+                count: group.count + Math.floor(group.perWave * extraWaves),
+                zone: group.zone,
+                delay: group.delay,
+                interval: group.interval
+            }))
+        };
+    }
+    
+    // Pick the boss for a boss wave, cycling through CONFIG.BOSSES in order
+    pickBoss(wave) {
+        const bossIds = Object.keys(CONFIG.BOSSES);
+        const bossWave = Math.max(0, Math.floor(wave / 5) - 1);
+        return bossIds[bossWave % bossIds.length];
+    }
+    
+    // Queue every spawn for a wave; returns the number of enemies it will spawn
+    startWave(wave) {
+        const definition = this.getWaveDefinition(wave);
+        
+        this.clear();
+        
+        if (definition.boss) {
+            const bossId = definition.boss === true ? this.pickBoss(wave) : definition.boss;
+            this.queue.push({ time: 0, boss: bossId, type: null, zone: null });
+        }
+        
+        for (const group of definition.groups) {
+            for (let i = 0; i < group.count; i++) {
+                this.queue.push({
+                    time: (group.delay || 0) + i * (group.interval || 0),
+                    boss: null,
+                    type: group.type,
+                    zone: group.zone
+                });
+            }
+        }
+        
+        // Stable sort keeps groups with equal times in script order
+        this.queue.sort((a, b) => a.time - b.time);
+        
+        return this.queue.length;
+    }
+    
+    // Start the countdown to the next wave
+    queueNextWave() {
+        this.nextWaveTimer = this.script.intermission;
+    }
+    
+    // Check if the current wave still has enemies waiting to spawn
+    isSpawning() {
+        return this.queue.length > 0;
+    }
+    
+    // Check if the director is counting down to the next wave
+    isBetweenWaves() {
+        return this.nextWaveTimer > 0;
+    }
+    
+    // Advance the clock; calls handlers.spawn(event) for due spawns and handlers.nextWave() after an intermission
+    update(deltaTime, handlers) {
+        const ms = deltaTime * 1000;
+        
+        if (this.nextWaveTimer > 0) {
+            this.nextWaveTimer -= ms;
+            
+            if (this.nextWaveTimer <= 0) {
+                this.nextWaveTimer = 0;
+                handlers.nextWave();
+            }
+            return;
+        }
+        
+        this.elapsed += ms;
+        
+        while (this.queue.length > 0 && this.queue[0].time <= this.elapsed) {
+            handlers.spawn(this.queue.shift());
+        }
+    }
+    
+    // Pick a random point in a spawn zone using a SeededRandom; ring zones are centered on the target
+    getSpawnPosition(zoneName, worldWidth, worldHeight, target, rng) {
+        const zone = this.zones[zoneName] || this.zones.around;
+        
+        if (zone.shape === 'rect') {
+            return {
+                x: (zone.x + rng.next() * zone.width) * worldWidth,
+                y: (zone.y + rng.next() * zone.height) * worldHeight
+            };
+        }
+        
+        const angle = rng.next() * Math.PI * 2;
+        return {
+            x: target.x + Math.cos(angle) * zone.distance,
+            y: target.y + Math.sin(angle) * zone.distance
+        };
+    }
+}
\ No newline at end of file
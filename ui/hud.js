@@ -1,10 +1,13 @@
 // hud.js - Heads-up display for player information
 
+import { CONFIG } from '../config.js';
+
 export class HUD {
     constructor() {
         this.container = null;
         this.elements = {};
         this.visible = true;
+        this.weaponSlotsKey = '';
     }
     
     // Initialize HUD
@@ -29,6 +32,14 @@ export class HUD {
         
         // Create HUD structure
         const hudHTML = `
+            <!-- Boss health bar, shown while a boss is alive -->
+            <div id="boss-bar-container" style="display: none; position: absolute; top: 20px; left: 50%; transform: translateX(-50%); width: 400px; background-color: rgba(0, 0, 0, 0.6); border-radius: 5px; padding: 5px; pointer-events: none; text-align: center;">
+                <span id="boss-name" style="color: white; font-weight: bold; text-transform: uppercase;"></span>
+                <div style="background-color: rgba(255, 255, 255, 0.2); height: 12px; border-radius: 3px; overflow: hidden; margin-top: 3px;">
+                    <div id="boss-bar" style="width: 100%; height: 100%; background-color: #c0392b; transition: width 0.2s;"></div>
+                </div>
+            </div>
+            
             <div style="padding: 20px; pointer-events: none;">
                 <!-- Top row: health and weapon -->
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
@@ -46,10 +57,16 @@ export class HUD {
                     <!-- Weapon info -->
                     <div style="background-color: rgba(0, 0, 0, 0.5); border-radius: 5px; padding: 5px; width: 200px; text-align: center;">
                         <span id="weapon-name" style="color: white; font-weight: bold;">Pistol</span>
-                        <span id="ammo-count" style="color: white; margin-left: 10px;">∞</span>
+                        <span id="ammo-count" style="color: white; margin-left: 10px;">12 / ∞</span>
+                        <div id="reload-bar-container" style="display: none; background-color: rgba(255, 255, 255, 0.2); height: 4px; border-radius: 2px; margin-top: 3px; overflow: hidden;">
+                            <div id="reload-bar" style="width: 0%; height: 100%; background-color: #f1c40f;"></div>
+                        </div>
                     </div>
                 </div>
                 
+                <!-- Weapon slots -->
+                <div id="weapon-slots" style="display: flex; gap: 5px; margin-bottom: 10px;"></div>
+                
                 <!-- Bottom row: score and wave -->
                 <div style="display: flex; justify-content: space-between;">
                     <!-- Score -->
@@ -87,11 +104,17 @@ export class HUD {
             healthText: document.getElementById('health-text'),
             weaponName: document.getElementById('weapon-name'),
             ammoCount: document.getElementById('ammo-count'),
+            reloadBarContainer: document.getElementById('reload-bar-container'),
+            reloadBar: document.getElementById('reload-bar'),
+            weaponSlots: document.getElementById('weapon-slots'),
             scoreText: document.getElementById('score-text'),
             waveText: document.getElementById('wave-text'),
             levelText: document.getElementById('level-text'),
             xpBar: document.getElementById('xp-bar'),
-            xpText: document.getElementById('xp-text')
+            xpText: document.getElementById('xp-text'),
+            bossBarContainer: document.getElementById('boss-bar-container'),
+            bossName: document.getElementById('boss-name'),
+            bossBar: document.getElementById('boss-bar')
         };
     }
     
@@ -116,20 +139,30 @@ export class HUD {
         // Update weapon info
         this.elements.weaponName.textContent = game.player.weapon;
         
-        // Update ammo count
-        if (game.player.ammo === Infinity) {
-            this.elements.ammoCount.textContent = '∞';
+        // Update ammo count (magazine / reserve)
+        const slot = game.player.inventory[game.player.weapon];
+        const reserveText = slot.reserve === Infinity ? '∞' : slot.reserve;
+        this.elements.ammoCount.textContent = `${slot.magazine} / ${reserveText}`;
+        
+        // Highlight low magazine
+        const magazineSize = CONFIG.WEAPONS[game.player.weapon].magazineSize;
+        if (slot.magazine <= Math.max(1, magazineSize * 0.2)) {
+            this.elements.ammoCount.style.color = '#e74c3c';
         } else {
-            this.elements.ammoCount.textContent = game.player.ammo;
-            
-            // Highlight low ammo
-            if (game.player.ammo < 5) {
-                this.elements.ammoCount.style.color = '#e74c3c';
-            } else {
-                this.elements.ammoCount.style.color = 'white';
-            }
+            this.elements.ammoCount.style.color = 'white';
+        }
+        
+        // Update reload progress
+        if (game.player.reloading) {
+            this.elements.reloadBarContainer.style.display = 'block';
+            this.elements.reloadBar.style.width = `${game.player.getReloadProgress() * 100}%`;
+        } else {
+            this.elements.reloadBarContainer.style.display = 'none';
         }
         
+        // Update weapon slots
+        this.updateWeaponSlots(game.player);
+        
         // Update score
         this.elements.scoreText.textContent = game.score;
         
@@ -142,6 +175,50 @@ export class HUD {
         const xpPercent = (game.playerStats.xp / game.playerStats.xpToNextLevel) * 100;
         this.elements.xpBar.style.width = `${xpPercent}%`;
         this.elements.xpText.textContent = `${game.playerStats.xp}/${game.playerStats.xpToNextLevel}`;
+        
+        // Update boss health bar
+        this.updateBossBar(game.enemyManager.boss);
+    }
+    
+    // Show the current boss's name, phase color and health
+    updateBossBar(boss) {
+        if (!boss) {
+            this.elements.bossBarContainer.style.display = 'none';
+            return;
+        }
+        
+        this.elements.bossBarContainer.style.display = 'block';
+        this.elements.bossName.textContent = CONFIG.BOSSES[boss.bossId].name;
+        this.elements.bossBar.style.width = `${Math.max(0, boss.health / boss.maxHealth) * 100}%`;
+        this.elements.bossBar.style.backgroundColor = boss.color;
+    }
+    
+    // Update weapon slot bar (only rebuilt when inventory or selection changes)
+    updateWeaponSlots(player) {
+        const slotsKey = player.weapon + '|' + Object.entries(player.inventory)
+            .map(([name, slot]) => `${name}:${slot.magazine}:${slot.reserve}`)
+            .join(';');
+        if (slotsKey === this.weaponSlotsKey) return;
+        this.weaponSlotsKey = slotsKey;
+        
+        const slotsHTML = Object.keys(CONFIG.WEAPONS).map((weaponName, index) => {
+            if (!player.hasWeapon(weaponName)) return '';
+            
+            const slot = player.inventory[weaponName];
+            const ammo = player.getAmmo(weaponName);
+            const selected = weaponName === player.weapon;
+            const border = selected ? '#f1c40f' : 'rgba(255, 255, 255, 0.2)';
+            const color = ammo > 0 ? 'white' : '#7f8c8d';
+            
+            return `
+                <div style="background-color: rgba(0, 0, 0, 0.5); border: 2px solid ${border}; border-radius: 5px; padding: 3px 6px; color: ${color}; font-size: 12px; text-align: center;">
+                    <div style="font-weight: bold;">${index + 1} ${weaponName}</div>
+                    <div>${slot.magazine} / ${slot.reserve === Infinity ? '∞' : slot.reserve}</div>
+                </div>
+            `;
+        }).join('');
+        
+        this.elements.weaponSlots.innerHTML = slotsHTML;
     }
     
     // Show HUD
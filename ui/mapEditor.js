@@ -0,0 +1,543 @@
+// mapEditor.js - In-browser editor for authoring map files
+
+import { MapLoader } from '../systems/mapLoader.js';
+import { MAPS, DEFAULT_MAP } from '../data/maps/index.js';
+import { WAVES } from '../data/waves.js';
+
+const PAN_SPEED = 12; // World units per frame at 60 FPS
+const HANDLE_SIZE = 12; // Resize handle in the bottom-right corner of the selected wall
+const SPAWN_RADIUS = 15;
+
+// Tools by number key
+const TOOLS = ['select', 'wall', 'zone', 'spawn', 'erase'];
+
+export class MapEditor {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.container = null;
+        this.elements = {};
+        
+        this.map = null; // Map being edited, in the authored format of data/maps
+        this.tool = 'wall';
+        this.zoneName = null;
+        this.snapEnabled = true;
+        this.selected = null; // Selected wall
+        this.drag = null; // { mode, startX, startY, offsetX, offsetY } while the mouse is held
+        this.mouseWasDown = false;
+        this.view = { x: 0, y: 0 }; // Point the camera follows
+    }
+    
+    // Open the editor, keeping the map from the last session if there is one
+    open() {
+        if (!this.container) {
+            this.createUI();
+        }
+        
+        if (!this.map) {
+            this.loadBundledMap(DEFAULT_MAP);
+        }
+        
+        this.active = true;
+        this.game.gameRunning = false;
+        this.game.menus.hideMenus();
+        this.game.hud.hide();
+        this.game.minimap.hide();
+        this.container.style.display = 'block';
+        
+        this.game.gameLoop.start();
+    }
+    
+    // Leave the editor; returns to the main menu unless play-testing
+    close(showMenu = true) {
+        this.active = false;
+        this.drag = null;
+        this.container.style.display = 'none';
+        this.game.hud.show();
+        this.game.minimap.show();
+        
+        if (showMenu) {
+            this.game.gameLoop.stop();
+            this.game.menus.showMainMenu();
+        }
+    }
+    
+    // Create the toolbar
+    createUI() {
+        const buttonStyle = 'background: #444; color: white; border: 1px solid #666; border-radius: 3px; padding: 4px 8px; margin: 2px; cursor: pointer;';
+        const inputStyle = 'background: #333; color: white; border: 1px solid #555; border-radius: 3px; padding: 3px; margin: 2px;';
+        
+        const toolButtons = TOOLS.map((tool, index) =>
+            `<button data-tool="${tool}" style="${buttonStyle}">${index + 1}. ${tool}</button>`
+        ).join('');
+        
+        // Only rect zones can be drawn; ring zones follow the players
+        const zoneNames = Object.keys(WAVES.zones).filter(name => WAVES.zones[name].shape === 'rect');
+        const zoneOptions = zoneNames.map(name => `<option value="${name}">${name}</option>`).join('');
+        const mapOptions = MapLoader.list()
+            .map(map => `<option value="${map.id}">${map.name}</option>`)
+            .join('');
+        
+        this.zoneName = zoneNames[0];
+        
+        this.container = document.createElement('div');
+        this.container.id = 'map-editor';
+        this.container.style.cssText = 'display: none; position: absolute; top: 0; left: 0; right: 0; background: rgba(0, 0, 0, 0.75); color: white; font-family: Arial, sans-serif; font-size: 13px; padding: 6px; z-index: 20;';
+        this.container.innerHTML = `
+            <div>
+                ${toolButtons}
+                <label>Zone <select id="editor-zone" style="${inputStyle}">${zoneOptions}</select></label>
+                <label><input type="checkbox" id="editor-snap" checked /> Snap (G)</label>
+            </div>
+            <div>
+                <label>Name <input type="text" id="editor-name" style="${inputStyle} width: 110px;" /></label>
+                <label>Width <input type="number" id="editor-width" step="100" min="400" style="${inputStyle} width: 60px;" /></label>
+                <label>Height <input type="number" id="editor-height" step="100" min="400" style="${inputStyle} width: 60px;" /></label>
+                <select id="editor-load-map" style="${inputStyle}">${mapOptions}</select>
+                <button id="editor-load" style="${buttonStyle}">Load</button>
+                <button id="editor-new" style="${buttonStyle}">New</button>
+                <button id="editor-download" style="${buttonStyle}">Download JSON</button>
+                <button id="editor-playtest" style="${buttonStyle} background: #27ae60;">Play-test</button>
+                <button id="editor-exit" style="${buttonStyle} background: #c0392b;">Exit</button>
+            </div>
+            <div id="editor-status" style="margin-top: 4px; color: #bbb;"></div>
+        `;
+        
+        document.getElementById('game-container').appendChild(this.container);
+        
+        this.elements = {
+            zone: document.getElementById('editor-zone'),
+            snap: document.getElementById('editor-snap'),
+            name: document.getElementById('editor-name'),
+            width: document.getElementById('editor-width'),
+            height: document.getElementById('editor-height'),
+            loadMap: document.getElementById('editor-load-map'),
+            status: document.getElementById('editor-status'),
+            toolButtons: this.container.querySelectorAll('[data-tool]')
+        };
+        
+        this.bindEvents();
+    }
+    
+    // Bind toolbar events
+    bindEvents() {
+        for (const button of this.elements.toolButtons) {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        }
+        
+        this.elements.zone.addEventListener('change', () => {
+            this.zoneName = this.elements.zone.value;
+            this.setTool('zone');
+        });
+        this.elements.snap.addEventListener('change', () => {
+            this.snapEnabled = this.elements.snap.checked;
+        });
+        this.elements.name.addEventListener('change', () => {
+            this.map.name = this.elements.name.value.trim() || 'Custom Map';
+            this.map.id = this.map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            this.applyMap();
+        });
+        this.elements.width.addEventListener('change', () => this.resizeMap());
+        this.elements.height.addEventListener('change', () => this.resizeMap());
+        
+        document.getElementById('editor-load').addEventListener('click', () => {
+            this.loadBundledMap(this.elements.loadMap.value);
+        });
+        document.getElementById('editor-new').addEventListener('click', () => this.newMap());
+        document.getElementById('editor-download').addEventListener('click', () => this.download());
+        document.getElementById('editor-playtest').addEventListener('click', () => this.playTest());
+        document.getElementById('editor-exit').addEventListener('click', () => this.close());
+        
+        this.setTool(this.tool);
+    }
+    
+    // Start editing a copy of a bundled map
+    loadBundledMap(mapId) {
+        this.setMap(JSON.parse(JSON.stringify(MAPS[mapId] || MAPS[DEFAULT_MAP])));
+    }
+    
+    // Start an empty map the size of the current one
+    newMap() {
+        const width = this.map ? this.map.width : 2400;
+        const height = this.map ? this.map.height : 1800;
+        
+        this.setMap({
+            id: 'custom-map',
+            name: 'Custom Map',
+            size: 'medium',
+            width: width,
+            height: height,
+            walls: [],
+            playerSpawns: [{ x: width / 2, y: height / 2 }],
+            spawnZones: {},
+            decorations: []
+        });
+    }
+    
+    // Replace the map being edited
+    setMap(map) {
+        map.spawnZones = map.spawnZones || {};
+        map.decorations = map.decorations || [];
+        
+        this.map = map;
+        this.selected = null;
+        this.drag = null;
+        
+        this.elements.name.value = map.name;
+        this.elements.width.value = map.width;
+        this.elements.height.value = map.height;
+        
+        this.view.x = map.width / 2;
+        this.view.y = map.height / 2;
+        
+        this.applyMap();
+    }
+    
+    // Apply the width and height inputs
+    resizeMap() {
+        this.map.width = Math.max(400, parseInt(this.elements.width.value) || this.map.width);
+        this.map.height = Math.max(400, parseInt(this.elements.height.value) || this.map.height);
+        this.elements.width.value = this.map.width;
+        this.elements.height.value = this.map.height;
+        this.applyMap();
+    }
+    
+    // Validate the map and load it into the game world (CONFIG size, Grid and obstacles)
+    applyMap() {
+        // Size class follows the room settings' small / medium / large
+        this.map.size = this.map.width <= 1600 ? 'small' : this.map.width <= 2400 ? 'medium' : 'large';
+        
+        const error = MapLoader.validate(this.map);
+        if (error) {
+            this.setStatus(`Invalid map: ${error}`);
+            return;
+        }
+        
+        this.game.setMap(MapLoader.parse(this.map));
+        this.game.grid.reset();
+        this.game.createObstacles();
+        
+        this.setStatus(`${this.map.name} (${this.map.size}, ${this.map.width}x${this.map.height}) - ` +
+            `${this.map.walls.length} walls, ${this.map.playerSpawns.length} player spawns, ` +
+            `${Object.keys(this.map.spawnZones).length} spawn zones`);
+    }
+    
+    // Show a message under the toolbar
+    setStatus(message) {
+        this.elements.status.textContent = message;
+    }
+    
+    // Switch tool and highlight its button
+    setTool(tool) {
+        this.tool = tool;
+        this.drag = null;
+        
+        for (const button of this.elements.toolButtons) {
+            button.style.borderColor = button.dataset.tool === tool ? '#f1c40f' : '#666';
+        }
+    }
+    
+    // Download the map as a JSON file
+    download() {
+        const json = JSON.stringify(this.map, null, 4);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.map.id}.json`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    // Start a normal game on the map being edited
+    playTest() {
+        const map = MapLoader.parse(this.map);
+        if (!map) {
+            this.setStatus('Fix the map before play-testing');
+            return;
+        }
+        
+        this.close(false);
+        this.game.initGame(map);
+    }
+    
+    // Snap a coordinate to grid lines
+    snap(value) {
+        if (!this.snapEnabled) return Math.round(value);
+        
+        const cellSize = this.game.grid.cellSize;
+        return Math.round(value / cellSize) * cellSize;
+    }
+    
+    // Snap a point to the center of its grid cell
+    snapToCell(x, y) {
+        if (!this.snapEnabled) return { x: Math.round(x), y: Math.round(y) };
+        
+        const cellSize = this.game.grid.cellSize;
+        const { cellX, cellY } = this.game.grid.getCellCoords(x, y);
+        return { x: cellX * cellSize + cellSize / 2, y: cellY * cellSize + cellSize / 2 };
+    }
+    
+    // Check if keyboard input is going to a toolbar field
+    isTyping() {
+        const element = document.activeElement;
+        return element && (element.tagName === 'INPUT' || element.tagName === 'SELECT');
+    }
+    
+    // Update editor input
+    update(deltaTime) {
+        const input = this.game.input;
+        const typing = this.isTyping();
+        
+        // Pan the camera
+        if (!typing) {
+            const distance = PAN_SPEED * deltaTime * 60;
+            if (input.isKeyPressed('w') || input.isKeyPressed('ArrowUp')) this.view.y -= distance;
+            if (input.isKeyPressed('s') || input.isKeyPressed('ArrowDown')) this.view.y += distance;
+            if (input.isKeyPressed('a') || input.isKeyPressed('ArrowLeft')) this.view.x -= distance;
+            if (input.isKeyPressed('d') || input.isKeyPressed('ArrowRight')) this.view.x += distance;
+        }
+        
+        this.view.x = Math.max(0, Math.min(this.map.width, this.view.x));
+        this.view.y = Math.max(0, Math.min(this.map.height, this.view.y));
+        this.game.camera.update(this.view);
+        input.updateWorldMousePosition(this.game.camera);
+        
+        // Shortcuts (always consumed so they don't fire late)
+        for (let i = 0; i < TOOLS.length; i++) {
+            if (input.consumeKeyPress(String(i + 1)) && !typing) this.setTool(TOOLS[i]);
+        }
+        
+        const deletePressed = input.consumeKeyPress('Delete') || input.consumeKeyPress('Backspace');
+        if (deletePressed && !typing && this.selected) {
+            this.removeWall(this.selected);
+        }
+        
+        if (input.consumeKeyPress('g') && !typing) {
+            this.snapEnabled = !this.snapEnabled;
+            this.elements.snap.checked = this.snapEnabled;
+        }
+        
+        // Mouse press, drag and release
+        const mouseDown = input.isShooting;
+        const x = input.worldMouseX;
+        const y = input.worldMouseY;
+        
+        if (mouseDown && !this.mouseWasDown) {
+            this.onMouseDown(x, y);
+        } else if (mouseDown && this.drag) {
+            this.onMouseDrag(x, y);
+        } else if (!mouseDown && this.mouseWasDown && this.drag) {
+            this.onMouseUp(x, y);
+        }
+        
+        this.mouseWasDown = mouseDown;
+    }
+    
+    // Start an action with the current tool
+    onMouseDown(x, y) {
+        switch (this.tool) {
+            case 'select': {
+                const wall = this.findWallAt(x, y);
+                this.selected = wall;
+                if (!wall) break;
+                
+                const onHandle = x >= wall.x + wall.width - HANDLE_SIZE && y >= wall.y + wall.height - HANDLE_SIZE;
+                this.drag = {
+                    mode: onHandle ? 'resize' : 'move',
+                    offsetX: x - wall.x,
+                    offsetY: y - wall.y
+                };
+                break;
+            }
+            case 'wall':
+            case 'zone':
+                this.drag = { mode: 'create', startX: this.snap(x), startY: this.snap(y) };
+                break;
+            case 'spawn':
+                this.map.playerSpawns.push(this.snapToCell(x, y));
+                this.applyMap();
+                break;
+            case 'erase':
+                this.eraseAt(x, y);
+                break;
+        }
+    }
+    
+    // Move or resize the selected wall
+    onMouseDrag(x, y) {
+        const wall = this.selected;
+        const minSize = this.snapEnabled ? this.game.grid.cellSize : 10;
+        
+        if (this.drag.mode === 'move') {
+            wall.x = this.snap(x - this.drag.offsetX);
+            wall.y = this.snap(y - this.drag.offsetY);
+        } else if (this.drag.mode === 'resize') {
+            wall.width = Math.max(minSize, this.snap(x) - wall.x);
+            wall.height = Math.max(minSize, this.snap(y) - wall.y);
+        }
+    }
+    
+    // Finish the current action
+    onMouseUp(x, y) {
+        if (this.drag.mode === 'create') {
+            const rect = this.getDragRect(x, y);
+            
+            if (rect.width > 0 && rect.height > 0) {
+                if (this.tool === 'wall') {
+                    this.map.walls.push(rect);
+                    this.selected = rect;
+                } else {
+                    this.map.spawnZones[this.zoneName] = { shape: 'rect', ...rect };
+                }
+            }
+        }
+        
+        this.drag = null;
+        this.applyMap();
+    }
+    
+    // Get the snapped rectangle being dragged out
+    getDragRect(x, y) {
+        const endX = this.snap(x);
+        const endY = this.snap(y);
+        
+        return {
+            x: Math.min(this.drag.startX, endX),
+            y: Math.min(this.drag.startY, endY),
+            width: Math.abs(endX - this.drag.startX),
+            height: Math.abs(endY - this.drag.startY)
+        };
+    }
+    
+    // Find the topmost wall under a point
+    findWallAt(x, y) {
+        for (let i = this.map.walls.length - 1; i >= 0; i--) {
+            const wall = this.map.walls[i];
+            if (x >= wall.x && x <= wall.x + wall.width && y >= wall.y && y <= wall.y + wall.height) {
+                return wall;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Remove a wall
+    removeWall(wall) {
+        const index = this.map.walls.indexOf(wall);
+        if (index !== -1) this.map.walls.splice(index, 1);
+        if (this.selected === wall) this.selected = null;
+        
+        this.applyMap();
+    }
+    
+    // Delete whatever is under the cursor: a player spawn, then a wall, then a spawn zone
+    eraseAt(x, y) {
+        const spawnIndex = this.map.playerSpawns.findIndex(spawn =>
+            Math.abs(spawn.x - x) <= SPAWN_RADIUS && Math.abs(spawn.y - y) <= SPAWN_RADIUS
+        );
+        
+        if (spawnIndex !== -1) {
+            if (this.map.playerSpawns.length === 1) {
+                this.setStatus('A map needs at least one player spawn');
+                return;
+            }
+            
+            this.map.playerSpawns.splice(spawnIndex, 1);
+            this.applyMap();
+            return;
+        }
+        
+        const wall = this.findWallAt(x, y);
+        if (wall) {
+            this.removeWall(wall);
+            return;
+        }
+        
+        for (const name in this.map.spawnZones) {
+            const zone = this.map.spawnZones[name];
+            
+            if (zone.shape === 'rect' &&
+                x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height) {
+                delete this.map.spawnZones[name];
+                this.applyMap();
+                return;
+            }
+        }
+    }
+    
+    // Render the map with editor overlays
+    render() {
+        const renderer = this.game.renderer;
+        const camera = this.game.camera;
+        const ctx = renderer.ctx;
+        
+        renderer.clear(this.map.background);
+        renderer.renderGrid(camera);
+        renderer.renderDecorations(this.map.decorations.filter(decoration => decoration.layer === 'floor'), camera);
+        renderer.renderObstacles(MapLoader.buildObstacles(this.map), camera);
+        renderer.renderDecorations(this.map.decorations.filter(decoration => decoration.layer === 'overlay'), camera);
+        
+        // Spawn zones
+        ctx.font = '12px Arial';
+        for (const name in this.map.spawnZones) {
+            const zone = this.map.spawnZones[name];
+            if (zone.shape !== 'rect') continue;
+            
+            ctx.fillStyle = 'rgba(231, 76, 60, 0.2)';
+            ctx.fillRect(zone.x - camera.x, zone.y - camera.y, zone.width, zone.height);
+            ctx.strokeStyle = 'rgba(231, 76, 60, 0.8)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(zone.x - camera.x, zone.y - camera.y, zone.width, zone.height);
+            ctx.fillStyle = '#e74c3c';
+            ctx.fillText(name, zone.x - camera.x + 4, zone.y - camera.y + 14);
+        }
+        
+        // Player spawns, numbered in the order players are placed
+        this.map.playerSpawns.forEach((spawn, index) => {
+            ctx.fillStyle = 'rgba(46, 204, 113, 0.6)';
+            ctx.beginPath();
+            ctx.arc(spawn.x - camera.x, spawn.y - camera.y, SPAWN_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = 'white';
+            ctx.fillText(String(index + 1), spawn.x - camera.x - 4, spawn.y - camera.y + 4);
+        });
+        
+        // Selected wall and its resize handle
+        if (this.selected) {
+            const wall = this.selected;
+            ctx.strokeStyle = '#f1c40f';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(wall.x - camera.x, wall.y - camera.y, wall.width, wall.height);
+            ctx.fillStyle = '#f1c40f';
+            ctx.fillRect(
+                wall.x + wall.width - HANDLE_SIZE - camera.x,
+                wall.y + wall.height - HANDLE_SIZE - camera.y,
+                HANDLE_SIZE, HANDLE_SIZE
+            );
+        }
+        
+        // Rectangle being dragged out
+        if (this.drag && this.drag.mode === 'create') {
+            const rect = this.getDragRect(this.game.input.worldMouseX, this.game.input.worldMouseY);
+            ctx.strokeStyle = this.tool === 'wall' ? '#fff' : '#e74c3c';
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(rect.x - camera.x, rect.y - camera.y, rect.width, rect.height);
+            ctx.setLineDash([]);
+        }
+        
+        // Snapped cursor
+        const cursorX = this.snap(this.game.input.worldMouseX) - camera.x;
+        const cursorY = this.snap(this.game.input.worldMouseY) - camera.y;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(cursorX - 8, cursorY);
+        ctx.lineTo(cursorX + 8, cursorY);
+        ctx.moveTo(cursorX, cursorY - 8);
+        ctx.lineTo(cursorX, cursorY + 8);
+        ctx.stroke();
+    }
+}
\ No newline at end of file
@@ -5,9 +5,14 @@ export class MenuManager {
         this.mainMenu = null;
         this.gameOverMenu = null;
         this.levelUpMenu = null;
+        this.loadMenu = null;
+        this.pauseMenu = null;
         this.waveNotification = null;
         this.bossWarning = null;
         this.continueButton = null;
+        this.mapSelect = null;
+        this.seedInput = null;
+        this.bestReplayButton = null;
     }
     
     // Initialize menu elements
@@ -16,9 +21,14 @@ export class MenuManager {
         this.mainMenu = document.getElementById('main-menu');
         this.gameOverMenu = document.getElementById('game-over-menu');
         this.levelUpMenu = document.getElementById('level-up-menu');
+        this.loadMenu = document.getElementById('load-menu');
+        this.pauseMenu = document.getElementById('pause-menu');
         this.waveNotification = document.getElementById('wave-notification');
         this.bossWarning = document.getElementById('boss-warning');
         this.continueButton = document.getElementById('continue-button');
+        this.mapSelect = document.getElementById('map-select');
+        this.seedInput = document.getElementById('seed-input');
+        this.bestReplayButton = document.getElementById('best-replay-button');
         
         // Add click handlers to upgrade options
         const upgradeOptions = document.querySelectorAll('.upgrade-option');
@@ -35,27 +45,137 @@ export class MenuManager {
         return true;
     }
     
+    // Fill the main menu map picker with the bundled maps
+    setMapOptions(maps) {
+        if (!this.mapSelect) return;
+        
+        this.mapSelect.innerHTML = '';
+        
+        for (const map of maps) {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = `${map.name} (${map.size})`;
+            this.mapSelect.appendChild(option);
+        }
+        
+        // Remember the last map picked
+        const lastMap = localStorage.getItem('boxhead_map');
+        if (lastMap && maps.some(map => map.id === lastMap)) {
+            this.mapSelect.value = lastMap;
+        }
+        
+        this.mapSelect.addEventListener('change', () => {
+            localStorage.setItem('boxhead_map', this.mapSelect.value);
+        });
+    }
+    
+    // Get the map id picked in the main menu
+    getSelectedMap() {
+        return this.mapSelect ? this.mapSelect.value : null;
+    }
+    
+    // Get the seed typed in the main menu (blank for a random one)
+    getSeed() {
+        return this.seedInput ? this.seedInput.value : null;
+    }
+    
     // Show main menu
     showMainMenu() {
         this.hideMenus();
         this.mainMenu.style.display = 'flex';
     }
     
-    // Show continue button if save exists
-    showContinueButton() {
+    // Show or hide the main menu button for loading a save
+    setLoadButton(visible) {
         if (this.continueButton) {
-            this.continueButton.style.display = 'inline-block';
+            this.continueButton.style.display = visible ? 'inline-block' : 'none';
+        }
+    }
+    
+    // Show the save slot picker with Load and Delete buttons for every filled slot
+    showLoadMenu(slots, loadCallback, deleteCallback, exportCallback) {
+        this.hideMenus();
+        
+        const list = document.getElementById('load-slot-list');
+        list.innerHTML = '';
+        
+        for (const slot of slots) {
+            if (!slot.saved) continue;
+            
+            const row = this.createSlotRow(slot);
+            row.appendChild(this.createSlotButton('Load', () => loadCallback(slot.slot)));
+            row.appendChild(this.createSlotButton('Export', () => exportCallback(slot.slot)));
+            row.appendChild(this.createSlotButton('Delete', () => deleteCallback(slot.slot)));
+            list.appendChild(row);
+        }
+        
+        this.loadMenu.style.display = 'flex';
+    }
+    
+    // Show the pause menu with a Save button for every manual slot
+    showPauseMenu(slots, saveCallback) {
+        this.hideMenus();
+        
+        const nameInput = document.getElementById('save-name-input');
+        const list = document.getElementById('save-slot-list');
+        list.innerHTML = '';
+        
+        for (const slot of slots) {
+            const row = this.createSlotRow(slot);
+            row.appendChild(this.createSlotButton('Save', () => saveCallback(slot.slot, nameInput.value.trim())));
+            list.appendChild(row);
+        }
+        
+        this.pauseMenu.style.display = 'flex';
+    }
+    
+    // Build a save slot row showing its name and details
+    createSlotRow(slot) {
+        const row = document.createElement('div');
+        row.className = 'save-slot';
+        
+        const name = document.createElement('h3');
+        name.textContent = slot.name;
+        row.appendChild(name);
+        
+        const details = document.createElement('p');
+        details.textContent = slot.saved ?
+            `Wave ${slot.wave} - Score ${slot.score} - Level ${slot.level} - ${new Date(slot.timestamp).toLocaleString()}` :
+            'Empty';
+        row.appendChild(details);
+        
+        return row;
+    }
+    
+    // Build a small button for a save slot row
+    createSlotButton(text, callback) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', callback);
+        return button;
+    }
+    
+    // Show or hide the main menu button for the best stored replay
+    setBestReplayButton(visible) {
+        if (this.bestReplayButton) {
+            this.bestReplayButton.style.display = visible ? 'inline-block' : 'none';
         }
     }
     
     // Show game over screen
-    showGameOver(score, wave) {
+    showGameOver(score, wave, seed = null, hasReplay = false, hasKillcam = false) {
         this.hideMenus();
         
         // Update score and wave display
         document.getElementById('final-score').textContent = score;
         document.getElementById('final-wave').textContent = wave;
         
+        // Show the run's seed so it can be shared and replayed
+        document.getElementById('final-seed').textContent = seed;
+        document.getElementById('final-seed-line').style.display = seed !== null ? 'block' : 'none';
+        document.getElementById('replay-buttons').style.display = hasReplay ? 'block' : 'none';
+        document.getElementById('killcam-button').style.display = hasKillcam ? 'inline-block' : 'none';
+        
         // Show game over menu
         this.gameOverMenu.style.display = 'flex';
     }
@@ -137,7 +257,9 @@ export class MenuManager {
     }
     
     // Show boss warning
-    showBossWarning() {
+    showBossWarning(bossName = 'Boss Enemy') {
+        this.bossWarning.querySelector('p').textContent = `${bossName} Approaching`;
+        
         // Show notification
         this.bossWarning.style.display = 'block';
         this.bossWarning.classList.add('visible');
@@ -171,6 +293,8 @@ export class MenuManager {
         if (this.mainMenu) this.mainMenu.style.display = 'none';
         if (this.gameOverMenu) this.gameOverMenu.style.display = 'none';
         if (this.levelUpMenu) this.levelUpMenu.style.display = 'none';
+        if (this.loadMenu) this.loadMenu.style.display = 'none';
+        if (this.pauseMenu) this.pauseMenu.style.display = 'none';
         if (this.waveNotification) {
             this.waveNotification.classList.remove('visible');
             this.waveNotification.style.display = 'none';
@@ -10,6 +10,7 @@ export class Minimap {
         this.worldWidth = 3000;
         this.worldHeight = 2400;
         this.scale = 0.05; // Scale for drawing world objects on minimap
+        this.enemySummary = null; // Multiplayer counts of far-away enemies per square of the map
     }
     
     // Initialize minimap
@@ -72,6 +73,8 @@ export class Minimap {
         // Draw obstacles
         this.ctx.fillStyle = '#555';
         for (const obstacle of game.enemyManager.obstacles) {
+            if (obstacle.isStructure) continue;
+            
             this.ctx.fillRect(
                 obstacle.x * this.scale,
                 obstacle.y * this.scale,
@@ -80,6 +83,17 @@ export class Minimap {
             );
         }
         
+        // Draw player structures
+        for (const structure of game.structureManager.structures) {
+            this.ctx.fillStyle = structure.type === 'turret' ? '#1abc9c' : '#d35400';
+            this.ctx.fillRect(
+                structure.x * this.scale,
+                structure.y * this.scale,
+                Math.max(2, structure.width * this.scale),
+                Math.max(2, structure.height * this.scale)
+            );
+        }
+        
         // Draw powerups
         for (const powerup of game.powerupManager.powerups) {
             this.ctx.fillStyle = powerup.color;
@@ -94,6 +108,16 @@ export class Minimap {
             this.ctx.fill();
         }
         
+        // Draw far-away enemies, which the server only sends as a count per square
+        if (this.enemySummary) {
+            const size = this.enemySummary.cellSize * this.scale;
+            
+            for (const [cellX, cellY, count] of this.enemySummary.cells) {
+                this.ctx.fillStyle = `rgba(231, 76, 60, ${Math.min(0.8, 0.2 + count * 0.1)})`;
+                this.ctx.fillRect(cellX * size, cellY * size, size, size);
+            }
+        }
+        
         // Draw enemies
         for (const enemy of game.enemyManager.enemies) {
             this.ctx.fillStyle = enemy.color;
@@ -128,6 +152,22 @@ export class Minimap {
         );
     }
     
+    // Change the world area the minimap covers, e.g. when a new map is loaded
+    setWorldSize(worldWidth, worldHeight) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        
+        this.scale = Math.min(
+            this.width / this.worldWidth,
+            this.height / this.worldHeight
+        );
+    }
+    
+    // Set the summary of far-away enemies from the server, or null to stop drawing it
+    setEnemySummary(summary) {
+        this.enemySummary = summary;
+    }
+    
     // Resize minimap
     resize(width, height) {
         this.width = width;
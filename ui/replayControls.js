@@ -0,0 +1,146 @@
+// replayControls.js - Playback bar for watching recorded runs
+
+import { CONFIG } from '../config.js';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+const SEEK_SECONDS = 5; // Skipped by the arrow keys
+
+export class ReplayControls {
+    constructor(game) {
+        this.game = game;
+        this.container = null;
+        this.elements = {};
+        this.scrubbing = false; // True while the slider is being dragged
+    }
+    
+    // Show the playback bar
+    show() {
+        if (!this.container) {
+            this.createUI();
+        }
+        
+        const replay = this.game.replayPlayer.replay;
+        this.elements.speed.value = '1';
+        this.elements.info.textContent = `Seed ${replay.seed} - ${replay.map} - ` +
+            `score ${replay.score}, wave ${replay.wave}`;
+        this.container.style.display = 'block';
+    }
+    
+    // Hide the playback bar
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+    
+    // Create the playback bar
+    createUI() {
+        const buttonStyle = 'background: #444; color: white; border: 1px solid #666; border-radius: 3px; padding: 4px 8px; margin: 2px; cursor: pointer;';
+        const inputStyle = 'background: #333; color: white; border: 1px solid #555; border-radius: 3px; padding: 3px; margin: 2px;';
+        
+        const speedOptions = SPEEDS.map(speed => `<option value="${speed}">${speed}x</option>`).join('');
+        
+        this.container = document.createElement('div');
+        this.container.id = 'replay-controls';
+        this.container.style.cssText = 'display: none; position: absolute; bottom: 0; left: 0; right: 0; background: rgba(0, 0, 0, 0.75); color: white; font-family: Arial, sans-serif; font-size: 13px; padding: 6px; z-index: 20;';
+        this.container.innerHTML = `
+            <div>
+                <button id="replay-pause" style="${buttonStyle} width: 70px;">Pause</button>
+                <select id="replay-speed" style="${inputStyle}">${speedOptions}</select>
+                <input type="range" id="replay-scrub" min="0" max="0" value="0" style="width: 320px; vertical-align: middle;" />
+                <span id="replay-time"></span>
+                <button id="replay-download" style="${buttonStyle}">Download</button>
+                <button id="replay-exit" style="${buttonStyle} background: #c0392b;">Exit</button>
+            </div>
+            <div id="replay-info" style="margin-top: 4px; color: #bbb;"></div>
+        `;
+        
+        document.getElementById('game-container').appendChild(this.container);
+        
+        this.elements = {
+            pause: document.getElementById('replay-pause'),
+            speed: document.getElementById('replay-speed'),
+            scrub: document.getElementById('replay-scrub'),
+            time: document.getElementById('replay-time'),
+            info: document.getElementById('replay-info')
+        };
+        
+        this.bindEvents();
+    }
+    
+    // Bind playback bar events
+    bindEvents() {
+        const player = this.game.replayPlayer;
+        
+        this.elements.pause.addEventListener('click', () => player.togglePause());
+        this.elements.speed.addEventListener('change', () => {
+            player.setSpeed(Number(this.elements.speed.value));
+        });
+        
+        // Seek once the slider is released; re-simulating on every move would be too slow
+        this.elements.scrub.addEventListener('input', () => {
+            this.scrubbing = true;
+        });
+        this.elements.scrub.addEventListener('change', () => {
+            this.scrubbing = false;
+            player.seek(Number(this.elements.scrub.value));
+        });
+        
+        document.getElementById('replay-download').addEventListener('click', () => this.download(player.replay));
+        document.getElementById('replay-exit').addEventListener('click', () => this.game.stopReplay());
+    }
+    
+    // Handle keyboard shortcuts: Space pauses, arrows skip, Escape exits
+    handleInput(input) {
+        const player = this.game.replayPlayer;
+        const seekTicks = SEEK_SECONDS * CONFIG.FPS_CAP;
+        
+        if (input.consumeKeyPress(' ')) {
+            player.togglePause();
+        }
+        if (input.consumeKeyPress('ArrowLeft')) {
+            player.seek(this.game.clock.tick - seekTicks);
+        }
+        if (input.consumeKeyPress('ArrowRight')) {
+            player.seek(this.game.clock.tick + seekTicks);
+        }
+        if (input.consumeKeyPress('Escape')) {
+            this.game.stopReplay();
+        }
+    }
+    
+    // Refresh the slider, time and pause button
+    update() {
+        const player = this.game.replayPlayer;
+        const progress = player.getProgress();
+        
+        if (!this.scrubbing) {
+            this.elements.scrub.max = progress.ticks;
+            this.elements.scrub.value = progress.tick;
+        }
+        
+        this.elements.time.textContent = `${this.formatTicks(progress.tick)} / ${this.formatTicks(progress.ticks)}`;
+        this.elements.pause.textContent = player.finished ? 'Restart' : player.paused ? 'Play' : 'Pause';
+    }
+    
+    // Format a tick count as m:ss of game time
+    formatTicks(ticks) {
+        const seconds = Math.floor(ticks / CONFIG.FPS_CAP);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    // Download a replay as a JSON file
+    download(replay) {
+        if (!replay) return;
+        
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `boxhead-replay-${replay.seed}-wave${replay.wave}.json`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,62 @@
+// random.js - Seeded pseudo-random numbers for reproducible runs
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Next float in [0, 1) (mulberry32)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    // Integer in [min, max], inclusive
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    // True with the given probability
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    // Random element of an array
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+    
+    // Fresh unsigned 32-bit seed
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+    
+    // Turn user input into a seed: numbers are used as-is, other text is hashed (FNV-1a), blank picks one at random
+    static parseSeed(value) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return SeededRandom.randomSeed();
+        }
+        
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+        
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return hash >>> 0;
+    }
+}
\ No newline at end of file